@@ -17,8 +17,8 @@ module.exports = {
     '!src/config/**'
   ],
 
-  // テスト実行前の環境設定
-  setupFiles: ['<rootDir>/test/setup.js'],
+  // テスト実行前の環境設定（afterAllを使うためテストフレームワークの初期化後に実行）
+  setupFilesAfterEnv: ['<rootDir>/test/setup.js'],
 
   // モジュールの変換設定
   transform: {},
@@ -45,10 +45,10 @@ async function setupSettingsSheet() {
     // ヘッダー行を設定
     await sheets.spreadsheets.values.update({
       spreadsheetId,
-      range: 'user_settings!A1:E1',
+      range: 'user_settings!A1:F1',
       valueInputOption: 'RAW',
       resource: {
-        values: [['user_id', 'spreadsheet_id', 'email', 'created_at', 'updated_at']],
+        values: [['user_id', 'spreadsheet_id', 'email', 'created_at', 'updated_at', 'approver_id']],
       },
     });
 
@@ -106,7 +106,7 @@ async function setupSettingsSheet() {
                 sheetId: 0,
                 dimension: 'COLUMNS',
                 startIndex: 0,
-                endIndex: 5,
+                endIndex: 6,
               },
               properties: {
                 pixelSize: 200,
@@ -118,6 +118,64 @@ async function setupSettingsSheet() {
       },
     });
 
+    // 勘定科目シートを作成（存在しない場合のみ）
+    const spreadsheet = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties',
+    });
+    const hasCategorySheet = spreadsheet.data.sheets.some(
+      sheet => sheet.properties.title === 'categories'
+    );
+    if (!hasCategorySheet) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: {
+          requests: [{ addSheet: { properties: { title: 'categories' } } }],
+        },
+      });
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: 'categories!A1:A9',
+        valueInputOption: 'RAW',
+        resource: {
+          values: [
+            ['name'],
+            ['旅費交通費'],
+            ['会議費'],
+            ['接待交際費'],
+            ['消耗品費'],
+            ['通信費'],
+            ['新聞図書費'],
+            ['支払手数料'],
+            ['雑費'],
+          ],
+        },
+      });
+      console.log('Categories sheet created');
+    }
+
+    // 承認履歴シートを作成（存在しない場合のみ）
+    const hasApprovalSheet = spreadsheet.data.sheets.some(
+      sheet => sheet.properties.title === 'approvals'
+    );
+    if (!hasApprovalSheet) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: {
+          requests: [{ addSheet: { properties: { title: 'approvals' } } }],
+        },
+      });
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: 'approvals!A1:H1',
+        valueInputOption: 'RAW',
+        resource: {
+          values: [['user_id', 'year_month', 'status', 'approver_id', 'actor_id', 'pdf_url', 'reason', 'created_at']],
+        },
+      });
+      console.log('Approvals sheet created');
+    }
+
     console.log('Settings spreadsheet setup completed successfully!');
     console.log(`Spreadsheet URL: https://docs.google.com/spreadsheets/d/${spreadsheetId}`);
   } catch (error) {
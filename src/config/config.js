@@ -25,11 +25,34 @@ module.exports = {
     ],
   },
 
+  ocr: {
+    engine: process.env.OCR_ENGINE || 'vision', // vision: Cloud Vision API, tesseract: ホスト上のtesseract
+    tesseractPath: process.env.TESSERACT_PATH || 'tesseract',
+    tesseractLanguages: process.env.TESSERACT_LANGUAGES || 'jpn+eng',
+    timeout: parseInt(process.env.OCR_TIMEOUT) || 60 * 1000,
+  },
+
+  storage: {
+    adapter: process.env.STORAGE_ADAPTER || 'file', // file: JSONファイル, memory: メモリ（再起動で消える）
+    dir: process.env.STORAGE_DIR || (process.env.PROJECT_DOMAIN ? '/app/.data' : '.data'), // Glitchでは.dataが再起動後も残る
+  },
+
   processing: {
     maxConcurrentProcesses: parseInt(process.env.MAX_CONCURRENT_PROCESSES) || 5,
     batchSize: parseInt(process.env.BATCH_SIZE) || 10,
   },
 
+  reminder: {
+    daysBefore: parseInt(process.env.REMINDER_DAYS_BEFORE ?? '3'), // 月末を含む最後の何日間に通知するか（0で通知しない）
+    hour: parseInt(process.env.REMINDER_HOUR) || 10, // 通知する時刻（日本時間、この時刻以降の最初の確認時）
+    autoExport: process.env.AUTO_EXPORT_ENABLED === 'true', // 毎月1日に前月分のPDFを自動で出力する
+  },
+
+  report: {
+    fiscalYearStartMonth: parseInt(process.env.FISCAL_YEAR_START_MONTH) || 4, // 年度の開始月（FY2025は2025年4月〜2026年3月）
+    maxMonths: 24, // 1回のレポートで集計できる月数
+  },
+
   glitch: {
     isGlitch: process.env.PROJECT_DOMAIN !== undefined,
     maxFileSize: 50 * 1024 * 1024, // 50MB
@@ -1,6 +1,7 @@
 const { App, ExpressReceiver } = require('@slack/bolt');
 const config = require('./config/config');
 const slackService = require('./services/slackService');
+const expenseRouter = require('./routes/expense');
 const fs = require('fs');
 const path = require('path');
 
@@ -46,7 +47,8 @@ receiver.app.use((req, res, next) => {
   console.log('[DEBUG] Incoming request:', {
     method: req.method,
     path: req.path,
-    headers: req.headers,
+    // APIトークンはログに残さない
+    headers: { ...req.headers, authorization: req.headers.authorization ? '[REDACTED]' : undefined },
     body: req.body
   });
   next();
@@ -72,6 +74,9 @@ expressApp.get('/health', (req, res) => {
   });
 });
 
+// 経費登録API（Slackを経由しない登録用）
+expressApp.use('/api/expenses', expenseRouter);
+
 // サーバー状態を公開
 app.isServerReady = () => isServerReady;
 
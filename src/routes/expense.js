@@ -1,104 +1,329 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { WebClient } = require('@slack/web-api');
 const config = require('../config/config');
 const ocrService = require('../services/ocrService');
 const driveService = require('../services/driveService');
 const sheetsService = require('../services/sheetsService');
+const slackService = require('../services/slackService');
+const { SettingsError, OperationError } = require('../utils/errors');
+const { parseMultipart } = require('../utils/multipart');
+const { getJstToday } = require('../utils/date');
 
 // Slackクライアントの初期化
 const slack = new WebClient(config.slack.botToken);
 
+// 受け付けるファイル形式
+const ALLOWED_MIME_TYPES = /^(image\/(png|jpe?g|gif|webp|heic)|application\/pdf)$/;
+
 // 認証ミドルウェア
 const authenticateRequest = (req, res, next) => {
+  // トークンが未設定の場合はAPIを無効にする
+  if (!config.glitch.apiToken) {
+    return res.status(503).json({ error: 'APIが有効になっていません' });
+  }
+
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: '認証が必要です' });
   }
 
-  const token = authHeader.split(' ')[1];
-  if (token !== config.glitch.apiToken) {
+  // タイミング攻撃を避けるため固定時間で比較
+  const token = Buffer.from(authHeader.split(' ')[1] || '');
+  const expected = Buffer.from(config.glitch.apiToken);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
     return res.status(403).json({ error: '無効なトークンです' });
   }
 
   next();
 };
 
-// バリデーションミドルウェア
-const validateExpenseData = (req, res, next) => {
-  const { user_id, file } = req.body;
+// リクエストボディの解析（JSONまたはmultipart/form-data）
+const parseBody = [
+  express.json({ limit: '70mb' }), // base64はファイルサイズの約4/3
+  express.raw({ type: 'multipart/form-data', limit: config.glitch.maxFileSize }),
+  (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      req.uploadedFile = null;
+      return next();
+    }
 
-  if (!user_id || !file) {
-    return res.status(400).json({ error: '必須パラメータが不足しています' });
+    try {
+      const { fields, files } = parseMultipart(req.body, req.headers['content-type']);
+      const file = files.find(item => item.fieldName === 'file');
+      req.body = fields;
+      req.uploadedFile = file
+        ? { name: file.fileName, mimeType: file.mimeType, content: file.content }
+        : null;
+      next();
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
+];
 
-  next();
+// 検証エラーのレスポンス
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  error: '入力内容に誤りがあります',
+  errors
+});
+
+/**
+ * JSONのfileパラメータ（base64）をファイルに変換する
+ * @param {{name: string, mime_type: string, content: string}} file fileパラメータ
+ * @returns {{name: string, mimeType: string, content: Buffer}} ファイル
+ */
+const decodeBase64File = (file) => ({
+  name: file.name || 'receipt',
+  mimeType: file.mime_type || '',
+  content: Buffer.from(file.content || '', 'base64')
+});
+
+/**
+ * 経費登録のパラメータを検証する
+ * @param {Object} body リクエストボディ
+ * @param {{name: string, mimeType: string, content: Buffer}|null} file 添付ファイル
+ * @returns {Array<{field: string, message: string}>} 検証エラー（問題がない場合は空）
+ */
+const validateExpense = (body, file) => {
+  const errors = [];
+
+  if (!body.user_id || !/^[UW][A-Z0-9]+$/.test(body.user_id)) {
+    errors.push({ field: 'user_id', message: 'SlackのユーザーIDを指定してください' });
+  }
+
+  if (body.date && (!/^\d{4}-\d{2}-\d{2}$/.test(body.date) || isNaN(Date.parse(body.date)))) {
+    errors.push({ field: 'date', message: '日付はYYYY-MM-DD形式で指定してください' });
+  }
+
+  if (body.amount !== undefined && body.amount !== '' && !/^[1-9]\d*$/.test(String(body.amount))) {
+    errors.push({ field: 'amount', message: '金額は1以上の整数で指定してください' });
+  }
+
+  // 金額はOCRで読み取るため、ファイルがない場合のみ必須
+  if ((body.amount === undefined || body.amount === '') && !file && !body.slack_file_id) {
+    errors.push({ field: 'amount', message: '金額または領収書ファイルを指定してください' });
+  }
+
+  if (body.tax_rate !== undefined && body.tax_rate !== '' && !['10', '8'].includes(String(body.tax_rate))) {
+    errors.push({ field: 'tax_rate', message: '税率は10または8を指定してください' });
+  }
+
+  if (body.tax_amount !== undefined && body.tax_amount !== '' && !/^\d+$/.test(String(body.tax_amount))) {
+    errors.push({ field: 'tax_amount', message: '消費税額は0以上の整数で指定してください' });
+  }
+
+  if (body.invoice_number && !/^T\d{13}$/.test(body.invoice_number)) {
+    errors.push({ field: 'invoice_number', message: '登録番号は「T」と13桁の数字で指定してください' });
+  }
+
+  if (file) {
+    if (!ALLOWED_MIME_TYPES.test(file.mimeType)) {
+      errors.push({ field: 'file', message: '領収書は画像またはPDFを指定してください' });
+    }
+    if (file.content.length === 0) {
+      errors.push({ field: 'file', message: '領収書ファイルが空です' });
+    } else if (file.content.length > config.glitch.maxFileSize) {
+      errors.push({ field: 'file', message: 'ファイルサイズが上限を超えています' });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * 年月のクエリパラメータを検証する
+ * @param {Object} query クエリパラメータ
+ * @returns {Array<{field: string, message: string}>} 検証エラー
+ */
+const validateMonthQuery = (query) => {
+  const errors = [];
+  if (!query.user_id || !/^[UW][A-Z0-9]+$/.test(query.user_id)) {
+    errors.push({ field: 'user_id', message: 'SlackのユーザーIDを指定してください' });
+  }
+  if (query.year_month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(query.year_month)) {
+    errors.push({ field: 'year_month', message: '年月はYYYY-MM形式で指定してください' });
+  }
+  return errors;
 };
 
-// 経費精算処理のエンドポイント
-router.post('/', authenticateRequest, validateExpenseData, async (req, res) => {
-  const { user_id, file, date, amount, details, memo } = req.body;
+// サービスのエラーをレスポンスに変換
+const sendServiceError = (res, error) => {
+  console.error('Expense API error:', error);
+  if (error instanceof SettingsError) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error instanceof OperationError && ['assertWritable', 'acquireLock'].includes(error.operation)) {
+    return res.status(409).json({ error: error.message });
+  }
+  // 内部のエラー内容は返さずログにのみ出力する
+  res.status(500).json({ error: 'エラーが発生しました' });
+};
+
+router.use(authenticateRequest);
+
+// 経費の登録
+// - multipart/form-data: 各パラメータとfile（領収書）
+// - JSON: 各パラメータとfile: { name, mime_type, content（base64） }、またはslack_file_id
+router.post('/', parseBody, async (req, res) => {
+  const body = req.body || {};
+  // 旧形式（fileにSlackのファイルIDを指定）にも対応
+  if (typeof body.file === 'string' && !body.slack_file_id) {
+    body.slack_file_id = body.file;
+  }
+  let file = req.uploadedFile;
+  if (!file && body.file && typeof body.file === 'object') {
+    file = decodeBase64File(body.file);
+  }
+
+  const errors = validateExpense(body, file);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
 
   try {
-    // ファイル情報の取得
-    const fileInfo = await slack.files.info({
-      file: file,
-      full: true,
-    });
+    // Slackにアップロード済みのファイル
+    if (!file && body.slack_file_id) {
+      const fileInfo = await slack.files.info({ file: body.slack_file_id });
+      file = {
+        name: fileInfo.file.name,
+        mimeType: fileInfo.file.mimetype,
+        content: await slackService.downloadFile(fileInfo.file.url_private)
+      };
+    }
 
-    // ファイルのダウンロードとバッファへの変換
-    const fileContent = Buffer.from(fileInfo.content);
-    const fileName = fileInfo.file.name;
-    const mimeType = fileInfo.file.mimetype;
+    const date = body.date || getJstToday().date;
+    let amount = body.amount ? parseInt(body.amount, 10) : null;
+    let details = body.details || '';
+
+    // 金額・内容が未指定の場合のみ領収書（画像・PDF）をOCRで読み取る
+    if (file && ocrService.isSupportedType(file.mimeType) && (!amount || !details)) {
+      const ocrResult = await ocrService.extractFileText(file.content, file.mimeType);
+      amount = amount || ocrResult.amount;
+      details = details || (ocrResult.details || '').split('\n')[0];
+    }
 
-    // 年月の取得（YYYY-MM）
-    const yearMonth = date ? date.substring(0, 7) : new Date().toISOString().substring(0, 7);
+    if (!amount) {
+      return sendValidationErrors(res, [
+        { field: 'amount', message: '領収書から金額を読み取れませんでした。金額を指定してください' }
+      ]);
+    }
 
     // Google Driveにアップロード
-    const driveFile = await driveService.uploadFile(
-      user_id,
-      yearMonth,
-      fileContent,
-      fileName,
-      mimeType
-    );
-
-    let finalAmount = amount;
-    let finalDetails = details;
-
-    // 必要な場合のみOCR処理を実行
-    if (!finalAmount || !finalDetails) {
-      const ocrResult = await ocrService.extractText(fileContent);
-      finalAmount = amount || ocrResult.amount;
-      finalDetails = details || ocrResult.details;
+    let fileUrl = '';
+    let duplicateFiles = [];
+    if (file) {
+      const driveFile = await driveService.uploadFile(
+        body.user_id,
+        date.substring(0, 7),
+        file.content,
+        file.name,
+        file.mimeType
+      );
+      fileUrl = driveFile.webViewLink;
+      duplicateFiles = driveFile.duplicates;
     }
 
+    // 重複の可能性がある登録済みの経費（今回の明細を含めないよう登録前に検索）
+    const duplicates = await sheetsService.findDuplicateEntries(body.user_id, {
+      date,
+      amount,
+      details: details || '（内容なし）',
+      fileIds: duplicateFiles.map(duplicateFile => duplicateFile.id),
+    });
+
     // スプレッドシートに登録
-    await sheetsService.addEntry({
-      userId: user_id,
-      date: date || new Date().toISOString().split('T')[0],
-      amount: finalAmount,
-      details: finalDetails,
-      memo: memo || '',
-      fileUrl: driveFile.webViewLink,
+    const result = await sheetsService.addEntry({
+      userId: body.user_id,
+      date,
+      amount,
+      details: details || '（内容なし）',
+      memo: body.memo || '',
+      category: body.category || '',
+      taxRate: body.tax_rate ? parseInt(body.tax_rate, 10) : null,
+      taxAmount: body.tax_amount !== undefined && body.tax_amount !== '' ? parseInt(body.tax_amount, 10) : null,
+      invoiceNumber: body.invoice_number || '',
+      fileUrl,
     });
 
     // 成功レスポンスを返す
-    res.json({
+    res.status(201).json({
       success: true,
-      date: date || new Date().toISOString().split('T')[0],
-      amount: finalAmount,
-      details: finalDetails,
-      file_url: driveFile.webViewLink,
+      date,
+      amount,
+      details: details || '（内容なし）',
+      file_url: fileUrl,
+      sheet_url: result.sheetUrl,
+      duplicates: duplicates.map(duplicate => ({
+        year_month: duplicate.yearMonth,
+        no: duplicate.no,
+        date: duplicate.date,
+        amount: duplicate.amount,
+        details: duplicate.details,
+        sheet_url: duplicate.sheetUrl,
+        same_receipt: duplicate.sameReceipt,
+      })),
     });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// 登録状況の取得
+router.get('/status', async (req, res) => {
+  const errors = validateMonthQuery(req.query);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
 
+  try {
+    const yearMonth = req.query.year_month || getJstToday().yearMonth;
+    const status = await sheetsService.getStatus(req.query.user_id, yearMonth);
+    res.json({
+      year_month: status.yearMonth,
+      count: status.count,
+      total: status.total,
+      category_totals: status.categoryTotals,
+      last_update: status.lastUpdate,
+      sheet_count: status.sheetCount,
+      sheet_url: status.sheetUrl,
+    });
   } catch (error) {
-    console.error('Expense processing error:', error);
-    res.status(500).json({
-      error: 'エラーが発生しました',
-      message: error.message,
+    sendServiceError(res, error);
+  }
+});
+
+// 登録一覧の取得
+router.get('/', async (req, res) => {
+  const errors = validateMonthQuery(req.query);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const yearMonth = req.query.year_month || getJstToday().yearMonth;
+    const list = await sheetsService.getList(req.query.user_id, yearMonth);
+    res.json({
+      year_month: list.yearMonth,
+      total: list.total,
+      entries: list.entries.map(entry => ({
+        no: entry.no,
+        date: entry.date,
+        amount: entry.amount,
+        details: entry.details,
+        memo: entry.memo,
+        category: entry.category,
+        tax_rate: entry.taxRate,
+        tax_amount: entry.taxAmount,
+        invoice_number: entry.invoiceNumber,
+        file_url: entry.fileUrl,
+      })),
+      sheet_url: list.sheetUrl,
     });
+  } catch (error) {
+    sendServiceError(res, error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
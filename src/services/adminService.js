@@ -0,0 +1,197 @@
+const { google } = require('googleapis');
+const settingsService = require('./settingsService');
+const sheetsService = require('./sheetsService');
+const approvalService = require('./approvalService');
+const exportService = require('./exportService');
+const { OperationError } = require('../utils/errors');
+
+// 集計シートの固定列（この後に勘定科目ごとの列を追加する）
+const SUMMARY_COLUMNS = ['user_id', 'email', '件数', '合計金額', '承認状態', 'PDF出力', '最終更新', 'スプレッドシート'];
+
+// デバッグログの設定
+const debugLog = (message, ...args) => {
+  console.log(`[DEBUG] ${message}`, ...args);
+};
+
+// エラーログの設定
+const errorLog = (message, error) => {
+  console.error(`[ERROR] ${message}`, error);
+  if (error.stack) {
+    console.error(error.stack);
+  }
+};
+
+/**
+ * 管理者向けに全ユーザーの経費精算の状況を集計する
+ * 月ごとの集計は管理用スプレッドシートのsummary_YYYY_MMシートに書き出す
+ */
+class AdminService {
+  constructor() {
+    const clientEmail = process.env.GOOGLE_CLIENT_EMAIL;
+    const privateKey = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+    if (!clientEmail || !privateKey) {
+      throw new Error('GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY environment variables are required');
+    }
+
+    this.auth = new google.auth.JWT(
+      clientEmail,
+      null,
+      privateKey,
+      ['https://www.googleapis.com/auth/spreadsheets']
+    );
+    this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+    this.spreadsheetId = process.env.SETTINGS_SPREADSHEET_ID;
+
+    if (!this.spreadsheetId) {
+      throw new Error('SETTINGS_SPREADSHEET_ID environment variable is required');
+    }
+  }
+
+  /**
+   * 集計シートの名前を取得する
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {string} シート名（summary_YYYY_MM）
+   */
+  getSummarySheetName(yearMonth) {
+    return `summary_${yearMonth.replace('-', '_')}`;
+  }
+
+  /**
+   * 全ユーザーの月の状況を取得する
+   * 参照のみのため、シートや年月フォルダがないユーザーの分は作成せず未登録として扱う
+   * 取得に失敗したユーザーはerrorに理由を入れて続ける
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<Array<{userId: string, email: string, count: number, total: number, categoryTotals: Object[], lastUpdate: string|null, approvalStatus: string, exported: Object|null, sheetUrl: string, error: string|null}>>} ユーザーごとの状況
+   */
+  async getMonthOverview(yearMonth) {
+    const users = await settingsService.getAllUserSettings();
+    const overview = [];
+
+    // Sheets APIの利用制限を超えないよう1人ずつ取得する
+    for (const user of users) {
+      const base = {
+        userId: user.user_id,
+        email: user.email || '',
+        count: 0,
+        total: 0,
+        categoryTotals: [],
+        lastUpdate: null,
+        approvalStatus: 'draft',
+        exported: null,
+        sheetUrl: '',
+        error: null,
+      };
+
+      try {
+        const [[month], approval, exported] = await Promise.all([
+          sheetsService.getEntriesByMonths(user.user_id, [yearMonth]),
+          approvalService.getApproval(user.user_id, yearMonth),
+          exportService.getExportedReport(user.user_id, yearMonth).catch(() => null),
+        ]);
+        const { entries } = month;
+        overview.push({
+          ...base,
+          count: entries.length,
+          total: entries.reduce((sum, entry) => sum + entry.amount, 0),
+          categoryTotals: sheetsService.summarizeByCategory(entries),
+          lastUpdate: entries.length > 0 ? entries[entries.length - 1].date : null,
+          approvalStatus: approval.status,
+          exported,
+          sheetUrl: month.sheetUrl,
+        });
+      } catch (error) {
+        errorLog(`Error getting overview for ${user.user_id}:`, error);
+        overview.push({ ...base, error: error.message });
+      }
+    }
+
+    debugLog(`Month overview for ${yearMonth}: ${overview.length} users`);
+    return overview;
+  }
+
+  /**
+   * 月の状況から集計シートの行を作成する
+   * @param {Object[]} overview getMonthOverviewの結果
+   * @returns {Array<Array<string|number>>} ヘッダー行・ユーザーごとの行・合計行
+   */
+  buildSummaryRows(overview) {
+    const categories = [...new Set(overview.flatMap(item => item.categoryTotals.map(total => total.category)))];
+
+    const rows = overview.map(item => {
+      const categoryTotals = new Map(item.categoryTotals.map(total => [total.category, total.total]));
+      return [
+        item.userId,
+        item.email,
+        item.count,
+        item.total,
+        item.error ? `取得失敗: ${item.error}` : approvalService.formatStatus(item.approvalStatus),
+        item.exported ? item.exported.fileUrl : '未出力',
+        item.lastUpdate || '',
+        item.sheetUrl,
+        ...categories.map(category => categoryTotals.get(category) || 0),
+      ];
+    });
+
+    const sum = (index) => rows.reduce((total, row) => total + row[index], 0);
+    const totalRow = [
+      '合計', '', sum(2), sum(3), '', '', '', '',
+      ...categories.map((_, i) => sum(SUMMARY_COLUMNS.length + i)),
+    ];
+
+    return [[...SUMMARY_COLUMNS, ...categories], ...rows, totalRow];
+  }
+
+  /**
+   * 月の集計シートを作成する（既存の場合は内容を置き換える）
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {Object[]} overview getMonthOverviewの結果
+   * @returns {Promise<{sheetUrl: string, userCount: number, total: number}>} 集計シートのURLと集計結果
+   */
+  async writeSummary(yearMonth, overview) {
+    const sheetName = this.getSummarySheetName(yearMonth);
+    const rows = this.buildSummaryRows(overview);
+
+    try {
+      const response = await this.sheets.spreadsheets.get({
+        spreadsheetId: this.spreadsheetId,
+        fields: 'sheets.properties'
+      });
+      let sheet = response.data.sheets.find(item => item.properties.title === sheetName);
+
+      if (sheet) {
+        await this.sheets.spreadsheets.values.clear({
+          spreadsheetId: this.spreadsheetId,
+          range: sheetName
+        });
+      } else {
+        debugLog(`Creating ${sheetName} sheet`);
+        const created = await this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: {
+            requests: [{ addSheet: { properties: { title: sheetName } } }]
+          }
+        });
+        sheet = created.data.replies[0].addSheet;
+      }
+
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!A1`,
+        valueInputOption: 'RAW',
+        resource: { values: rows }
+      });
+
+      return {
+        sheetUrl: `https://docs.google.com/spreadsheets/d/${this.spreadsheetId}/edit#gid=${sheet.properties.sheetId}`,
+        userCount: overview.length,
+        total: overview.reduce((sum, item) => sum + item.total, 0),
+      };
+    } catch (error) {
+      errorLog('Error writing summary sheet:', error);
+      throw new OperationError('集計シートの作成に失敗しました。', null, 'writeSummary');
+    }
+  }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,269 @@
+const { google } = require('googleapis');
+const { OperationError } = require('../utils/errors');
+
+// 承認状態の表示名
+const STATUS_LABELS = {
+  draft: '未申請',
+  submitted: '承認待ち',
+  approved: '承認済み',
+  rejected: '差し戻し'
+};
+
+// デバッグログの設定
+const debugLog = (message, ...args) => {
+  console.log(`[DEBUG] ${message}`, ...args);
+};
+
+// エラーログの設定
+const errorLog = (message, error) => {
+  console.error(`[ERROR] ${message}`, error);
+  if (error.stack) {
+    console.error(error.stack);
+  }
+};
+
+/**
+ * 月ごとの経費精算の承認状態を管理する
+ * 管理用スプレッドシートのapprovalsシートに操作ごとの行を追記し、
+ * ユーザー・年月ごとの最新の行を現在の状態とする（行は削除しないため監査ログを兼ねる）
+ */
+class ApprovalService {
+  constructor() {
+    const clientEmail = process.env.GOOGLE_CLIENT_EMAIL;
+    const privateKey = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+    if (!clientEmail || !privateKey) {
+      throw new Error('GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY environment variables are required');
+    }
+
+    this.auth = new google.auth.JWT(
+      clientEmail,
+      null,
+      privateKey,
+      ['https://www.googleapis.com/auth/spreadsheets']
+    );
+    this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+    this.spreadsheetId = process.env.SETTINGS_SPREADSHEET_ID;
+    this.sheetName = 'approvals';
+    this.sheetReady = false;
+
+    if (!this.spreadsheetId) {
+      throw new Error('SETTINGS_SPREADSHEET_ID environment variable is required');
+    }
+  }
+
+  /**
+   * 承認状態の表示名を取得する
+   * @param {string} status 承認状態（draft, submitted, approved, rejected）
+   * @returns {string} 表示名
+   */
+  formatStatus(status) {
+    return STATUS_LABELS[status] || status;
+  }
+
+  /**
+   * approvalsシートがなければ作成する
+   * @returns {Promise<void>}
+   */
+  async ensureSheet() {
+    if (this.sheetReady) return;
+
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+      fields: 'sheets.properties'
+    });
+    const exists = response.data.sheets.some(sheet => sheet.properties.title === this.sheetName);
+
+    if (!exists) {
+      debugLog(`Creating ${this.sheetName} sheet`);
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: {
+          requests: [{ addSheet: { properties: { title: this.sheetName } } }]
+        }
+      });
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.sheetName}!A1:H1`,
+        valueInputOption: 'RAW',
+        resource: {
+          values: [['user_id', 'year_month', 'status', 'approver_id', 'actor_id', 'pdf_url', 'reason', 'created_at']]
+        }
+      });
+    }
+
+    this.sheetReady = true;
+  }
+
+  /**
+   * 承認の履歴を取得する
+   * @param {string} userId 申請者のユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<Array<{status: string, approverId: string, actorId: string, pdfUrl: string, reason: string, createdAt: string}>>} 古い順の履歴
+   */
+  async getHistory(userId, yearMonth) {
+    try {
+      await this.ensureSheet();
+      const response = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.sheetName}!A2:H`
+      });
+
+      return (response.data.values || [])
+        .filter(row => row[0] === userId && row[1] === yearMonth)
+        .map(row => ({
+          status: row[2],
+          approverId: row[3] || '',
+          actorId: row[4] || '',
+          pdfUrl: row[5] || '',
+          reason: row[6] || '',
+          createdAt: row[7] || ''
+        }));
+    } catch (error) {
+      errorLog('Error getting approval history:', error);
+      throw new OperationError('承認状態の取得に失敗しました。', userId, 'getApprovalHistory');
+    }
+  }
+
+  /**
+   * 現在の承認状態を取得する
+   * @param {string} userId 申請者のユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<{status: string, approverId: string, actorId: string, pdfUrl: string, reason: string, createdAt: string}>} 最新の状態（申請前はdraft）
+   */
+  async getApproval(userId, yearMonth) {
+    const history = await this.getHistory(userId, yearMonth);
+    return history[history.length - 1] ||
+      { status: 'draft', approverId: '', actorId: '', pdfUrl: '', reason: '', createdAt: '' };
+  }
+
+  /**
+   * 承認状態の変更を記録する
+   * @param {Object} params パラメータ
+   * @returns {Promise<void>}
+   */
+  async appendRecord({ userId, yearMonth, status, approverId, actorId, pdfUrl = '', reason = '' }) {
+    await this.ensureSheet();
+    await this.sheets.spreadsheets.values.append({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!A2:H`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      resource: {
+        values: [[userId, yearMonth, status, approverId, actorId, pdfUrl, reason, new Date().toISOString()]]
+      }
+    });
+  }
+
+  /**
+   * 承認を依頼する
+   * @param {Object} params パラメータ
+   * @param {string} params.userId 申請者のユーザーID
+   * @param {string} params.yearMonth YYYY-MM形式の年月
+   * @param {string} params.approverId 承認者のユーザーID
+   * @param {string} params.pdfUrl 経費精算書PDFのURL
+   * @param {function(): Promise<void>} [params.notify] 承認者への依頼の送信（失敗した場合は申請を取り消して未申請に戻す）
+   * @returns {Promise<void>}
+   */
+  async submit({ userId, yearMonth, approverId, pdfUrl, notify }) {
+    const current = await this.getApproval(userId, yearMonth);
+    if (current.status === 'submitted' || current.status === 'approved') {
+      throw new OperationError(
+        `${yearMonth}は${this.formatStatus(current.status)}のため申請できません。`,
+        userId,
+        'submitApproval'
+      );
+    }
+
+    try {
+      await this.appendRecord({ userId, yearMonth, status: 'submitted', approverId, actorId: userId, pdfUrl });
+      debugLog(`Approval submitted: ${userId} ${yearMonth} -> ${approverId}`);
+    } catch (error) {
+      errorLog('Error submitting approval:', error);
+      throw new OperationError('承認依頼の記録に失敗しました。', userId, 'submitApproval');
+    }
+
+    if (!notify) return;
+    try {
+      await notify();
+    } catch (error) {
+      // 承認者に届かない申請が承認待ちのまま残り、再申請できなくならないようにする
+      errorLog('Error notifying approver:', error);
+      await this.appendRecord({
+        userId,
+        yearMonth,
+        status: 'draft',
+        approverId,
+        actorId: userId,
+        pdfUrl,
+        reason: '承認者への依頼の送信に失敗したため取り消し'
+      });
+      throw new OperationError(
+        `<@${approverId}>さんに承認依頼を送信できなかったため、申請を取り消しました。承認者の設定を確認して再度申請してください。`,
+        userId,
+        'submitApproval'
+      );
+    }
+  }
+
+  /**
+   * 承認または差し戻しを記録する
+   * @param {Object} params パラメータ
+   * @param {string} params.userId 申請者のユーザーID
+   * @param {string} params.yearMonth YYYY-MM形式の年月
+   * @param {string} params.actorId 操作した承認者のユーザーID
+   * @param {boolean} params.approved 承認する場合はtrue、差し戻す場合はfalse
+   * @param {string} [params.reason] 差し戻しの理由
+   * @returns {Promise<{status: string, pdfUrl: string}>} 記録した状態
+   */
+  async decide({ userId, yearMonth, actorId, approved, reason = '' }) {
+    const current = await this.getApproval(userId, yearMonth);
+    if (current.status !== 'submitted') {
+      throw new OperationError(
+        `${yearMonth}は${this.formatStatus(current.status)}のため処理できません。`,
+        actorId,
+        'decideApproval'
+      );
+    }
+    if (current.approverId !== actorId) {
+      throw new OperationError('この申請の承認者ではありません。', actorId, 'decideApproval');
+    }
+
+    const status = approved ? 'approved' : 'rejected';
+    try {
+      await this.appendRecord({
+        userId,
+        yearMonth,
+        status,
+        approverId: current.approverId,
+        actorId,
+        pdfUrl: current.pdfUrl,
+        reason
+      });
+      debugLog(`Approval ${status}: ${userId} ${yearMonth} by ${actorId}`);
+      return { status, pdfUrl: current.pdfUrl };
+    } catch (error) {
+      errorLog('Error recording approval decision:', error);
+      throw new OperationError('承認結果の記録に失敗しました。', actorId, 'decideApproval');
+    }
+  }
+
+  /**
+   * 経費を変更できる月か確認する（承認済みの月は変更不可）
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<void>}
+   */
+  async assertWritable(userId, yearMonth) {
+    const current = await this.getApproval(userId, yearMonth);
+    if (current.status === 'approved') {
+      throw new OperationError(
+        `${yearMonth}の経費精算は承認済みのため変更できません。`,
+        userId,
+        'assertWritable'
+      );
+    }
+  }
+}
+
+module.exports = new ApprovalService();
@@ -0,0 +1,284 @@
+const iconv = require('iconv-lite');
+const sheetsService = require('./sheetsService');
+const driveService = require('./driveService');
+const { OperationError } = require('../utils/errors');
+
+// 貸方の勘定科目（立替経費は従業員への未払金として計上する）
+const CREDIT_ACCOUNT = '未払金';
+// 勘定科目が未入力の明細の借方勘定科目
+const DEFAULT_DEBIT_ACCOUNT = '雑費';
+// 出力する文字コード（会計ソフトが読み込むShift_JISはWindowsの拡張文字を含むCP932）
+const ENCODING = 'cp932';
+// JISとCP932で対応する文字が異なる記号（macOSなどで入力した「〜」「−」をCP932の文字にそろえる）
+const CP932_REPLACEMENTS = {
+  '\u301C': '\uFF5E', // 〜 → ～
+  '\u2212': '\uFF0D', // − → －
+  '\u2016': '\u2225', // ‖ → ∥
+  '\u2014': '\u2015', // — → ―
+  '\u00A2': '\uFFE0', // ¢ → ￠
+  '\u00A3': '\uFFE1', // £ → ￡
+  '\u00AC': '\uFFE2', // ¬ → ￢
+};
+const CP932_REPLACEMENT_PATTERN = new RegExp(`[${Object.keys(CP932_REPLACEMENTS).join('')}]`, 'g');
+
+/**
+ * 会計ソフトごとの仕訳CSVの形式
+ * columnsは[ヘッダー, 値を返す関数]の配列（関数は仕訳と行番号を受け取る）
+ * 弥生会計のインポート形式はヘッダー行なし
+ */
+const FORMATS = {
+  freee: {
+    label: 'freee',
+    header: true,
+    taxCategories: { 10: '課対仕入10%', 8: '課対仕入8%（軽）' },
+    columns: [
+      ['日付', journal => journal.date],
+      ['伝票番号', (journal, index) => index + 1],
+      ['借方勘定科目', journal => journal.debitAccount],
+      ['借方税区分', journal => journal.taxCategory],
+      ['借方金額', journal => journal.amount],
+      ['借方税額', journal => journal.taxAmount],
+      ['貸方勘定科目', journal => journal.creditAccount],
+      ['貸方税区分', () => '対象外'],
+      ['貸方金額', journal => journal.amount],
+      ['貸方税額', () => 0],
+      ['摘要', journal => journal.description],
+      ['備考', journal => journal.memo],
+    ],
+  },
+  mf: {
+    label: 'マネーフォワード',
+    header: true,
+    taxCategories: { 10: '課税仕入 10%', 8: '課税仕入 (軽)8%' },
+    columns: [
+      ['取引No', (journal, index) => index + 1],
+      ['取引日', journal => journal.date],
+      ['借方勘定科目', journal => journal.debitAccount],
+      ['借方補助科目', () => ''],
+      ['借方部門', () => ''],
+      ['借方取引先', () => ''],
+      ['借方税区分', journal => journal.taxCategory],
+      ['借方インボイス', journal => journal.invoiceNumber ? '適格' : ''],
+      ['借方金額(円)', journal => journal.amount],
+      ['借方税額', journal => journal.taxAmount],
+      ['貸方勘定科目', journal => journal.creditAccount],
+      ['貸方補助科目', () => ''],
+      ['貸方部門', () => ''],
+      ['貸方取引先', () => ''],
+      ['貸方税区分', () => '対象外'],
+      ['貸方インボイス', () => ''],
+      ['貸方金額(円)', journal => journal.amount],
+      ['貸方税額', () => 0],
+      ['摘要', journal => journal.description],
+      ['仕訳メモ', journal => journal.memo],
+      ['タグ', () => ''],
+      ['MF仕訳タイプ', () => ''],
+      ['決算整理仕訳', () => ''],
+    ],
+  },
+  yayoi: {
+    label: '弥生会計',
+    header: false,
+    taxCategories: { 10: '課対仕入込10%', 8: '課対仕入込軽減8%' },
+    columns: [
+      ['識別フラグ', () => '2000'],
+      ['伝票No', (journal, index) => index + 1],
+      ['決算', () => ''],
+      ['取引日付', journal => journal.date],
+      ['借方勘定科目', journal => journal.debitAccount],
+      ['借方補助科目', () => ''],
+      ['借方部門', () => ''],
+      ['借方税区分', journal => journal.taxCategory],
+      ['借方金額', journal => journal.amount],
+      ['借方税金額', journal => journal.taxAmount],
+      ['貸方勘定科目', journal => journal.creditAccount],
+      ['貸方補助科目', () => ''],
+      ['貸方部門', () => ''],
+      ['貸方税区分', () => '対象外'],
+      ['貸方金額', journal => journal.amount],
+      ['貸方税金額', () => 0],
+      ['摘要', journal => journal.description],
+      ['番号', () => ''],
+      ['期日', () => ''],
+      ['タイプ', () => 0],
+      ['生成元', () => ''],
+      ['仕訳メモ', journal => journal.memo],
+      ['付箋1', () => 0],
+      ['付箋2', () => 0],
+      ['調整', () => 'no'],
+    ],
+  },
+};
+
+// コマンドで指定できる形式の別名
+const FORMAT_ALIASES = {
+  freee: 'freee',
+  mf: 'mf',
+  moneyforward: 'mf',
+  'マネーフォワード': 'mf',
+  yayoi: 'yayoi',
+  '弥生': 'yayoi',
+};
+
+// デバッグログの設定
+const debugLog = (message, ...args) => {
+  console.log(`[DEBUG] ${message}`, ...args);
+};
+
+// エラーログの設定
+const errorLog = (message, error) => {
+  console.error(`[ERROR] ${message}`, error);
+  if (error.stack) {
+    console.error(error.stack);
+  }
+};
+
+/**
+ * 月の明細を会計ソフト（freee・マネーフォワード・弥生会計）の仕訳CSVに変換する
+ * 借方は明細の勘定科目、貸方は未払金とし、Shift_JIS（CP932）で出力する
+ */
+class CsvExportService {
+  constructor() {
+    this.formats = FORMATS;
+  }
+
+  /**
+   * 形式の指定を解析する
+   * @param {string} [name] 形式の名前（省略時はfreee）
+   * @returns {string|null} 形式のキー（不明な場合はnull）
+   */
+  parseFormat(name) {
+    if (!name) return 'freee';
+    return FORMAT_ALIASES[name.toLowerCase()] || null;
+  }
+
+  /**
+   * 明細を仕訳に変換する
+   * @param {Object} entry 明細（sheetsService.getListのentries）
+   * @param {string} format 形式のキー
+   * @returns {{date: string, debitAccount: string, creditAccount: string, taxCategory: string, amount: number, taxAmount: number, description: string, memo: string, invoiceNumber: string}} 仕訳
+   */
+  toJournal(entry, format) {
+    const taxRate = entry.taxRate || null;
+    let taxAmount = 0;
+    if (Number.isInteger(entry.taxAmount)) {
+      taxAmount = entry.taxAmount;
+    } else if (taxRate) {
+      // 税額が未入力の場合は税込金額から計算する（1円未満切り捨て）
+      taxAmount = Math.floor(entry.amount * taxRate / (100 + taxRate));
+    }
+
+    return {
+      date: entry.date.replace(/-/g, '/'),
+      debitAccount: entry.category || DEFAULT_DEBIT_ACCOUNT,
+      creditAccount: CREDIT_ACCOUNT,
+      taxCategory: (taxRate && this.formats[format].taxCategories[taxRate]) || '',
+      amount: entry.amount,
+      taxAmount,
+      description: entry.details,
+      memo: [entry.memo, entry.invoiceNumber].filter(value => value).join(' '),
+      invoiceNumber: entry.invoiceNumber || '',
+    };
+  }
+
+  /**
+   * CP932で表せる文字にそろえる
+   * @param {string} text 文字列
+   * @returns {string} 置き換えた文字列
+   */
+  normalizeText(text) {
+    return text.replace(CP932_REPLACEMENT_PATTERN, char => CP932_REPLACEMENTS[char]);
+  }
+
+  /**
+   * CP932で表せない文字を取得する（出力すると「?」になる）
+   * @param {string} text 文字列
+   * @returns {string[]} 表せない文字（重複なし）
+   */
+  findUnencodableChars(text) {
+    const chars = [...new Set(this.normalizeText(text))];
+    return chars.filter(char => iconv.decode(iconv.encode(char, ENCODING), ENCODING) !== char);
+  }
+
+  /**
+   * CSVの値をエスケープする
+   * @param {string|number} value 値
+   * @returns {string} CSVの値
+   */
+  escape(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * 明細から仕訳CSVを作成する
+   * @param {Object[]} entries 明細
+   * @param {string} format 形式のキー
+   * @returns {string} CSV（改行はCRLF）
+   */
+  buildCsv(entries, format) {
+    const { header, columns } = this.formats[format];
+    const rows = entries.map((entry, index) => {
+      const journal = this.toJournal(entry, format);
+      return columns.map(([, value]) => value(journal, index));
+    });
+    if (header) {
+      rows.unshift(columns.map(([name]) => name));
+    }
+
+    return rows.map(row => row.map(value => this.escape(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 仕訳CSVのファイル名を取得する
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {string} format 形式のキー
+   * @returns {string} ファイル名
+   */
+  getFileName(yearMonth, format) {
+    return `仕訳_${format}_${yearMonth}.csv`;
+  }
+
+  /**
+   * 月の仕訳CSVを作成し、年月フォルダ（経費精算書のPDFと同じフォルダ）に保存する
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {string} format 形式のキー
+   * @returns {Promise<{content: Buffer, fileName: string, fileUrl: string, count: number, total: number, uncategorized: Object[], unencodable: Array<{entry: Object, chars: string[]}>}>} Shift_JISのCSVと保存先（unencodableは「?」として出力した文字を含む明細）
+   */
+  async exportJournalCsv(userId, yearMonth, format) {
+    if (!this.formats[format]) {
+      throw new OperationError(`未対応の形式です: ${format}`, userId, 'exportJournalCsv');
+    }
+
+    const { entries, total } = await sheetsService.getList(userId, yearMonth);
+    if (entries.length === 0) {
+      throw new OperationError(`${yearMonth}に登録された経費がありません。`, userId, 'exportJournalCsv');
+    }
+
+    debugLog(`Exporting ${entries.length} entries as ${format} CSV for ${yearMonth}`);
+    const content = iconv.encode(this.normalizeText(this.buildCsv(entries, format)), ENCODING);
+    const unencodable = entries
+      .map(entry => ({ entry, chars: this.findUnencodableChars([entry.category, entry.details, entry.memo].join('')) }))
+      .filter(item => item.chars.length > 0);
+    const fileName = this.getFileName(yearMonth, format);
+
+    try {
+      const file = await driveService.replaceFile(userId, yearMonth, content, fileName, 'text/csv');
+      return {
+        content,
+        fileName,
+        fileUrl: file.webViewLink || `https://drive.google.com/file/d/${file.id}/view`,
+        count: entries.length,
+        total,
+        uncategorized: entries.filter(entry => !entry.category),
+        unencodable,
+      };
+    } catch (error) {
+      errorLog('Error saving journal CSV:', error);
+      throw new OperationError('仕訳CSVの保存に失敗しました。', userId, 'exportJournalCsv');
+    }
+  }
+}
+
+module.exports = new CsvExportService();
@@ -1,4 +1,5 @@
 const { google } = require('googleapis');
+const crypto = require('crypto');
 const settingsService = require('./settingsService');
 const { Readable } = require('stream');
 const { OperationError } = require('../utils/errors');
@@ -39,6 +40,22 @@ class DriveService {
     }
   }
 
+  /**
+   * フォルダを検索する（作成はしない）
+   * @param {string} name フォルダ名
+   * @param {string} parentId 親フォルダID
+   * @returns {Promise<string|null>} フォルダID（見つからない場合はnull）
+   */
+  async findFolder(name, parentId) {
+    const query = `mimeType='application/vnd.google-apps.folder' and name='${name}' and '${parentId}' in parents and trashed=false`;
+    const response = await this.drive.files.list({
+      q: query,
+      fields: 'files(id)',
+      spaces: 'drive',
+    });
+    return response.data.files.length > 0 ? response.data.files[0].id : null;
+  }
+
   /**
    * フォルダを作成または取得する
    * @param {string} userId ユーザーID
@@ -52,17 +69,12 @@ class DriveService {
       debugLog(`Ensuring folder: ${name} in ${parentId}`);
 
       // 既存のフォルダを検索
-      const query = `mimeType='application/vnd.google-apps.folder' and name='${name}' and '${parentId}' in parents and trashed=false`;
-      const response = await this.drive.files.list({
-        q: query,
-        fields: 'files(id)',
-        spaces: 'drive',
-      });
+      const existingId = await this.findFolder(name, parentId);
 
       // 既存のフォルダが見つかった場合
-      if (response.data.files.length > 0) {
-        debugLog(`Found existing folder: ${response.data.files[0].id}`);
-        return response.data.files[0].id;
+      if (existingId) {
+        debugLog(`Found existing folder: ${existingId}`);
+        return existingId;
       }
 
       // フォルダを作成
@@ -144,6 +156,26 @@ class DriveService {
     }
   }
 
+  /**
+   * 既存の年月フォルダを取得する（参照のみのため、フォルダがなくても作成しない）
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<string|null>} フォルダID（ユーザーフォルダまたは年月フォルダがない場合はnull）
+   */
+  async findMonthFolder(userId, yearMonth) {
+    try {
+      const userFolderId = await this.findFolder(userId, this.rootFolderId);
+      return userFolderId ? await this.findFolder(yearMonth, userFolderId) : null;
+    } catch (error) {
+      errorLog('Find month folder error:', error);
+      throw new OperationError(
+        '年月フォルダの取得に失敗しました。',
+        userId,
+        'findMonthFolder'
+      );
+    }
+  }
+
   /**
    * 指定したフォルダ内の特定のファイルを検索して削除する
    * @param {string} folderId フォルダID
@@ -179,14 +211,158 @@ class DriveService {
     }
   }
 
+  /**
+   * 年月フォルダに出力ファイルを保存する（同名のファイルは置き換える）
+   * 領収書ではないため重複の検出用のハッシュ値は記録しない
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {Buffer} content ファイルの内容
+   * @param {string} fileName ファイル名
+   * @param {string} mimeType MIMEタイプ
+   * @returns {Promise<{id: string, name: string, webViewLink: string}>} ファイル情報
+   */
+  async replaceFile(userId, yearMonth, content, fileName, mimeType) {
+    const monthFolderId = await this.getOrCreateMonthFolder(userId, yearMonth);
+    await this.deleteFileByName(monthFolderId, fileName);
+
+    try {
+      const stream = new Readable();
+      stream.push(content);
+      stream.push(null);
+
+      const file = await this.drive.files.create({
+        resource: {
+          name: fileName,
+          parents: [monthFolderId],
+        },
+        media: {
+          mimeType,
+          body: stream,
+        },
+        fields: 'id, webViewLink',
+      });
+
+      debugLog(`File saved: ${fileName}`);
+      return {
+        id: file.data.id,
+        name: fileName,
+        webViewLink: file.data.webViewLink,
+      };
+    } catch (error) {
+      errorLog('Save file error:', error);
+      throw new OperationError(
+        'ファイルの保存に失敗しました。',
+        userId,
+        'replaceFile'
+      );
+    }
+  }
+
+  /**
+   * 共有リンクからファイルIDを取り出す
+   * @param {string} url Google Driveの共有リンク
+   * @returns {string|null} ファイルID（取り出せない場合はnull）
+   */
+  extractFileId(url) {
+    if (!url) return null;
+    const match = url.match(/\/d\/([a-zA-Z0-9_-]+)/) || url.match(/[?&]id=([a-zA-Z0-9_-]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * ファイルを削除する
+   * @param {string} userId ユーザーID
+   * @param {string} fileId ファイルID
+   * @returns {Promise<void>}
+   */
+  async deleteFile(userId, fileId) {
+    try {
+      debugLog(`Deleting file: ${fileId} for user: ${userId}`);
+      await this.drive.files.delete({
+        fileId: fileId
+      });
+    } catch (error) {
+      errorLog('Delete file error:', error);
+      throw new OperationError(
+        'ファイルの削除に失敗しました。',
+        userId,
+        'deleteFile'
+      );
+    }
+  }
+
+  /**
+   * ファイルの内容のハッシュ値を計算する
+   * @param {Buffer} content ファイルの内容
+   * @returns {string} SHA-256のハッシュ値（16進数）
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * ユーザーがアップロード済みの同じ内容のファイルを検索する（全期間）
+   * @param {string} userId ユーザーID
+   * @param {string} hash ファイルの内容のハッシュ値
+   * @returns {Promise<Array<{id: string, name: string, webViewLink: string, createdTime: string}>>} ファイル情報の配列
+   */
+  async findFilesByHash(userId, hash) {
+    debugLog(`Searching for files with hash: ${hash}`);
+    const response = await this.drive.files.list({
+      q: `appProperties has { key='userId' and value='${userId}' } and appProperties has { key='sha256' and value='${hash}' } and trashed=false`,
+      fields: 'files(id, name, webViewLink, createdTime)',
+      spaces: 'drive',
+    });
+    return response.data.files;
+  }
+
+  /**
+   * フォルダ内で重複しないファイル名を取得する
+   * 同名のファイルがある場合は「名前 (2).拡張子」のように番号を付ける
+   * @param {string} folderId フォルダID
+   * @param {string} fileName ファイル名
+   * @returns {Promise<string>} ファイル名
+   */
+  async getUniqueFileName(folderId, fileName) {
+    // 1000件を超える場合も同名のファイルを見落とさないよう全ページを取得する
+    const names = new Set();
+    let pageToken;
+    do {
+      const response = await this.drive.files.list({
+        q: `'${folderId}' in parents and trashed=false`,
+        fields: 'nextPageToken, files(name)',
+        spaces: 'drive',
+        pageSize: 1000,
+        pageToken,
+      });
+      response.data.files.forEach(file => names.add(file.name));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    if (!names.has(fileName)) {
+      return fileName;
+    }
+
+    const extIndex = fileName.lastIndexOf('.');
+    const baseName = extIndex > 0 ? fileName.substring(0, extIndex) : fileName;
+    const ext = extIndex > 0 ? fileName.substring(extIndex) : '';
+    for (let i = 2; ; i++) {
+      const candidate = `${baseName} (${i})${ext}`;
+      if (!names.has(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
   /**
    * ファイルをアップロードする
+   * 同名のファイルがある場合は番号を付けて保存し、同じ内容のファイルがアップロード済みの場合はduplicatesで返す
    * @param {string} userId ユーザーID
    * @param {string} yearMonth YYYY-MM形式の年月
    * @param {Buffer} content ファイルの内容
    * @param {string} fileName ファイル名
    * @param {string} mimeType MIMEタイプ
-   * @returns {Promise<{id: string, webViewLink: string}>} ファイル情報
+   * @returns {Promise<{id: string, name: string, webViewLink: string, duplicates: Array<{id: string, name: string, webViewLink: string, createdTime: string}>}>} ファイル情報
    */
   async uploadFile(userId, yearMonth, content, fileName, mimeType) {
     try {
@@ -195,13 +371,24 @@ class DriveService {
       // 年月フォルダを取得または作成
       const monthFolderId = await this.getOrCreateMonthFolder(userId, yearMonth);
 
-      // 同名のファイルが存在する場合は削除
-      await this.deleteFileByName(monthFolderId, fileName);
+      // 同じ内容のファイル（二重登録の可能性）を検索
+      const hash = this.hashContent(content);
+      const duplicates = await this.findFilesByHash(userId, hash);
+      if (duplicates.length > 0) {
+        debugLog(`Found ${duplicates.length} files with the same content`);
+      }
+
+      // 同名のファイルを上書きしないよう番号を付ける
+      const uniqueName = await this.getUniqueFileName(monthFolderId, fileName);
 
-      // ファイルをアップロード
+      // ファイルをアップロード（ハッシュ値は以降の重複の検出に使用）
       const fileMetadata = {
-        name: fileName,
+        name: uniqueName,
         parents: [monthFolderId],
+        appProperties: {
+          userId,
+          sha256: hash,
+        },
       };
 
       // BufferをReadableストリームに変換
@@ -221,10 +408,12 @@ class DriveService {
         fields: 'id, webViewLink',
       });
 
-      debugLog('File uploaded successfully');
+      debugLog(`File uploaded successfully: ${uniqueName}`);
       return {
         id: file.data.id,
+        name: uniqueName,
         webViewLink: file.data.webViewLink,
+        duplicates,
       };
     } catch (error) {
       errorLog('Upload file error:', error);
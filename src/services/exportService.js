@@ -1,10 +1,15 @@
 const { google } = require('googleapis');
 const settingsService = require('./settingsService');
 const driveService = require('./driveService');
+const sheetsService = require('./sheetsService');
 const pdfService = require('./pdfService');
+const sessionService = require('./sessionService');
 const axios = require('axios');
 const { Readable } = require('stream');
 
+// Excel形式のMIMEタイプ
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
 // デバッグログの設定
 const debugLog = (message, ...args) => {
   console.log(`[DEBUG] ${message}`, ...args);
@@ -109,7 +114,7 @@ class ExportService {
         left_margin: '0.25',
         right_margin: '0.25',
         sheetnames: 'false',
-        range: `${sheetName}!A1:E`,  // G列以降を除外
+        range: `${sheetName}!A1:F`,  // G列（領収書リンク）以降を除外
         fzr: 'false', // 行を固定しない
         fzc: 'false', // 列を固定しない
         pagenum: 'false', // ページ番号を表示しない
@@ -130,6 +135,68 @@ class ExportService {
     }
   }
 
+  /**
+   * 月次シートをExcel（xlsx）としてエクスポート
+   * xlsxの書き出しはスプレッドシート全体が対象になるため、月次シートだけを一時的なスプレッドシートに
+   * コピーしてから書き出す（書式・合計の数式・領収書のリンクはそのまま残る）
+   * @param {string} spreadsheetId スプレッドシートID
+   * @param {Array<{sheetId: string, title: string}>} monthSheets 月次シート（続きのシートを含む）
+   * @param {string} folderId 一時的なスプレッドシートを作成するフォルダID
+   * @returns {Promise<Buffer>} xlsxのバッファ
+   */
+  async exportSheetsToXlsx(spreadsheetId, monthSheets, folderId) {
+    let tempId = null;
+    try {
+      debugLog(`Exporting sheets to xlsx: ${monthSheets.map(sheet => sheet.title).join(', ')}`);
+
+      const temp = await this.drive.files.create({
+        resource: {
+          name: `_export_${monthSheets[0].title}`,
+          mimeType: 'application/vnd.google-apps.spreadsheet',
+          parents: [folderId],
+        },
+        fields: 'id',
+      });
+      tempId = temp.data.id;
+
+      // 新規作成時の空のシート（シートID: 0）は、コピーした後に削除する
+      const requests = [];
+      for (const sheet of monthSheets) {
+        const copied = await this.sheets.spreadsheets.sheets.copyTo({
+          spreadsheetId,
+          sheetId: sheet.sheetId,
+          resource: { destinationSpreadsheetId: tempId },
+        });
+        // コピーしたシートは「○○のコピー」になるため元の名前に戻す
+        requests.push({
+          updateSheetProperties: {
+            properties: { sheetId: copied.data.sheetId, title: sheet.title },
+            fields: 'title',
+          },
+        });
+      }
+      requests.push({ deleteSheet: { sheetId: 0 } });
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: tempId,
+        resource: { requests },
+      });
+
+      const response = await this.drive.files.export(
+        { fileId: tempId, mimeType: XLSX_MIME_TYPE },
+        { responseType: 'arraybuffer' }
+      );
+      return Buffer.from(response.data);
+    } catch (error) {
+      errorLog('Error exporting sheets to xlsx:', error);
+      throw new Error('スプレッドシートのExcelエクスポートに失敗しました。');
+    } finally {
+      if (tempId) {
+        await this.drive.files.delete({ fileId: tempId })
+          .catch(error => errorLog('Error deleting temporary spreadsheet:', error));
+      }
+    }
+  }
+
   /**
    * 指定月の領収書を取得
    * @param {string} userId ユーザーID
@@ -155,6 +222,47 @@ class ExportService {
     }
   }
 
+  /**
+   * 領収書を明細の行順に並べる
+   * G列の領収書URLとDriveのファイルIDで対応付けるため、行が削除された領収書は含まれない
+   * @param {Object[]} receipts getMonthlyReceiptsで取得した領収書
+   * @param {Object[]} entries 明細（シート・行の順）
+   * @returns {{orderedReceipts: Array<{receipt: Object, entry: Object}>, missingEntries: Object[], entriesWithoutReceipt: Object[]}} 行順の領収書、G列の領収書がDriveに見つからない明細、G列に領収書のない明細（交通費・定期的な経費など）
+   */
+  orderReceiptsByEntries(receipts, entries) {
+    const receiptsById = new Map(receipts.map(receipt => [receipt.id, receipt]));
+    const includedIds = new Set();
+    const orderedReceipts = [];
+    const missingEntries = [];
+    const entriesWithoutReceipt = [];
+
+    for (const entry of entries) {
+      if (!entry.fileUrl) {
+        entriesWithoutReceipt.push(entry);
+        continue;
+      }
+      const fileId = driveService.extractFileId(entry.fileUrl);
+      // 同じ領収書を複数の行で参照している場合は最初の行にのみ含める
+      if (includedIds.has(fileId)) {
+        continue;
+      }
+      const receipt = fileId && receiptsById.get(fileId);
+      if (!receipt) {
+        missingEntries.push(entry);
+        continue;
+      }
+      orderedReceipts.push({ receipt, entry });
+      includedIds.add(fileId);
+      receiptsById.delete(fileId);
+    }
+
+    if (receiptsById.size > 0) {
+      debugLog(`Skipping ${receiptsById.size} receipts not linked to any row`);
+    }
+
+    return { orderedReceipts, missingEntries, entriesWithoutReceipt };
+  }
+
   /**
    * 領収書ファイルをダウンロード
    * @param {string} fileId ファイルID
@@ -177,28 +285,82 @@ class ExportService {
     }
   }
 
+  /**
+   * 出力済みの経費精算書を取得する
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<{fileUrl: string, exportedAt: string}|null>} 出力済みのPDF（未出力の場合はnull）
+   */
+  async getExportedReport(userId, yearMonth) {
+    try {
+      // 確認のみのため、年月フォルダがなければ出力していないものとする
+      const folderId = await driveService.findMonthFolder(userId, yearMonth);
+      if (!folderId) {
+        return null;
+      }
+      const response = await this.drive.files.list({
+        q: `name = '経費精算書_${yearMonth}.pdf' and '${folderId}' in parents and trashed = false`,
+        fields: 'files(id, modifiedTime)',
+        orderBy: 'modifiedTime desc'
+      });
+
+      const [file] = response.data.files;
+      if (!file) {
+        return null;
+      }
+      return {
+        fileUrl: `https://drive.google.com/file/d/${file.id}/view`,
+        exportedAt: file.modifiedTime
+      };
+    } catch (error) {
+      errorLog('Error getting exported report:', error);
+      throw new ExportError(
+        '出力済みのPDFの取得に失敗しました。',
+        userId,
+        'getExportedReport'
+      );
+    }
+  }
+
   /**
    * 経費精算書をPDFとしてエクスポート
    * @param {string} userId ユーザーID
    * @param {string} yearMonth YYYY-MM形式の年月
-   * @returns {Promise<{pdfBuffer: Buffer, fileUrl: string}>}
+   * @returns {Promise<{pdfBuffer: Buffer, fileUrl: string, sheetCount: number, total: number, taxTotals: Object[], missingEntries: Object[], entriesWithoutReceipt: Object[], skippedReceipts: string[]}>}
    */
   async exportExpenseReport(userId, yearMonth) {
+    // 出力中に同じ月の明細が追加されないようにする
+    await sessionService.acquireLock(userId, yearMonth, 'exporting');
+
     try {
       debugLog(`Exporting expense report for ${yearMonth}`);
 
       // スプレッドシートIDの取得
       const spreadsheetId = await settingsService.getSpreadsheetId(userId);
-      const sheetName = yearMonth.replace('-', '_');
 
-      // スプレッドシートをPDFに変換
-      const sheetPdf = await this.exportSheetToPDF(spreadsheetId, sheetName);
+      // 月次シート（続きのシートを含む）を取得
+      const monthSheets = await sheetsService.listMonthSheets(spreadsheetId, yearMonth);
+      if (monthSheets.length === 0) {
+        throw new Error(`シート "${yearMonth.replace('-', '_')}" が見つかりません。`);
+      }
 
-      // 領収書の取得と変換
+      // 明細（領収書とシートの行を対応付けるため）と合計金額・税率別の集計
+      const { entries, total, taxTotals } = await sheetsService.getMonthData(userId, yearMonth);
+
+      // スプレッドシートをPDFに変換（ページ順）
+      const documents = [];
+      for (const sheet of monthSheets) {
+        documents.push({
+          pdf: await this.exportSheetToPDF(spreadsheetId, sheet.title),
+          title: monthSheets.length > 1 ? `経費精算書 (${sheet.page}/${monthSheets.length})` : '経費精算書'
+        });
+      }
+
+      // 領収書の取得と変換（明細の行順）
       const receipts = await this.getMonthlyReceipts(userId, yearMonth);
-      const receiptPdfs = [];
+      const { orderedReceipts, missingEntries, entriesWithoutReceipt } = this.orderReceiptsByEntries(receipts, entries);
 
-      for (const receipt of receipts) {
+      for (const { receipt, entry } of orderedReceipts) {
         const fileBuffer = await this.downloadReceipt(receipt.id);
         let pdfBuffer;
 
@@ -208,12 +370,16 @@ class ExportService {
           pdfBuffer = await pdfService.convertImageToPDF(fileBuffer);
         }
 
-        receiptPdfs.push(pdfBuffer);
+        // しおりは「No_日付_内容」、各ページにNo・日付・金額のスタンプ
+        documents.push({
+          pdf: pdfBuffer,
+          title: `No.${entry.no}_${entry.date}_${entry.details}`,
+          stamp: `No.${entry.no} / ${entry.date} / ¥${entry.amount.toLocaleString()}`
+        });
       }
 
-      // PDFの結合
-      const allPdfs = [sheetPdf, ...receiptPdfs];
-      const mergedPdf = await pdfService.mergePDFs(allPdfs);
+      // PDFの結合（しおり・スタンプ・ページ番号付き）
+      const { pdf: mergedPdf, skipped: skippedReceipts } = await pdfService.mergeWithOutline(documents);
 
       // 結合したPDFを保存
       const folderId = await driveService.getOrCreateMonthFolder(userId, yearMonth);
@@ -259,7 +425,13 @@ class ExportService {
 
       return {
         pdfBuffer: mergedPdf,
-        fileUrl: fileUrl
+        fileUrl: fileUrl,
+        sheetCount: monthSheets.length,
+        total,
+        taxTotals,
+        missingEntries,
+        entriesWithoutReceipt,
+        skippedReceipts
       };
     } catch (error) {
       errorLog('Error exporting expense report:', error);
@@ -268,6 +440,53 @@ class ExportService {
         userId,
         'exportExpenseReport'
       );
+    } finally {
+      await sessionService.releaseLock(userId, yearMonth);
+    }
+  }
+
+  /**
+   * 経費精算書をExcel（xlsx）としてエクスポート
+   * 領収書はG列のリンクで参照する（PDFのように結合しない）
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<{fileUrl: string, sheetCount: number, total: number, taxTotals: Object[]}>}
+   */
+  async exportExpenseReportXlsx(userId, yearMonth) {
+    // 出力中に同じ月の明細が追加されないようにする
+    await sessionService.acquireLock(userId, yearMonth, 'exporting');
+
+    try {
+      debugLog(`Exporting expense report as xlsx for ${yearMonth}`);
+
+      const spreadsheetId = await settingsService.getSpreadsheetId(userId);
+      const monthSheets = await sheetsService.listMonthSheets(spreadsheetId, yearMonth);
+      if (monthSheets.length === 0) {
+        throw new Error(`シート "${yearMonth.replace('-', '_')}" が見つかりません。`);
+      }
+
+      const { total, taxTotals } = await sheetsService.getMonthData(userId, yearMonth);
+      const folderId = await driveService.getOrCreateMonthFolder(userId, yearMonth);
+      const xlsx = await this.exportSheetsToXlsx(spreadsheetId, monthSheets, folderId);
+
+      // PDFと同じフォルダに保存（既存のファイルは置き換える）
+      const file = await driveService.replaceFile(userId, yearMonth, xlsx, `経費精算書_${yearMonth}.xlsx`, XLSX_MIME_TYPE);
+
+      return {
+        fileUrl: `https://drive.google.com/file/d/${file.id}/view`,
+        sheetCount: monthSheets.length,
+        total,
+        taxTotals
+      };
+    } catch (error) {
+      errorLog('Error exporting expense report as xlsx:', error);
+      throw new ExportError(
+        'Excelのエクスポートに失敗しました。',
+        userId,
+        'exportExpenseReportXlsx'
+      );
+    } finally {
+      await sessionService.releaseLock(userId, yearMonth);
     }
   }
 }
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const sessionService = require('./sessionService');
+const { SettingsError, OperationError } = require('../utils/errors');
+
+// デバッグログの設定
+const debugLog = (message, ...args) => {
+  console.log(`[DEBUG] ${message}`, ...args);
+};
+
+// エラーログの設定
+const errorLog = (message, error) => {
+  console.error(`[ERROR] ${message}`, error);
+  if (error.stack) {
+    console.error(error.stack);
+  }
+};
+
+// 実行待ち・実行中のジョブの状態
+const PENDING_STATUSES = ['queued', 'running', 'retrying'];
+// 失敗時の最大試行回数（初回を含む）
+const DEFAULT_MAX_ATTEMPTS = 3;
+// 再試行までの待ち時間の基準（試行ごとに2倍にする）
+const RETRY_BASE_DELAY = 10 * 1000;
+
+/**
+ * バックグラウンドで実行するジョブのキュー
+ * ジョブの記録はsessionServiceに保存し、再起動後も実行待ちのジョブを再開する
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.running = new Map(); // 実行中のジョブID → ユーザーID
+    this.concurrency = config.processing.maxConcurrentProcesses;
+    this.retryBaseDelay = RETRY_BASE_DELAY;
+    this.started = false;
+    this.pumping = false;
+    this.pumpRequested = false;
+    this.retryTimer = null;
+  }
+
+  /**
+   * ジョブの種類ごとの処理を登録する
+   * @param {string} type - ジョブの種類
+   * @param {function(Object, Object): Promise<void>} handler - 処理（payloadと実行中の情報を受け取る）
+   * @param {Object} [options] - オプション
+   * @param {number} [options.maxAttempts] - 最大試行回数
+   * @param {function(Object, Error): Promise<void>} [options.onFailure] - すべての試行に失敗したときの処理
+   * @param {function(Object, Error): Promise<void>} [options.onRetry] - 失敗して再試行を予約したときの処理
+   */
+  registerHandler(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, onFailure = null, onRetry = null } = {}) {
+    this.handlers.set(type, { handler, maxAttempts, onFailure, onRetry });
+  }
+
+  /**
+   * ジョブを追加する
+   * @param {string} type - ジョブの種類
+   * @param {string} userId - SlackユーザーID（同じユーザーのジョブは1件ずつ実行する）
+   * @param {Object} payload - 処理に必要な値（JSONに変換できる内容）
+   * @param {string} label - /keihi jobs に表示する名前
+   * @returns {Promise<Object>} 追加したジョブ
+   */
+  async enqueue(type, userId, payload, label) {
+    const registered = this.handlers.get(type);
+    if (!registered) {
+      throw new Error(`未登録のジョブです: ${type}`);
+    }
+
+    const job = await sessionService.saveJob({
+      id: crypto.randomUUID(),
+      type,
+      userId,
+      label,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: registered.maxAttempts,
+      runAt: Date.now(),
+      error: null,
+    });
+    debugLog(`Job queued: ${job.id} (${type}) for ${userId}`);
+
+    this.schedule();
+    return job;
+  }
+
+  /**
+   * キューの処理を開始する
+   * 再起動で中断された実行中のジョブは実行待ちに戻す
+   * @returns {Promise<void>}
+   */
+  async start() {
+    for (const job of await sessionService.listJobs()) {
+      if (job.status === 'running') {
+        debugLog(`Resuming interrupted job: ${job.id}`);
+        await sessionService.saveJob({ ...job, status: 'queued', runAt: Date.now() });
+      }
+    }
+
+    this.started = true;
+    this.schedule();
+  }
+
+  /**
+   * 実行できるジョブの確認を予約する
+   */
+  schedule() {
+    this.pump().catch(error => errorLog('Error running job queue:', error));
+  }
+
+  /**
+   * 実行できるジョブを同時実行数の上限まで開始する
+   * @returns {Promise<void>}
+   */
+  async pump() {
+    if (!this.started) return;
+    if (this.pumping) {
+      this.pumpRequested = true;
+      return;
+    }
+
+    this.pumping = true;
+    try {
+      do {
+        this.pumpRequested = false;
+        const now = Date.now();
+        const waiting = (await sessionService.listJobs())
+          .filter(job => ['queued', 'retrying'].includes(job.status) && !this.running.has(job.id))
+          .sort((a, b) => a.createdAt - b.createdAt);
+
+        for (const job of waiting) {
+          if (this.running.size >= this.concurrency) break;
+          // 同じユーザーのジョブは順番に実行する（空き行の検索などが重ならないように）
+          if ([...this.running.values()].includes(job.userId)) continue;
+          if (job.runAt > now) continue;
+          if (waiting.some(other => other.userId === job.userId && other.createdAt < job.createdAt)) continue;
+
+          this.running.set(job.id, job.userId);
+          this.run(job).catch(error => errorLog(`Error running job: ${job.id}`, error));
+        }
+
+        this.scheduleRetry(waiting, now);
+      } while (this.pumpRequested);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  /**
+   * 再試行待ちのジョブがある場合、次の実行時刻にキューを確認する
+   * @param {Object[]} waiting - 実行待ちのジョブ
+   * @param {number} now - 実行するジョブを選んだ時刻（この時刻より後のジョブが対象）
+   */
+  scheduleRetry(waiting, now) {
+    const next = waiting
+      .filter(job => !this.running.has(job.id) && job.runAt > now)
+      .reduce((min, job) => Math.min(min, job.runAt), Infinity);
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    if (next !== Infinity) {
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.schedule();
+      }, Math.max(0, next - Date.now()));
+    }
+  }
+
+  /**
+   * 再試行までの待ち時間を取得する
+   * @param {number} attempts - 失敗した回数
+   * @returns {number} 待ち時間（ミリ秒）
+   */
+  getRetryDelay(attempts) {
+    return this.retryBaseDelay * 2 ** (attempts - 1);
+  }
+
+  /**
+   * 再試行で解決する可能性のあるエラーかどうか
+   * 設定の不備や承認済みの月への書き込みは再試行しない
+   * @param {Error} error - エラー
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (error instanceof SettingsError) return false;
+    if (error instanceof OperationError && error.operation === 'assertWritable') return false;
+    return true;
+  }
+
+  /**
+   * ジョブを実行する
+   * @param {Object} job - ジョブ
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    const { handler, onFailure, onRetry } = this.handlers.get(job.type) || {};
+    let current = { ...job, attempts: job.attempts + 1 };
+
+    try {
+      current = await sessionService.saveJob({ ...current, status: 'running' });
+      if (!handler) {
+        throw new Error(`未登録のジョブです: ${job.type}`);
+      }
+
+      debugLog(`Running job: ${current.id} (${current.type}) attempt ${current.attempts}/${current.maxAttempts}`);
+      await handler(current.payload, {
+        job: current,
+        // 途中経過を保存する（再試行・再起動時に完了済みの処理を繰り返さないため）
+        update: async (patch) => {
+          current = await sessionService.saveJob({ ...current, payload: { ...current.payload, ...patch } });
+        },
+      });
+
+      await sessionService.saveJob({ ...current, status: 'completed', error: null });
+      debugLog(`Job completed: ${current.id}`);
+    } catch (error) {
+      errorLog(`Job failed: ${current.id} (${current.type})`, error);
+
+      if (handler && current.attempts < current.maxAttempts && this.isRetryable(error)) {
+        current = await sessionService.saveJob({
+          ...current,
+          status: 'retrying',
+          runAt: Date.now() + this.getRetryDelay(current.attempts),
+          error: error.message,
+        });
+        if (onRetry) {
+          await onRetry(current, error).catch(notifyError => errorLog('Error notifying job retry:', notifyError));
+        }
+      } else {
+        await sessionService.saveJob({ ...current, status: 'failed', error: error.message });
+        if (onFailure) {
+          await onFailure(current, error).catch(notifyError => errorLog('Error notifying job failure:', notifyError));
+        }
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.schedule();
+    }
+  }
+
+  /**
+   * ユーザーの実行待ち・実行中のジョブを取得する
+   * @param {string} userId - SlackユーザーID
+   * @returns {Promise<Object[]>} ジョブ（新しい順）
+   */
+  async getPendingJobs(userId) {
+    return (await sessionService.listJobs(userId)).filter(job => PENDING_STATUSES.includes(job.status));
+  }
+
+  /**
+   * ユーザーの失敗したジョブを取得する
+   * @param {string} userId - SlackユーザーID
+   * @returns {Promise<Object[]>} ジョブ（新しい順）
+   */
+  async getFailedJobs(userId) {
+    return (await sessionService.listJobs(userId)).filter(job => job.status === 'failed');
+  }
+}
+
+module.exports = new JobQueue();
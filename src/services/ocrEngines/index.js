@@ -0,0 +1,26 @@
+const VisionEngine = require('./visionEngine');
+const TesseractEngine = require('./tesseractEngine');
+
+// 利用できるOCRエンジン（config.ocr.engineで選択）
+const ENGINES = {
+  vision: VisionEngine,
+  tesseract: TesseractEngine,
+};
+
+/**
+ * OCRエンジンを作成する
+ * エンジンは detectText(imagePath) で画像のテキストを返す
+ * @param {string} name - エンジン名（vision | tesseract）
+ * @returns {{name: string, detectText: function(string): Promise<string>}} OCRエンジン
+ */
+function createOcrEngine(name) {
+  const Engine = ENGINES[name];
+  if (!Engine) {
+    throw new Error(`未対応のOCRエンジンです: ${name}（${Object.keys(ENGINES).join(', ')}のいずれかを指定してください）`);
+  }
+  return new Engine();
+}
+
+module.exports = {
+  createOcrEngine
+};
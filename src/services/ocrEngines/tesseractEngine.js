@@ -0,0 +1,54 @@
+const { execFile } = require('child_process');
+const config = require('../../config/config');
+
+/**
+ * ホスト上のtesseractコマンドを使うOCRエンジン
+ * 領収書を外部に送信せずに読み取る
+ */
+class TesseractEngine {
+  constructor() {
+    this.name = 'tesseract';
+    this.command = config.ocr.tesseractPath;
+    this.languages = config.ocr.tesseractLanguages;
+    this.timeout = config.ocr.timeout;
+  }
+
+  /**
+   * 画像からテキストを検出する
+   * @param {string} imagePath - 画像ファイルのパス
+   * @returns {Promise<string>} 検出したテキスト（文字がない場合は空文字）
+   */
+  detectText(imagePath) {
+    // --psm 4: 大きさの異なる文字が1列に並ぶレシート向けのレイアウト解析
+    const args = [imagePath, 'stdout', '-l', this.languages, '--psm', '4'];
+
+    return new Promise((resolve, reject) => {
+      execFile(this.command, args, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`tesseractの実行に失敗しました: ${stderr || error.message}`));
+          return;
+        }
+        resolve(this.normalizeText(stdout));
+      });
+    });
+  }
+
+  /**
+   * tesseractの出力を整形する
+   * 日本語の文字間に入る空白と空行を除き、Cloud Vision APIと同じ形式にそろえる
+   * @param {string} text - tesseractの出力
+   * @returns {string} 整形したテキスト
+   */
+  normalizeText(text) {
+    const japanese = '[\\u3000-\\u30ff\\u4e00-\\u9fff\\uff00-\\uffef]';
+    const spaceBetween = new RegExp(`(${japanese}) +(?=${japanese})`, 'g');
+
+    return text
+      .split('\n')
+      .map(line => line.replace(spaceBetween, '$1').trim())
+      .filter(line => line)
+      .join('\n');
+  }
+}
+
+module.exports = TesseractEngine;
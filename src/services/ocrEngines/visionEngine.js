@@ -0,0 +1,34 @@
+const vision = require('@google-cloud/vision');
+const config = require('../../config/config');
+
+/**
+ * Cloud Vision APIのテキスト検出を使うOCRエンジン
+ */
+class VisionEngine {
+  constructor() {
+    if (!config.google.clientEmail || !config.google.privateKey) {
+      throw new Error('GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY environment variables are required');
+    }
+
+    this.name = 'vision';
+    this.client = new vision.ImageAnnotatorClient({
+      credentials: {
+        client_email: config.google.clientEmail,
+        private_key: config.google.privateKey,
+      },
+      projectId: config.google.projectId,
+    });
+  }
+
+  /**
+   * 画像からテキストを検出する
+   * @param {string} imagePath - 画像ファイルのパス
+   * @returns {Promise<string>} 検出したテキスト（文字がない場合は空文字）
+   */
+  async detectText(imagePath) {
+    const [result] = await this.client.documentTextDetection(imagePath);
+    return result.fullTextAnnotation ? result.fullTextAnnotation.text : '';
+  }
+}
+
+module.exports = VisionEngine;
@@ -1,20 +1,66 @@
-const vision = require('@google-cloud/vision');
+const { PDFDocument } = require('pdf-lib');
+const sharp = require('sharp');
 const config = require('../config/config');
 const fileManager = require('../utils/fileManager');
+const { createOcrEngine } = require('./ocrEngines');
+
+// PDFの読み取り対象とするページ数の上限（請求書の明細が続くページは読み取らない）
+const PDF_MAX_PAGES = 5;
+// PDFを画像に変換する際の解像度（dpi）
+const PDF_DENSITY = 200;
+// PDFを読み込めないlibvips（sharpの同梱バイナリなど）の場合のメッセージ
+const PDF_UNSUPPORTED_MESSAGE = 'この環境ではPDFの領収書を読み取れません（PDFに対応したlibvipsが必要です）。内容を入力してください。';
+
+// 金額として扱う上限（電話番号や会員番号などを除くため）
+const MAX_AMOUNT = 10000000;
+// 合計金額の行に含まれるキーワードと点数（高いほど合計金額らしい）
+const TOTAL_KEYWORDS = [
+  { pattern: /総合計|合計金額|お会計|ご?請求金?額|領収金額|お支払(?:い)?金額|お買上(?:げ)?(?:合計|金額)/, score: 12 },
+  { pattern: /合計|税込/, score: 10 },
+  { pattern: /金額|運賃|料金/, score: 4 },
+  { pattern: /小計/, score: 2 },
+];
+// 合計金額ではない金額の行（お預り・お釣り・税額など）
+const AMOUNT_EXCLUDE_PATTERN = /お釣|釣銭|おつり|お預|預り|預かり|現金|クレジット|ポイント|点数|\d+\s*点|割引|値引|対象|消費税|内税|税額|税率/;
+// 日付の行に含まれるキーワード
+const DATE_KEYWORD_PATTERN = /日付|発行日|ご?利用日|注文日|領収日|購入日|乗車日/;
+// 店舗名を探す先頭の行数
+const VENDOR_HEADER_LINES = 8;
+// 店舗名らしい語
+const VENDOR_HINT_PATTERN = /株式会社|有限会社|\(株\)|\(有\)|店|ストア|商店|薬局|ホテル|タクシー|交通|鉄道|食堂|カフェ|\.(?:co\.jp|com|jp)$/;
+// 店舗名ではない行（挨拶・宛名・連絡先など）
+const VENDOR_EXCLUDE_PATTERN = /ありがとう|ございます|いたしました|いらっしゃいませ|またのお越し|様|御中|但し?|TEL|電話|FAX|〒|登録番号|https?:|www\.|レジ|担当|責任者|^No\.?\s*\d|^\d|^[^\p{L}]*$/iu;
+// 住所の行
+const ADDRESS_PATTERN = /[都道府県].*[市区町村郡].*\d|[市区町村].*\d+[-丁番]/;
 
 class OCRService {
   constructor() {
-    if (!config.google.clientEmail || !config.google.privateKey) {
-      throw new Error('GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY environment variables are required');
+    // テキスト検出に使うエンジン（解析処理はエンジンによらず共通）
+    this.engine = createOcrEngine(config.ocr.engine);
+
+    if (!this.isPdfSupported()) {
+      console.error('PDF OCR is not supported: libvips was built without PDF support (see docs/troubleshooting.md)');
     }
+  }
 
-    this.client = new vision.ImageAnnotatorClient({
-      credentials: {
-        client_email: config.google.clientEmail,
-        private_key: config.google.privateKey,
-      },
-      projectId: config.google.projectId,
-    });
+  /**
+   * PDFのページを画像に変換できるか（sharpのlibvipsがPDFを読み込めるか）
+   * @returns {boolean}
+   */
+  isPdfSupported() {
+    return Boolean(sharp.format?.pdf?.input?.buffer);
+  }
+
+  /**
+   * OCRで読み取れないファイル形式の理由を取得する
+   * @param {string} mimeType - ファイルのMIMEタイプ
+   * @returns {string|null} 利用者向けのメッセージ（読み取れる形式の場合はnull）
+   */
+  getUnsupportedReason(mimeType) {
+    if (mimeType === 'application/pdf' && !this.isPdfSupported()) {
+      return PDF_UNSUPPORTED_MESSAGE;
+    }
+    return null;
   }
 
   /**
@@ -23,6 +69,21 @@ class OCRService {
    * @returns {Promise<{text: string, amount: number, date: string, details: string}>}
    */
   async extractText(image) {
+    try {
+      const fullText = await this.detectText(image);
+      return this.parseReceipt(fullText);
+    } catch (error) {
+      console.error('OCR Error:', error);
+      throw new Error('領収書の読み取りに失敗しました');
+    }
+  }
+
+  /**
+   * 画像からテキストを検出する
+   * @param {Buffer|string} image - 画像データまたはファイルパス
+   * @returns {Promise<string>} 検出したテキスト（文字がない場合は空文字）
+   */
+  async detectText(image) {
     let tempFilePath = null;
     try {
       // Bufferの場合は一時ファイルとして保存
@@ -36,103 +97,344 @@ class OCRService {
         await fileManager.checkFileSize(image);
       }
 
-      const [result] = await this.client.documentTextDetection(image);
-      const fullText = result.fullTextAnnotation.text;
-      const parsedResult = this.parseReceipt(fullText);
-
-      // 一時ファイルの削除
-      if (tempFilePath) {
-        await fileManager.deleteTempFile(tempFilePath);
-      }
-
-      return parsedResult;
-    } catch (error) {
+      return await this.engine.detectText(image);
+    } finally {
       // エラー発生時も一時ファイルを削除
       if (tempFilePath) {
         await fileManager.deleteTempFile(tempFilePath).catch(console.error);
       }
-      console.error('OCR Error:', error);
-      throw new Error('領収書の読み取りに失敗しました');
     }
   }
 
+  /**
+   * OCRで読み取れるファイル形式かどうか
+   * @param {string} mimeType - ファイルのMIMEタイプ
+   * @returns {boolean}
+   */
+  isSupportedType(mimeType) {
+    return Boolean(mimeType) && (mimeType.startsWith('image/') || (mimeType === 'application/pdf' && this.isPdfSupported()));
+  }
+
+  /**
+   * ファイル形式に応じてテキスト抽出を実行
+   * @param {Buffer} buffer - ファイルのバッファ
+   * @param {string} mimeType - ファイルのMIMEタイプ
+   * @returns {Promise<{text: string, amount: number, date: string, details: string}>}
+   */
+  async extractFileText(buffer, mimeType) {
+    if (mimeType === 'application/pdf') {
+      return this.processPdfPages(buffer);
+    }
+    if (mimeType && mimeType.startsWith('image/')) {
+      return this.extractText(buffer);
+    }
+    throw new Error(`未対応のファイル形式です: ${mimeType}`);
+  }
+
   /**
    * 抽出したテキストから必要な情報をパース
    * @param {string} text - 抽出されたテキスト
-   * @returns {{text: string, amount: number, date: string, details: string}}
+   * @returns {{text: string, amount: number, date: string, vendor: string, details: string, invoiceNumber: string, taxRate: number, taxAmount: number, taxBreakdown: Array}}
    */
   parseReceipt(text) {
-    const lines = text.split('\n');
-    const result = {
+    // 全角の数字・記号や半角カナをそろえてから解析する
+    const lines = text.normalize('NFKC')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line);
+
+    const vendor = this.parseVendor(lines);
+
+    return {
       text: text,
-      amount: null,
-      date: null,
-      details: '',
+      amount: this.parseTotal(lines),
+      date: this.parseDate(lines),
+      vendor,
+      details: vendor || '',
+      invoiceNumber: this.parseInvoiceNumber(text),
+      ...this.parseTax(lines),
     };
+  }
+
+  /**
+   * 行に含まれる金額（「¥1,234」「1,234円」）を取得
+   * @param {string} line - 行
+   * @returns {number[]} 金額
+   */
+  findYenAmounts(line) {
+    const amounts = [];
+    for (const match of line.matchAll(/[¥\\]\s*(\d[\d,]*)|(\d[\d,]*)\s*円/g)) {
+      const value = parseInt((match[1] || match[2]).replace(/,/g, ''), 10);
+      if (value > 0 && value <= MAX_AMOUNT) {
+        amounts.push(value);
+      }
+    }
+    return amounts;
+  }
+
+  /**
+   * 合計金額を検出
+   * 「合計」「お会計」などの行の金額を優先し、お預り・お釣りなどの行は除く
+   * @param {string[]} lines - 正規化した各行
+   * @returns {number|null} 合計金額
+   */
+  parseTotal(lines) {
+    const candidates = [];
+
+    lines.forEach((line, index) => {
+      if (AMOUNT_EXCLUDE_PATTERN.test(line)) return;
+
+      const score = Math.max(0, ...TOTAL_KEYWORDS
+        .filter(keyword => keyword.pattern.test(line))
+        .map(keyword => keyword.score));
+      let amounts = this.findYenAmounts(line);
+
+      if (amounts.length === 0 && score > 0) {
+        // 「合計 1,188」のように記号がない金額、または「合計」の次の行の金額
+        const bare = line.match(/(?:^|\s)(\d{1,3}(?:,\d{3})+|\d+)-?$/);
+        const nextLine = lines[index + 1] || '';
+        if (bare) {
+          amounts = [parseInt(bare[1].replace(/,/g, ''), 10)];
+        } else if (/^[¥\\]?\s*[\d,]+\s*円?-?$/.test(nextLine)) {
+          amounts = [parseInt(nextLine.replace(/[^\d]/g, ''), 10)];
+        }
+      }
+
+      amounts
+        .filter(amount => amount > 0 && amount <= MAX_AMOUNT)
+        .forEach(amount => candidates.push({ amount, score }));
+    });
+
+    // 点数が高い順、同じ点数なら金額が大きい順
+    candidates.sort((a, b) => b.score - a.score || b.amount - a.amount);
+    return candidates.length > 0 ? candidates[0].amount : null;
+  }
+
+  /**
+   * 日付を検出
+   * 西暦・和暦（令和6年、R6.2.8）・2桁の年に対応し、有効期限などの行は除く
+   * @param {string[]} lines - 正規化した各行
+   * @returns {string|null} YYYY-MM-DD形式の日付
+   */
+  parseDate(lines) {
+    const candidates = [];
+
+    lines.forEach((line, index) => {
+      if (/有効期限|期限|生年月日/.test(line)) return;
+      const date = this.findDate(line);
+      if (date) {
+        candidates.push({ date, score: DATE_KEYWORD_PATTERN.test(line) ? 1 : 0, index });
+      }
+    });
+
+    // 「発行日」「ご利用日」などの行を優先し、同じ場合は先頭に近い行
+    candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+    return candidates.length > 0 ? candidates[0].date : null;
+  }
+
+  /**
+   * 行に含まれる日付を取得
+   * @param {string} line - 行
+   * @returns {string|null} YYYY-MM-DD形式の日付
+   */
+  findDate(line) {
+    // 和暦（令和6年2月8日、R6.2.8、平成31年4月30日）
+    const era = line.match(/(令和|平成|(?<![A-Za-z])[RH])\s*(元|\d{1,2})\s*[年./-]\s*(\d{1,2})\s*[月./-]\s*(\d{1,2})(?!\d)/);
+    if (era) {
+      const base = era[1] === '令和' || era[1] === 'R' ? 2018 : 1988;
+      const year = base + (era[2] === '元' ? 1 : parseInt(era[2], 10));
+      return this.formatDate(year, era[3], era[4]);
+    }
+
+    // 西暦（2025年2月14日、2025/02/14、2025.2.14）
+    const western = line.match(/(?<!\d)(\d{4})\s*[年./-]\s*(\d{1,2})\s*[月./-]\s*(\d{1,2})(?!\d)/);
+    if (western) {
+      return this.formatDate(western[1], western[2], western[3]);
+    }
+
+    // 2桁の年（25/02/14、25年2月14日）。電話番号の行は除く
+    if (!/TEL|電話/i.test(line)) {
+      const short = line.match(/(?<![\d./-])(\d{2})\s*[年./-]\s*(\d{1,2})\s*[月./-]\s*(\d{1,2})(?![\d./-])/);
+      if (short) {
+        return this.formatDate(2000 + parseInt(short[1], 10), short[2], short[3]);
+      }
+    }
 
-    // 金額の検出
-    // 一般的な金額パターン: ¥1,234 or 1,234円 or ￥1,234
-    const amountPattern = /[¥￥][\d,]+|[\d,]+円/g;
-    const amounts = text.match(amountPattern);
-    if (amounts) {
-      // 最も大きい金額を取得（通常、合計金額が最大）
-      const parsedAmounts = amounts.map(amount => 
-        parseInt(amount.replace(/[¥￥円,]/g, ''))
-      );
-      result.amount = Math.max(...parsedAmounts);
-    }
-
-    // 日付の検出
-    // YYYY/MM/DD, YYYY年MM月DD日, MM/DD/YYYY などの形式に対応
-    const datePatterns = [
-      /(\d{4})[年/](\d{1,2})[月/](\d{1,2})[日]?/,
-      /(\d{1,2})[/月](\d{1,2})[/日]?,?\s*(\d{4})/,
-    ];
+    // 月/日/年（02/14/2025）
+    const us = line.match(/(?<!\d)(\d{1,2})[/月](\d{1,2})[/日]?,?\s*(\d{4})(?!\d)/);
+    if (us) {
+      return this.formatDate(us[3], us[1], us[2]);
+    }
+
+    return null;
+  }
+
+  /**
+   * 年月日をYYYY-MM-DD形式にする
+   * @param {number|string} year - 年
+   * @param {number|string} month - 月
+   * @param {number|string} day - 日
+   * @returns {string|null} YYYY-MM-DD形式の日付（存在しない日付の場合はnull）
+   */
+  formatDate(year, month, day) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+      return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * 先頭の行から店舗名・発行元を検出
+   * @param {string[]} lines - 正規化した各行
+   * @returns {string|null} 店舗名
+   */
+  parseVendor(lines) {
+    const header = lines.slice(0, VENDOR_HEADER_LINES);
+    const candidates = header
+      .map((line, index) => ({
+        // 「Amazon.co.jp 領収書」のような行は見出しの語を除く
+        name: line.replace(/領収[書証]|レシート|お買上げ?明細書?|[(（]控え?[)）]/g, '').trim(),
+        index,
+      }))
+      .filter(({ name }) => name.length >= 2 &&
+        !VENDOR_EXCLUDE_PATTERN.test(name) &&
+        !ADDRESS_PATTERN.test(name) &&
+        !this.findDate(name) &&
+        this.findYenAmounts(name).length === 0 &&
+        !this.parseInvoiceNumber(name))
+      .map(({ name, index }) => ({
+        name,
+        index,
+        // 会社名・店舗名らしい語を含む行、先頭に近い行を優先
+        score: (VENDOR_HINT_PATTERN.test(name) ? VENDOR_HEADER_LINES : 0) + (VENDOR_HEADER_LINES - index),
+      }));
+
+    candidates.sort((a, b) => b.score - a.score);
+    if (candidates.length === 0) return null;
+
+    // 「セブン-イレブン」「新宿西口店」のように店名と支店名が別の行の場合は結合する
+    const best = candidates[0];
+    const previous = candidates.find(candidate => candidate.index === best.index - 1);
+    const name = /.店$/.test(best.name) && previous && !VENDOR_HINT_PATTERN.test(previous.name)
+      ? `${previous.name} ${best.name}`
+      : best.name;
+
+    return name.substring(0, 50);
+  }
+
+  /**
+   * インボイス制度の登録番号を検出
+   * @param {string} text - 抽出されたテキスト
+   * @returns {string|null} 登録番号（T + 13桁）
+   */
+  parseInvoiceNumber(text) {
+    // 「T1234-5678-9012-3」のような区切りや全角の「Ｔ」にも対応
+    const match = text.match(/[TＴ][\s-]?((?:\d[\s-]?){12}\d)(?!\d)/);
+    if (!match) return null;
+    return `T${match[1].replace(/[\s-]/g, '')}`;
+  }
+
+  /**
+   * 税率ごとの対象額・消費税額を検出
+   * @param {string[]} lines - 抽出されたテキストの各行
+   * @returns {{taxRate: number|null, taxAmount: number|null, taxBreakdown: Array<{rate: number, amount: number|null, tax: number|null}>}}
+   */
+  parseTax(lines) {
+    const breakdown = new Map();
+    let taxOnly = null;
+    let lastRate = null; // 直前の「10%対象」などの行の税率
+
+    const lineAmount = line => {
+      const match = line.replace(/(?:10|8)\s*[%％]/g, '').match(/[¥￥]\s*([\d,]+)|([\d,]+)\s*円/);
+      if (!match) return null;
+      const value = parseInt((match[1] || match[2]).replace(/,/g, ''), 10);
+      return isNaN(value) ? null : value;
+    };
 
     for (const line of lines) {
-      for (const pattern of datePatterns) {
-        const match = line.match(pattern);
-        if (match) {
-          // 日付形式の正規化
-          const [year, month, day] = pattern === datePatterns[0] 
-            ? [match[1], match[2], match[3]]
-            : [match[3], match[1], match[2]];
-          result.date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-          break;
+      const rateMatch = line.match(/(10|8)\s*[%％]/);
+      const isTaxLine = /消費税|内税|税額|内消費税|税\s*[(（]?\s*(?:10|8)/.test(line);
+      const amount = lineAmount(line);
+
+      if (rateMatch) {
+        const rate = parseInt(rateMatch[1], 10);
+        const item = breakdown.get(rate) || { rate, amount: null, tax: null };
+        if (amount !== null) {
+          if (isTaxLine && !/対象/.test(line)) {
+            item.tax = amount;
+          } else {
+            item.amount = amount;
+          }
         }
+        breakdown.set(rate, item);
+        lastRate = rate;
+      } else if (isTaxLine && amount !== null && lastRate !== null && breakdown.get(lastRate).tax === null) {
+        // 「(10%対象 ¥880)」の次の行の「(内消費税等 ¥80)」
+        breakdown.get(lastRate).tax = amount;
+      } else if (/軽減税率/.test(line) && !breakdown.has(8)) {
+        breakdown.set(8, { rate: 8, amount: null, tax: null });
+      } else if (isTaxLine && amount !== null && taxOnly === null) {
+        taxOnly = amount;
       }
-      if (result.date) break;
     }
 
-    // 詳細情報の抽出
-    // 店舗名や商品名などの特徴的な行を検出
-    const detailsLines = lines.filter(line => {
-      // 金額や日付以外の意味のある行を抽出
-      return line.length > 3 && 
-             !line.match(amountPattern) &&
-             !datePatterns.some(pattern => line.match(pattern));
-    });
+    const taxBreakdown = [...breakdown.values()].sort((a, b) => b.rate - a.rate);
+    const taxes = taxBreakdown.filter(item => item.tax !== null);
 
-    result.details = detailsLines.join('\n');
+    // 主な税率は対象額が最も大きいもの（不明な場合は高い方）
+    const main = [...taxBreakdown].sort((a, b) => (b.amount || 0) - (a.amount || 0))[0];
 
-    return result;
+    return {
+      taxRate: main ? main.rate : null,
+      taxAmount: taxes.length > 0 ? taxes.reduce((sum, item) => sum + item.tax, 0) : taxOnly,
+      taxBreakdown,
+    };
   }
 
   /**
-   * PDFの各ページを個別に処理
+   * PDFのページを画像（PNG）に変換する
    * @param {Buffer} pdfBuffer - PDFファイルのバッファ
-   * @returns {Promise<Array>} 各ページの処理結果
+   * @param {number} pageIndex - ページ番号（0始まり）
+   * @returns {Promise<Buffer>} PNG形式のバッファ
+   */
+  async rasterizePdfPage(pdfBuffer, pageIndex) {
+    return sharp(pdfBuffer, { page: pageIndex, density: PDF_DENSITY })
+      .flatten({ background: '#ffffff' }) // 透過部分は白にしないと文字を検出できない
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * PDFの各ページを画像に変換して読み取り、1枚の領収書として解析する
+   * @param {Buffer} pdfBuffer - PDFファイルのバッファ
+   * @returns {Promise<{text: string, amount: number, date: string, details: string, pageCount: number}>}
    */
   async processPdfPages(pdfBuffer) {
-    let tempFilePath = null;
+    if (!this.isPdfSupported()) {
+      throw new Error(PDF_UNSUPPORTED_MESSAGE);
+    }
+
     try {
-      tempFilePath = await fileManager.saveTempFile(pdfBuffer, '.pdf');
-      // TODO: PDFの各ページを画像に変換し、個別に処理
-      throw new Error('PDF処理は未実装です');
-    } finally {
-      if (tempFilePath) {
-        await fileManager.deleteTempFile(tempFilePath).catch(console.error);
+      const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
+      const pageCount = Math.min(pdfDoc.getPageCount(), PDF_MAX_PAGES);
+
+      // ページごとにテキストを検出（ページ順に結合する）
+      const pageTexts = [];
+      for (let i = 0; i < pageCount; i++) {
+        const image = await this.rasterizePdfPage(pdfBuffer, i);
+        pageTexts.push(await this.detectText(image));
+      }
+
+      const text = pageTexts.filter(pageText => pageText.trim()).join('\n');
+      if (!text) {
+        throw new Error('PDFから文字を検出できませんでした');
       }
+
+      return { ...this.parseReceipt(text), pageCount };
+    } catch (error) {
+      console.error('PDF OCR Error:', error);
+      throw new Error('PDFの領収書の読み取りに失敗しました');
     }
   }
 
@@ -148,15 +450,7 @@ class OCRService {
     // バッチ処理
     for (let i = 0; i < files.length; i += batchSize) {
       const batch = files.slice(i, i + batchSize);
-      const batchPromises = batch.map(async file => {
-        if (file.type.startsWith('image/')) {
-          return this.extractText(file.buffer);
-        } else if (file.type === 'application/pdf') {
-          return this.processPdfPages(file.buffer);
-        } else {
-          throw new Error(`未対応のファイル形式です: ${file.type}`);
-        }
-      });
+      const batchPromises = batch.map(async file => this.extractFileText(file.buffer, file.type));
 
       const batchResults = await Promise.allSettled(batchPromises);
       results.push(...batchResults.map(result => {
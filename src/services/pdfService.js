@@ -1,4 +1,4 @@
-const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { PDFDocument, PDFName, PDFHexString, StandardFonts, rgb } = require('pdf-lib');
 const sharp = require('sharp');
 const fs = require('fs').promises;
 
@@ -106,6 +106,150 @@ class PDFService {
     }
   }
 
+  /**
+   * PDFを結合し、しおり・ページごとのスタンプ・ページ番号を追加する
+   * @param {Array<{pdf: Buffer, title: string, stamp?: string}>} documents 結合するPDF（titleはしおりの見出し、stampは各ページ左上に表示する文字列）
+   * @param {Object} [options] オプション
+   * @param {boolean} [options.pageNumbers=true] ページ番号を追加するかどうか
+   * @returns {Promise<{pdf: Buffer, skipped: string[]}>} 結合したPDFのバッファと、読み込めずに除いたPDFのtitle
+   */
+  async mergeWithOutline(documents, { pageNumbers = true } = {}) {
+    try {
+      debugLog(`Merging ${documents.length} PDFs with outline`);
+
+      const mergedPdf = await PDFDocument.create();
+      const font = await mergedPdf.embedFont(StandardFonts.Helvetica);
+      const outline = [];
+      const skipped = [];
+
+      for (const document of documents) {
+        let pages;
+        try {
+          const pdf = await PDFDocument.load(document.pdf);
+          pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
+        } catch (error) {
+          errorLog(`Error copying PDF: ${document.title}`, error);
+          // 個別のPDFの読み込みエラーはスキップして続行（呼び出し元で利用者に伝える）
+          skipped.push(document.title);
+          continue;
+        }
+
+        outline.push({ title: document.title, pageIndex: mergedPdf.getPageCount() });
+        for (const page of pages) {
+          mergedPdf.addPage(page);
+          if (document.stamp) {
+            this.drawStamp(page, font, document.stamp);
+          }
+        }
+      }
+
+      // ページが存在しない場合はエラー
+      if (mergedPdf.getPageCount() === 0) {
+        throw new Error('有効なPDFページがありません。');
+      }
+
+      this.addOutline(mergedPdf, outline);
+      if (pageNumbers) {
+        this.drawPageNumbers(mergedPdf, font);
+      }
+
+      const pdfBytes = await mergedPdf.save();
+      return { pdf: Buffer.from(pdfBytes), skipped };
+    } catch (error) {
+      errorLog('Error merging PDFs with outline:', error);
+      throw new Error('Error merging PDFs');
+    }
+  }
+
+  /**
+   * ページの左上にスタンプ（No・日付・金額など）を描画する
+   * 標準フォントは日本語を描画できないため、ASCIIと「¥」以外の文字は除く
+   * @param {PDFPage} page ページ
+   * @param {PDFFont} font フォント
+   * @param {string} text スタンプの文字列
+   */
+  drawStamp(page, font, text) {
+    const label = text.replace(/[^\x20-\x7E¥]/g, '').trim();
+    if (!label) return;
+
+    const size = 11;
+    const padding = 4;
+    const { height } = page.getSize();
+    const textWidth = font.widthOfTextAtSize(label, size);
+
+    // 領収書の画像に重なっても読めるよう白地の枠を付ける
+    page.drawRectangle({
+      x: 20,
+      y: height - 20 - size - padding * 2,
+      width: textWidth + padding * 2,
+      height: size + padding * 2,
+      color: rgb(1, 1, 1),
+      borderColor: rgb(0.8, 0, 0),
+      borderWidth: 1,
+    });
+    page.drawText(label, {
+      x: 20 + padding,
+      y: height - 20 - size - padding + 2,
+      size,
+      font,
+      color: rgb(0.8, 0, 0),
+    });
+  }
+
+  /**
+   * しおり（アウトライン）を追加する
+   * @param {PDFDocument} pdfDoc PDFドキュメント
+   * @param {Array<{title: string, pageIndex: number}>} items しおりの見出しと移動先のページ
+   */
+  addOutline(pdfDoc, items) {
+    if (items.length === 0) return;
+
+    const context = pdfDoc.context;
+    const pages = pdfDoc.getPages();
+    const outlinesRef = context.nextRef();
+    const itemRefs = items.map(() => context.nextRef());
+
+    items.forEach((item, index) => {
+      context.assign(itemRefs[index], context.obj({
+        Title: PDFHexString.fromText(item.title),
+        Parent: outlinesRef,
+        Dest: [pages[item.pageIndex].ref, 'XYZ', null, null, null],
+        ...(index > 0 ? { Prev: itemRefs[index - 1] } : {}),
+        ...(index < items.length - 1 ? { Next: itemRefs[index + 1] } : {}),
+      }));
+    });
+
+    context.assign(outlinesRef, context.obj({
+      Type: 'Outlines',
+      First: itemRefs[0],
+      Last: itemRefs[itemRefs.length - 1],
+      Count: items.length,
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    // 開いたときにしおりを表示する
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+  }
+
+  /**
+   * 各ページの右下にページ番号を描画する
+   * @param {PDFDocument} pdfDoc PDFドキュメント
+   * @param {PDFFont} font フォント
+   */
+  drawPageNumbers(pdfDoc, font) {
+    const pages = pdfDoc.getPages();
+    pages.forEach((page, index) => {
+      const { width } = page.getSize();
+      page.drawText(`${index + 1} / ${pages.length}`, {
+        x: width - 60,
+        y: 30,
+        size: 10,
+        font,
+        color: rgb(0.5, 0.5, 0.5),
+      });
+    });
+  }
+
   /**
    * PDFにページ番号を追加する
    * @param {Buffer} pdfBuffer PDFのバッファ
@@ -117,18 +261,7 @@ class PDFService {
       
       const pdfDoc = await PDFDocument.load(pdfBuffer);
       const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-      const pages = pdfDoc.getPages();
-
-      pages.forEach((page, index) => {
-        const { width, height } = page.getSize();
-        page.drawText(`${index + 1} / ${pages.length}`, {
-          x: width - 60,
-          y: 30,
-          size: 10,
-          font: helveticaFont,
-          color: rgb(0.5, 0.5, 0.5),
-        });
-      });
+      this.drawPageNumbers(pdfDoc, helveticaFont);
 
       return await pdfDoc.save();
     } catch (error) {
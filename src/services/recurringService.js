@@ -0,0 +1,297 @@
+const { google } = require('googleapis');
+const crypto = require('crypto');
+const { OperationError } = require('../utils/errors');
+const { getJstToday, getLastDayOfMonth, addMonths } = require('../utils/date');
+
+// 定期的な経費を確認する間隔
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+// デバッグログの設定
+const debugLog = (message, ...args) => {
+  console.log(`[DEBUG] ${message}`, ...args);
+};
+
+// エラーログの設定
+const errorLog = (message, error) => {
+  console.error(`[ERROR] ${message}`, error);
+  if (error.stack) {
+    console.error(error.stack);
+  }
+};
+
+/**
+ * 毎月決まった日に自動登録する経費（サブスクリプション、通信費手当など）を管理する
+ * 定義は管理用スプレッドシートのrecurring_expensesシートに保存し、
+ * 削除した定義もremoved_atを記入して残す
+ */
+class RecurringService {
+  constructor() {
+    const clientEmail = process.env.GOOGLE_CLIENT_EMAIL;
+    const privateKey = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+    if (!clientEmail || !privateKey) {
+      throw new Error('GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY environment variables are required');
+    }
+
+    this.auth = new google.auth.JWT(
+      clientEmail,
+      null,
+      privateKey,
+      ['https://www.googleapis.com/auth/spreadsheets']
+    );
+    this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+    this.spreadsheetId = process.env.SETTINGS_SPREADSHEET_ID;
+    this.sheetName = 'recurring_expenses';
+    this.sheetReady = false;
+    this.checkTimer = null;
+
+    if (!this.spreadsheetId) {
+      throw new Error('SETTINGS_SPREADSHEET_ID environment variable is required');
+    }
+  }
+
+  /**
+   * recurring_expensesシートがなければ作成する
+   * @returns {Promise<void>}
+   */
+  async ensureSheet() {
+    if (this.sheetReady) return;
+
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+      fields: 'sheets.properties'
+    });
+    const exists = response.data.sheets.some(sheet => sheet.properties.title === this.sheetName);
+
+    if (!exists) {
+      debugLog(`Creating ${this.sheetName} sheet`);
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: {
+          requests: [{ addSheet: { properties: { title: this.sheetName } } }]
+        }
+      });
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.sheetName}!A1:J1`,
+        valueInputOption: 'RAW',
+        resource: {
+          values: [['id', 'user_id', 'day', 'amount', 'details', 'category', 'memo', 'last_registered', 'created_at', 'removed_at']]
+        }
+      });
+    }
+
+    this.sheetReady = true;
+  }
+
+  /**
+   * 日本時間の今日の日付を取得する
+   * @param {Date} [now] 現在時刻
+   * @returns {{date: string, yearMonth: string, day: number}} YYYY-MM-DD形式の日付・YYYY-MM形式の年月・日
+   */
+  getToday(now = new Date()) {
+    const { date, yearMonth, day } = getJstToday(now);
+    return { date, yearMonth, day };
+  }
+
+  /**
+   * 月の登録日を取得する（月末より後の日は月末にする）
+   * @param {number} day 毎月の登録日（1〜31）
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {string} YYYY-MM-DD形式の日付
+   */
+  getScheduledDate(day, yearMonth) {
+    return `${yearMonth}-${String(Math.min(day, getLastDayOfMonth(yearMonth))).padStart(2, '0')}`;
+  }
+
+  /**
+   * 翌月を取得する
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {string} YYYY-MM形式の翌月
+   */
+  getNextYearMonth(yearMonth) {
+    return addMonths(yearMonth, 1);
+  }
+
+  /**
+   * 登録日の表示名を取得する
+   * @param {number} day 毎月の登録日（31は月末）
+   * @returns {string} 表示名
+   */
+  formatDay(day) {
+    return day >= 31 ? '毎月末日' : `毎月${day}日`;
+  }
+
+  /**
+   * 定期的な経費の定義を取得する
+   * @param {string} [userId] ユーザーID（省略時は全ユーザー）
+   * @returns {Promise<Array<{id: string, userId: string, day: number, amount: number, details: string, category: string, memo: string, lastRegistered: string, createdAt: string, rowNumber: number}>>} 削除されていない定義
+   */
+  async getDefinitions(userId) {
+    try {
+      await this.ensureSheet();
+      const response = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.sheetName}!A2:J`
+      });
+
+      return (response.data.values || [])
+        .map((row, i) => ({
+          id: row[0],
+          userId: row[1],
+          day: parseInt(row[2], 10),
+          amount: parseInt(row[3], 10),
+          details: row[4] || '',
+          category: row[5] || '',
+          memo: row[6] || '',
+          lastRegistered: row[7] || '',
+          createdAt: row[8] || '',
+          removedAt: row[9] || '',
+          rowNumber: i + 2  // インデックスは0始まりなので+2
+        }))
+        .filter(definition => definition.id && !definition.removedAt && (!userId || definition.userId === userId))
+        .map(({ removedAt, ...definition }) => definition);
+    } catch (error) {
+      errorLog('Error getting recurring expenses:', error);
+      throw new OperationError('定期的な経費の取得に失敗しました。', userId || null, 'getRecurringExpenses');
+    }
+  }
+
+  /**
+   * 定期的な経費を追加する
+   * 今月の登録日を過ぎている場合は来月から登録する
+   * @param {string} userId ユーザーID
+   * @param {Object} params パラメータ
+   * @param {number} params.day 毎月の登録日（1〜31、31は月末）
+   * @param {number} params.amount 金額
+   * @param {string} params.details 内容
+   * @param {string} [params.category] 勘定科目
+   * @param {string} [params.memo] 備考
+   * @param {Date} [now] 現在時刻
+   * @returns {Promise<{id: string, day: number, amount: number, details: string, category: string, memo: string, firstDate: string}>} 追加した定義と最初の登録日
+   */
+  async addDefinition(userId, { day, amount, details, category = '', memo = '' }, now = new Date()) {
+    const today = this.getToday(now);
+    const thisMonth = this.getScheduledDate(day, today.yearMonth);
+    const started = thisMonth < today.date;
+    const definition = {
+      id: crypto.randomBytes(3).toString('hex'),
+      day,
+      amount,
+      details,
+      category,
+      memo,
+      firstDate: started ? this.getScheduledDate(day, this.getNextYearMonth(today.yearMonth)) : thisMonth
+    };
+
+    try {
+      await this.ensureSheet();
+      await this.sheets.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.sheetName}!A2:J`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: {
+          values: [[
+            definition.id,
+            userId,
+            day,
+            amount,
+            details,
+            category,
+            memo,
+            // 登録日を過ぎている場合は今月分を登録済みとして扱う
+            started ? today.yearMonth : '',
+            now.toISOString(),
+            ''
+          ]]
+        }
+      });
+      debugLog(`Recurring expense added: ${definition.id} for ${userId}`);
+      return definition;
+    } catch (error) {
+      errorLog('Error adding recurring expense:', error);
+      throw new OperationError('定期的な経費の追加に失敗しました。', userId, 'addRecurringExpense');
+    }
+  }
+
+  /**
+   * 定期的な経費を削除する（行は残してremoved_atを記入）
+   * @param {string} userId ユーザーID
+   * @param {string} id 定義のID
+   * @returns {Promise<Object>} 削除した定義
+   */
+  async removeDefinition(userId, id) {
+    const definition = (await this.getDefinitions(userId)).find(item => item.id === id);
+    if (!definition) {
+      throw new OperationError(`ID「${id}」の定期的な経費が見つかりません。`, userId, 'removeRecurringExpense');
+    }
+
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!J${definition.rowNumber}`,
+      valueInputOption: 'RAW',
+      resource: { values: [[new Date().toISOString()]] }
+    });
+    debugLog(`Recurring expense removed: ${id}`);
+    return definition;
+  }
+
+  /**
+   * 登録済みの年月を記録する
+   * @param {Object} definition 定義
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<void>}
+   */
+  async markRegistered(definition, yearMonth) {
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!H${definition.rowNumber}`,
+      valueInputOption: 'RAW',
+      resource: { values: [[yearMonth]] }
+    });
+  }
+
+  /**
+   * 登録日を迎えた未登録の定義を抽出する
+   * @param {Object[]} definitions 定義
+   * @param {{date: string, yearMonth: string}} today 今日の日付
+   * @returns {Array<{definition: Object, date: string}>} 定義と登録する日付
+   */
+  findDue(definitions, today) {
+    return definitions
+      .filter(definition => definition.lastRegistered < today.yearMonth)
+      .map(definition => ({ definition, date: this.getScheduledDate(definition.day, today.yearMonth) }))
+      .filter(({ date }) => date <= today.date);
+  }
+
+  /**
+   * 登録日を迎えた定義を処理する
+   * 重複して登録しないよう、処理を依頼する前に登録済みの年月を記録する
+   * @param {function(Object, string): Promise<void>} onDue 登録の処理（定義と日付を受け取る）
+   * @param {Date} [now] 現在時刻
+   * @returns {Promise<void>}
+   */
+  async checkDue(onDue, now = new Date()) {
+    const today = this.getToday(now);
+    const due = this.findDue(await this.getDefinitions(), today);
+
+    for (const { definition, date } of due) {
+      debugLog(`Recurring expense due: ${definition.id} on ${date}`);
+      await this.markRegistered(definition, today.yearMonth);
+      await onDue(definition, date);
+    }
+  }
+
+  /**
+   * 定期的な経費の確認を開始する（起動時と1時間ごと）
+   * @param {function(Object, string): Promise<void>} onDue 登録の処理（定義と日付を受け取る）
+   */
+  startScheduler(onDue) {
+    const check = () => this.checkDue(onDue).catch(error => errorLog('Error checking recurring expenses:', error));
+    check();
+    this.checkTimer = setInterval(check, CHECK_INTERVAL);
+  }
+}
+
+module.exports = new RecurringService();
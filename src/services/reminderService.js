@@ -0,0 +1,106 @@
+const config = require('../config/config');
+const settingsService = require('./settingsService');
+const sessionService = require('./sessionService');
+const { getJstToday, getLastDayOfMonth, addMonths } = require('../utils/date');
+
+// 月末の通知と自動出力を確認する間隔
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+// デバッグログの設定
+const debugLog = (message, ...args) => {
+  console.log(`[DEBUG] ${message}`, ...args);
+};
+
+// エラーログの設定
+const errorLog = (message, error) => {
+  console.error(`[ERROR] ${message}`, error);
+  if (error.stack) {
+    console.error(error.stack);
+  }
+};
+
+/**
+ * 月末のリマインダー（PDF出力・提出の案内）と、月初の前月分PDFの自動出力を管理する
+ * 実行済みの月はsessionServiceに記録し、再起動後も同じ月に繰り返さない
+ */
+class ReminderService {
+  constructor() {
+    this.options = config.reminder;
+    this.checkTimer = null;
+  }
+
+  /**
+   * 今日実行する定期処理を判定する
+   * @param {{yearMonth: string, day: number, hour: number}} today 日本時間の今日の日付
+   * @returns {{remind: string|null, autoExport: string|null}} 通知する年月と自動出力する年月（対象外の場合はnull）
+   */
+  findDue(today) {
+    const { daysBefore, hour, autoExport } = this.options;
+    if (today.hour < hour) {
+      return { remind: null, autoExport: null };
+    }
+
+    // 月末を含む最後のdaysBefore日間に通知する（3日の場合、2月は26日〜28日）
+    const firstRemindDay = getLastDayOfMonth(today.yearMonth) - daysBefore + 1;
+    return {
+      remind: daysBefore > 0 && today.day >= firstRemindDay ? today.yearMonth : null,
+      autoExport: autoExport && today.day === 1 ? addMonths(today.yearMonth, -1) : null,
+    };
+  }
+
+  /**
+   * ユーザーごとに一度だけ処理を実行する
+   * 重複して通知しないよう、処理の前に実行済みとして記録する
+   * @param {string} name 定期処理の名前
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {function(string, string): Promise<void>} handler 処理（ユーザーIDと年月を受け取る）
+   * @returns {Promise<void>}
+   */
+  async runOnce(name, userId, yearMonth, handler) {
+    const key = `${name}:${userId}`;
+    if (await sessionService.getScheduledRun(key) === yearMonth) return;
+
+    await sessionService.saveScheduledRun(key, yearMonth);
+    debugLog(`Running ${name} for ${userId}: ${yearMonth}`);
+    try {
+      await handler(userId, yearMonth);
+    } catch (error) {
+      errorLog(`Error running ${name} for ${userId}:`, error);
+    }
+  }
+
+  /**
+   * 月末の通知と月初の自動出力を実行する
+   * @param {Object} handlers 処理
+   * @param {function(string, string): Promise<void>} handlers.onRemind 月末の通知（ユーザーIDと年月を受け取る）
+   * @param {function(string, string): Promise<void>} handlers.onAutoExport 前月分の自動出力（ユーザーIDと年月を受け取る）
+   * @param {Date} [now] 現在時刻
+   * @returns {Promise<void>}
+   */
+  async checkDue({ onRemind, onAutoExport }, now = new Date()) {
+    const due = this.findDue(getJstToday(now));
+    if (!due.remind && !due.autoExport) return;
+
+    for (const settings of await settingsService.getAllUserSettings()) {
+      if (due.remind) {
+        await this.runOnce('reminder', settings.user_id, due.remind, onRemind);
+      }
+      if (due.autoExport) {
+        await this.runOnce('autoExport', settings.user_id, due.autoExport, onAutoExport);
+      }
+    }
+  }
+
+  /**
+   * 月末の通知と自動出力の確認を開始する（起動時と1時間ごと）
+   * @param {Object} handlers checkDueと同じ処理
+   */
+  startScheduler(handlers) {
+    const check = () => this.checkDue(handlers).catch(error => errorLog('Error checking reminders:', error));
+    check();
+    this.checkTimer = setInterval(check, CHECK_INTERVAL);
+  }
+}
+
+module.exports = new ReminderService();
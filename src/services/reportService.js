@@ -0,0 +1,227 @@
+const { google } = require('googleapis');
+const config = require('../config/config');
+const settingsService = require('./settingsService');
+const sheetsService = require('./sheetsService');
+const { OperationError } = require('../utils/errors');
+const { addMonths } = require('../utils/date');
+
+// 支払先の上位として表示する件数
+const TOP_VENDOR_COUNT = 10;
+
+// デバッグログの設定
+const debugLog = (message, ...args) => {
+  console.log(`[DEBUG] ${message}`, ...args);
+};
+
+// エラーログの設定
+const errorLog = (message, error) => {
+  console.error(`[ERROR] ${message}`, error);
+  if (error.stack) {
+    console.error(error.stack);
+  }
+};
+
+/**
+ * 複数の月（年度・暦年）の経費を集計する
+ * 確定申告や予算の見直し向けに、月別・勘定科目別・税率別の合計と支払先の上位を作成する
+ */
+class ReportService {
+  constructor() {
+    const clientEmail = process.env.GOOGLE_CLIENT_EMAIL;
+    const privateKey = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+    if (!clientEmail || !privateKey) {
+      throw new Error('GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY environment variables are required');
+    }
+
+    this.auth = new google.auth.JWT(
+      clientEmail,
+      null,
+      privateKey,
+      ['https://www.googleapis.com/auth/spreadsheets']
+    );
+    this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+    this.options = config.report;
+  }
+
+  /**
+   * 期間の指定を解析する
+   * - YYYY-MM..YYYY-MM: 指定した月の範囲
+   * - FYYYYY: 年度（開始月はFISCAL_YEAR_START_MONTH、デフォルトは4月）
+   * - YYYY: 暦年（1月〜12月）
+   * @param {string} text 期間の指定
+   * @returns {{from: string, to: string, label: string}|null} 期間（解析できない場合はnull）
+   */
+  parseRange(text) {
+    const value = (text || '').trim();
+    let range = null;
+
+    const months = value.match(/^(\d{4}-(?:0[1-9]|1[0-2]))\.\.(\d{4}-(?:0[1-9]|1[0-2]))$/);
+    const fiscalYear = value.match(/^FY(\d{4})$/i);
+    const year = value.match(/^(\d{4})$/);
+
+    if (months) {
+      range = { from: months[1], to: months[2], label: `${months[1]}〜${months[2]}` };
+    } else if (fiscalYear) {
+      const startMonth = String(this.options.fiscalYearStartMonth).padStart(2, '0');
+      const from = `${fiscalYear[1]}-${startMonth}`;
+      range = { from, to: addMonths(from, 11), label: `FY${fiscalYear[1]}` };
+    } else if (year) {
+      range = { from: `${year[1]}-01`, to: `${year[1]}-12`, label: `${year[1]}年` };
+    }
+
+    return range && range.from <= range.to ? range : null;
+  }
+
+  /**
+   * 期間内の年月の一覧を取得する
+   * @param {{from: string, to: string}} range 期間
+   * @returns {string[]} YYYY-MM形式の年月（古い順）
+   */
+  listMonths({ from, to }) {
+    const months = [];
+    for (let yearMonth = from; yearMonth <= to; yearMonth = addMonths(yearMonth, 1)) {
+      months.push(yearMonth);
+    }
+    return months;
+  }
+
+  /**
+   * 支払先（内容）ごとの合計を集計する
+   * 表記の違い（全角・半角、空白）は同じ支払先として扱う
+   * @param {Object[]} entries 明細
+   * @returns {Array<{vendor: string, count: number, total: number}>} 合計の多い順の上位
+   */
+  summarizeByVendor(entries) {
+    const totals = new Map();
+    for (const entry of entries) {
+      const key = sheetsService.normalizeEntryDetails(entry.details);
+      const current = totals.get(key) || { vendor: entry.details, count: 0, total: 0 };
+      current.count += 1;
+      current.total += entry.amount;
+      totals.set(key, current);
+    }
+    return [...totals.values()]
+      .sort((a, b) => b.total - a.total || b.count - a.count)
+      .slice(0, TOP_VENDOR_COUNT);
+  }
+
+  /**
+   * 期間のレポートを作成する
+   * @param {string} userId ユーザーID
+   * @param {{from: string, to: string, label: string}} range 期間
+   * @returns {Promise<{range: Object, count: number, total: number, months: Array<{yearMonth: string, count: number, total: number}>, categoryTotals: Object[], taxTotals: Object[], vendors: Object[]}>} レポート
+   */
+  async buildReport(userId, range) {
+    const yearMonths = this.listMonths(range);
+    if (yearMonths.length > this.options.maxMonths) {
+      throw new OperationError(`集計できる期間は${this.options.maxMonths}か月までです。`, userId, 'buildReport');
+    }
+
+    let byMonth;
+    try {
+      byMonth = await sheetsService.getEntriesByMonths(userId, yearMonths);
+    } catch (error) {
+      errorLog('Error getting entries for report:', error);
+      throw new OperationError('レポートの明細の取得に失敗しました。', userId, 'buildReport');
+    }
+    debugLog(`Building report for ${range.label}: ${yearMonths.length} months`);
+
+    const entries = byMonth.flatMap(month => month.entries);
+    return {
+      range,
+      count: entries.length,
+      total: entries.reduce((sum, entry) => sum + entry.amount, 0),
+      months: byMonth.map(month => ({
+        yearMonth: month.yearMonth,
+        count: month.entries.length,
+        total: month.entries.reduce((sum, entry) => sum + entry.amount, 0),
+      })),
+      categoryTotals: sheetsService.summarizeByCategory(entries),
+      taxTotals: sheetsService.summarizeByTaxRate(entries),
+      vendors: this.summarizeByVendor(entries),
+    };
+  }
+
+  /**
+   * レポートのシート名を取得する
+   * @param {{from: string, to: string, label: string}} range 期間
+   * @returns {string} シート名（report_FY2025、report_2025-04_2026-03 など）
+   */
+  getSheetName(range) {
+    return /^FY\d{4}$/.test(range.label) ? `report_${range.label}` : `report_${range.from}_${range.to}`;
+  }
+
+  /**
+   * レポートをシートの行に変換する
+   * @param {Object} report buildReportの結果
+   * @returns {Array<Array<string|number>>} シートの行
+   */
+  buildSheetRows(report) {
+    return [
+      [`経費レポート ${report.range.label}（${report.range.from}〜${report.range.to}）`],
+      [],
+      ['月', '件数', '合計金額'],
+      ...report.months.map(month => [month.yearMonth, month.count, month.total]),
+      ['合計', report.count, report.total],
+      [],
+      ['勘定科目', '件数', '合計金額'],
+      ...report.categoryTotals.map(item => [item.category, item.count, item.total]),
+      [],
+      ['税率', '件数', '税込合計', '消費税額'],
+      ...report.taxTotals.map(item => [item.taxRate ? `${item.taxRate}%` : '未設定', item.count, item.total, item.tax]),
+      [],
+      [`支払先（上位${TOP_VENDOR_COUNT}件）`, '件数', '合計金額'],
+      ...report.vendors.map(item => [item.vendor, item.count, item.total]),
+    ];
+  }
+
+  /**
+   * ユーザーのスプレッドシートにレポートのシートを作成する（既存の場合は内容を置き換える）
+   * @param {string} userId ユーザーID
+   * @param {Object} report buildReportの結果
+   * @returns {Promise<string>} シートのURL
+   */
+  async writeReportSheet(userId, report) {
+    const spreadsheetId = await settingsService.getSpreadsheetId(userId);
+    const sheetName = this.getSheetName(report.range);
+
+    try {
+      const response = await this.sheets.spreadsheets.get({
+        spreadsheetId,
+        fields: 'sheets.properties'
+      });
+      let sheet = response.data.sheets.find(item => item.properties.title === sheetName);
+
+      if (sheet) {
+        await this.sheets.spreadsheets.values.clear({
+          spreadsheetId,
+          range: `'${sheetName}'`
+        });
+      } else {
+        debugLog(`Creating ${sheetName} sheet`);
+        const created = await this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId,
+          resource: {
+            requests: [{ addSheet: { properties: { title: sheetName } } }]
+          }
+        });
+        sheet = created.data.replies[0].addSheet;
+      }
+
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${sheetName}'!A1`,
+        valueInputOption: 'RAW',
+        resource: { values: this.buildSheetRows(report) }
+      });
+
+      return `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${sheet.properties.sheetId}`;
+    } catch (error) {
+      errorLog('Error writing report sheet:', error);
+      throw new OperationError('レポートのシートの作成に失敗しました。', userId, 'writeReportSheet');
+    }
+  }
+}
+
+module.exports = new ReportService();
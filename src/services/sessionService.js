@@ -1,21 +1,56 @@
+const config = require('../config/config');
+const { createStorageAdapter } = require('./storageAdapters');
+const { OperationError } = require('../utils/errors');
+
+// ストレージの名前空間
+const NAMESPACES = {
+  sessions: 'sessions',
+  userStates: 'userStates',
+  jobs: 'jobs',
+  scheduledRuns: 'scheduledRuns',
+};
+
+// 完了したジョブの記録を残す期間
+const JOB_RETENTION = 24 * 60 * 60 * 1000;
+
+// 処理状態ごとのメッセージ
+const STATE_MESSAGES = {
+  exporting: '現在PDFの出力中です。完了までお待ちください。',
+  creating: '現在経費精算書の作成中です。完了までお待ちください。',
+  updating: '現在経費の更新中です。完了までお待ちください。',
+};
+
 class SessionService {
   constructor() {
-    this.sessions = new Map();
-    this.userStates = new Map(); // ユーザーの処理状態を管理
+    // 再起動（Glitchのスリープなど）で消えないようストレージに保存する
+    this.storage = createStorageAdapter(config.storage.adapter);
     this.timeout = 5 * 60 * 1000; // 5分でセッション期限切れ
+    this.locks = new Map(); // 処理中のロックキー → 処理状態
+  }
+
+  /**
+   * 処理状態のキーを生成
+   * @param {string} userId - SlackユーザーID
+   * @param {string} [yearMonth] - YYYY-MM形式の年月（月ごとの処理状態の場合）
+   * @returns {string} キー
+   */
+  getStateKey(userId, yearMonth) {
+    return yearMonth ? `${userId}:${yearMonth}` : userId;
   }
 
   /**
    * ユーザーの処理状態を設定
    * @param {string} userId - SlackユーザーID
-   * @param {string} state - 処理状態 ('exporting' | 'creating' | null)
-   * @returns {void}
+   * @param {string} state - 処理状態 ('exporting' | 'creating' | 'updating' | null)
+   * @param {string} [yearMonth] - YYYY-MM形式の年月
+   * @returns {Promise<void>}
    */
-  setUserState(userId, state) {
+  async setUserState(userId, state, yearMonth) {
+    const key = this.getStateKey(userId, yearMonth);
     if (state === null) {
-      this.userStates.delete(userId);
+      await this.storage.delete(NAMESPACES.userStates, key);
     } else {
-      this.userStates.set(userId, {
+      await this.storage.set(NAMESPACES.userStates, key, {
         state,
         timestamp: Date.now()
       });
@@ -25,17 +60,19 @@ class SessionService {
   /**
    * ユーザーの処理状態を取得
    * @param {string} userId - SlackユーザーID
-   * @returns {Object|null} 処理状態の情報
+   * @param {string} [yearMonth] - YYYY-MM形式の年月
+   * @returns {Promise<Object|null>} 処理状態の情報
    */
-  getUserState(userId) {
-    const state = this.userStates.get(userId);
+  async getUserState(userId, yearMonth) {
+    const key = this.getStateKey(userId, yearMonth);
+    const state = await this.storage.get(NAMESPACES.userStates, key);
     if (!state) {
       return null;
     }
 
     // タイムアウトチェック
     if (Date.now() - state.timestamp > this.timeout) {
-      this.userStates.delete(userId);
+      await this.storage.delete(NAMESPACES.userStates, key);
       return null;
     }
 
@@ -45,32 +82,69 @@ class SessionService {
   /**
    * ユーザーの処理状態に応じたメッセージを取得
    * @param {string} userId - SlackユーザーID
-   * @returns {string|null} エラーメッセージ（処理中でない場合はnull）
+   * @param {string} [yearMonth] - YYYY-MM形式の年月
+   * @returns {Promise<string|null>} エラーメッセージ（処理中でない場合はnull）
    */
-  getUserStateMessage(userId) {
-    const state = this.getUserState(userId);
+  async getUserStateMessage(userId, yearMonth) {
+    const state = await this.getUserState(userId, yearMonth);
     if (!state) {
       return null;
     }
 
-    switch (state.state) {
-      case 'exporting':
-        return '現在PDFの出力中です。完了までお待ちください。';
-      case 'creating':
-        return '現在経費精算書の作成中です。完了までお待ちください。';
-      default:
-        return null;
+    return STATE_MESSAGES[state.state] || null;
+  }
+
+  /**
+   * ユーザーの月ごとの処理のロックを取得する
+   * 空き行の検索から書き込みまで、PDFの出力中に同じ月のシートが変更されないようにする
+   * @param {string} userId - SlackユーザーID
+   * @param {string} yearMonth - YYYY-MM形式の年月
+   * @param {string} state - 処理状態 ('exporting' | 'creating' | 'updating')
+   * @returns {Promise<void>}
+   * @throws {OperationError} 同じ月の処理が実行中の場合
+   */
+  async acquireLock(userId, yearMonth, state) {
+    const key = this.getStateKey(userId, yearMonth);
+
+    // 確認から取得までの間に他の処理が入らないよう、awaitの前に確保する
+    const current = this.locks.get(key);
+    if (current) {
+      throw new OperationError(
+        `${yearMonth}: ${STATE_MESSAGES[current] || '他の処理を実行中です。完了までお待ちください。'}`,
+        userId,
+        'acquireLock'
+      );
+    }
+    this.locks.set(key, state);
+
+    try {
+      await this.setUserState(userId, state, yearMonth);
+    } catch (error) {
+      this.locks.delete(key);
+      throw error;
     }
   }
 
+  /**
+   * ユーザーの月ごとの処理のロックを解放する
+   * @param {string} userId - SlackユーザーID
+   * @param {string} yearMonth - YYYY-MM形式の年月
+   * @returns {Promise<void>}
+   */
+  async releaseLock(userId, yearMonth) {
+    this.locks.delete(this.getStateKey(userId, yearMonth));
+    await this.setUserState(userId, null, yearMonth)
+      .catch(error => console.error('Failed to clear user state:', error));
+  }
+
   /**
    * アップロード設定を保存
    * @param {string} userId - SlackユーザーID
    * @param {string} channelId - SlackチャンネルID
    * @param {Object} settings - アップロード設定
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  saveUploadSettings(userId, channelId, settings) {
+  async saveUploadSettings(userId, channelId, settings) {
     console.log('Saving upload settings:', { userId, channelId, settings });
     const key = this.getSessionKey(userId, channelId);
     const session = {
@@ -78,25 +152,17 @@ class SessionService {
       timestamp: Date.now(),
       status: 'waiting_for_file', // ファイル待ち状態
     };
-    this.sessions.set(key, session);
-    console.log('Session saved:', this.sessions.get(key));
-
-    // タイムアウト設定
-    setTimeout(() => {
-      this.clearSession(key);
-    }, this.timeout);
+    await this.storage.set(NAMESPACES.sessions, key, session);
+    console.log('Session saved:', session);
   }
 
   /**
-   * アップロード設定を取得
-   * @param {string} userId - SlackユーザーID
-   * @param {string} channelId - SlackチャンネルID
-   * @returns {Object|null} 保存された設定またはnull
+   * 期限内のセッションを取得
+   * @param {string} key - セッションキー
+   * @returns {Promise<Object|null>} セッション（ない場合・期限切れの場合はnull）
    */
-  getUploadSettings(userId, channelId) {
-    console.log('Getting upload settings for:', { userId, channelId });
-    const key = this.getSessionKey(userId, channelId);
-    const session = this.sessions.get(key);
+  async getSession(key) {
+    const session = await this.storage.get(NAMESPACES.sessions, key);
     console.log('Found session:', session);
 
     if (!session) {
@@ -107,50 +173,46 @@ class SessionService {
     // タイムアウトチェック
     if (Date.now() - session.timestamp > this.timeout) {
       console.log('Session expired');
-      this.clearSession(key);
+      await this.clearSession(key);
       return null;
     }
 
-    return session.settings;
+    return session;
+  }
+
+  /**
+   * アップロード設定を取得
+   * @param {string} userId - SlackユーザーID
+   * @param {string} channelId - SlackチャンネルID
+   * @returns {Promise<Object|null>} 保存された設定またはnull
+   */
+  async getUploadSettings(userId, channelId) {
+    console.log('Getting upload settings for:', { userId, channelId });
+    const session = await this.getSession(this.getSessionKey(userId, channelId));
+    return session ? session.settings : null;
   }
 
   /**
    * セッションをクリア
    * @param {string} key - セッションキー
+   * @returns {Promise<void>}
    */
-  clearSession(key) {
+  async clearSession(key) {
     console.log('Clearing session:', key);
-    if (this.sessions.has(key)) {
-      this.sessions.delete(key);
-      console.log('Session cleared');
-    }
+    await this.storage.delete(NAMESPACES.sessions, key);
   }
 
   /**
    * セッションの状態を確認
    * @param {string} userId - SlackユーザーID
    * @param {string} channelId - SlackチャンネルID
-   * @returns {boolean} ファイル待ち状態かどうか
+   * @returns {Promise<boolean>} ファイル待ち状態かどうか
    */
-  isWaitingForFile(userId, channelId) {
+  async isWaitingForFile(userId, channelId) {
     console.log('Checking file wait status for:', { userId, channelId });
-    const key = this.getSessionKey(userId, channelId);
-    const session = this.sessions.get(key);
-    console.log('Found session:', session);
-
-    if (!session) {
-      console.log('No session found');
-      return false;
-    }
-
-    // タイムアウトチェック
-    if (Date.now() - session.timestamp > this.timeout) {
-      console.log('Session expired');
-      this.clearSession(key);
-      return false;
-    }
+    const session = await this.getSession(this.getSessionKey(userId, channelId));
 
-    const isWaiting = session.status === 'waiting_for_file';
+    const isWaiting = Boolean(session) && session.status === 'waiting_for_file';
     console.log('Is waiting for file:', isWaiting);
     return isWaiting;
   }
@@ -165,46 +227,129 @@ class SessionService {
     return `${userId}:${channelId}`;
   }
 
+  /**
+   * ジョブの記録を保存
+   * @param {{id: string, userId: string, type: string, status: string}} job - ジョブ（JSONに変換できる内容）
+   * @returns {Promise<Object>} 保存したジョブ
+   */
+  async saveJob(job) {
+    const record = {
+      ...job,
+      createdAt: job.createdAt || Date.now(),
+      updatedAt: Date.now(),
+    };
+    await this.storage.set(NAMESPACES.jobs, job.id, record);
+    return record;
+  }
+
+  /**
+   * ジョブの記録を取得
+   * @param {string} jobId - ジョブID
+   * @returns {Promise<Object|null>} ジョブ
+   */
+  async getJob(jobId) {
+    return this.storage.get(NAMESPACES.jobs, jobId);
+  }
+
+  /**
+   * ジョブの記録の一覧を取得
+   * @param {string} [userId] - SlackユーザーID（省略時は全ユーザー）
+   * @returns {Promise<Object[]>} ジョブ（新しい順）
+   */
+  async listJobs(userId) {
+    const entries = await this.storage.entries(NAMESPACES.jobs);
+    return entries
+      .map(([, job]) => job)
+      .filter(job => !userId || job.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * ジョブの記録を削除
+   * @param {string} jobId - ジョブID
+   * @returns {Promise<void>}
+   */
+  async deleteJob(jobId) {
+    await this.storage.delete(NAMESPACES.jobs, jobId);
+  }
+
+  /**
+   * 定期処理の実行済みの期間を取得
+   * @param {string} key - 定期処理とユーザーのキー（例: reminder:U123456）
+   * @returns {Promise<string|null>} 最後に実行した期間（YYYY-MM形式など）
+   */
+  async getScheduledRun(key) {
+    const record = await this.storage.get(NAMESPACES.scheduledRuns, key);
+    return record ? record.period : null;
+  }
+
+  /**
+   * 定期処理の実行済みの期間を記録
+   * @param {string} key - 定期処理とユーザーのキー
+   * @param {string} period - 実行した期間
+   * @returns {Promise<void>}
+   */
+  async saveScheduledRun(key, period) {
+    await this.storage.set(NAMESPACES.scheduledRuns, key, { period, timestamp: Date.now() });
+  }
+
+  /**
+   * 期限切れのセッション・処理状態と古いジョブの記録を削除
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    console.log('Running session cleanup');
+    const now = Date.now();
+
+    // セッションのクリーンアップ
+    for (const [key, session] of await this.storage.entries(NAMESPACES.sessions)) {
+      if (now - session.timestamp > this.timeout) {
+        console.log('Cleaning up expired session:', key);
+        await this.clearSession(key);
+      }
+    }
+
+    // ユーザー状態のクリーンアップ
+    for (const [userId, state] of await this.storage.entries(NAMESPACES.userStates)) {
+      if (now - state.timestamp > this.timeout) {
+        console.log('Cleaning up expired user state:', userId);
+        await this.storage.delete(NAMESPACES.userStates, userId);
+      }
+    }
+
+    // 完了したジョブのクリーンアップ
+    for (const [jobId, job] of await this.storage.entries(NAMESPACES.jobs)) {
+      if (['completed', 'failed'].includes(job.status) && now - job.updatedAt > JOB_RETENTION) {
+        console.log('Cleaning up finished job:', jobId);
+        await this.deleteJob(jobId);
+      }
+    }
+  }
+
   /**
    * 全セッションの定期クリーンアップ
    */
   startCleanupInterval() {
     console.log('Starting session cleanup interval');
     setInterval(() => {
-      console.log('Running session cleanup');
-      const now = Date.now();
-
-      // セッションのクリーンアップ
-      for (const [key, session] of this.sessions.entries()) {
-        if (now - session.timestamp > this.timeout) {
-          console.log('Cleaning up expired session:', key);
-          this.clearSession(key);
-        }
-      }
-
-      // ユーザー状態のクリーンアップ
-      for (const [userId, state] of this.userStates.entries()) {
-        if (now - state.timestamp > this.timeout) {
-          console.log('Cleaning up expired user state:', userId);
-          this.userStates.delete(userId);
-        }
-      }
+      this.cleanup().catch(error => console.error('Failed to clean up sessions:', error));
     }, 60 * 1000); // 1分ごとにクリーンアップ
   }
 
   /**
    * 現在のセッションと状態一覧を取得（デバッグ用）
-   * @returns {Object} セッションと状態の一覧
+   * @returns {Promise<Object>} セッションと状態の一覧
    */
-  debugGetSessions() {
+  async debugGetSessions() {
     const now = Date.now();
     const debug = {
       sessions: {},
-      userStates: {}
+      userStates: {},
+      jobs: {}
     };
 
     // セッション情報
-    for (const [key, session] of this.sessions.entries()) {
+    for (const [key, session] of await this.storage.entries(NAMESPACES.sessions)) {
       debug.sessions[key] = {
         ...session,
         age: Math.round((now - session.timestamp) / 1000) + '秒',
@@ -213,7 +358,7 @@ class SessionService {
     }
 
     // ユーザー状態情報
-    for (const [userId, state] of this.userStates.entries()) {
+    for (const [userId, state] of await this.storage.entries(NAMESPACES.userStates)) {
       debug.userStates[userId] = {
         ...state,
         age: Math.round((now - state.timestamp) / 1000) + '秒',
@@ -221,8 +366,16 @@ class SessionService {
       };
     }
 
+    // ジョブ情報
+    for (const [jobId, job] of await this.storage.entries(NAMESPACES.jobs)) {
+      debug.jobs[jobId] = {
+        ...job,
+        age: Math.round((now - job.createdAt) / 1000) + '秒',
+      };
+    }
+
     return debug;
   }
 }
 
-module.exports = new SessionService();
\ No newline at end of file
+module.exports = new SessionService();
@@ -1,5 +1,17 @@
 const { google } = require('googleapis');
-const { SettingsError } = require('../utils/errors');
+const { SettingsError, OperationError } = require('../utils/errors');
+
+// 勘定科目のデフォルト一覧（categoriesシートが未設定の場合に使用）
+const DEFAULT_CATEGORIES = [
+  '旅費交通費',
+  '会議費',
+  '接待交際費',
+  '消耗品費',
+  '通信費',
+  '新聞図書費',
+  '支払手数料',
+  '雑費'
+];
 
 // デバッグログの設定
 const debugLog = (message, ...args) => {
@@ -32,6 +44,13 @@ class SettingsService {
     this.sheets = google.sheets({ version: 'v4', auth: this.auth });
     this.spreadsheetId = process.env.SETTINGS_SPREADSHEET_ID;
     this.sheetName = 'user_settings';
+    this.categorySheetName = 'categories';
+    this.categoryCache = null; // { categories: string[], timestamp: number }
+    this.fareSheetName = 'fares';
+    this.fareCache = null; // { fares: Object[], timestamp: number }
+    this.adminSheetName = 'admins';
+    this.adminCache = null; // { adminIds: string[], timestamp: number }
+    this.cacheTimeout = 5 * 60 * 1000; // 5分でキャッシュ期限切れ
 
     if (!this.spreadsheetId) {
       throw new Error('SETTINGS_SPREADSHEET_ID environment variable is required');
@@ -50,7 +69,7 @@ class SettingsService {
       // シートからデータを取得
       const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A2:E`,
+        range: `${this.sheetName}!A2:F`,
       });
 
       const rows = response.data.values || [];
@@ -67,7 +86,8 @@ class SettingsService {
         spreadsheet_id: userRow[1],
         email: userRow[2],
         created_at: userRow[3],
-        updated_at: userRow[4]
+        updated_at: userRow[4],
+        approver_id: userRow[5] || ''
       };
     } catch (error) {
       errorLog('Error getting user settings:', error);
@@ -75,6 +95,33 @@ class SettingsService {
     }
   }
 
+  /**
+   * スプレッドシートを設定済みの全ユーザーの設定を取得する
+   * @returns {Promise<Object[]>} ユーザー設定の一覧
+   */
+  async getAllUserSettings() {
+    try {
+      const response = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.sheetName}!A2:F`,
+      });
+
+      return (response.data.values || [])
+        .filter(row => row[0] && row[1])
+        .map(row => ({
+          user_id: row[0],
+          spreadsheet_id: row[1],
+          email: row[2],
+          created_at: row[3],
+          updated_at: row[4],
+          approver_id: row[5] || ''
+        }));
+    } catch (error) {
+      errorLog('Error getting all user settings:', error);
+      throw new SettingsError('設定の取得に失敗しました。', null);
+    }
+  }
+
   /**
    * ユーザー設定を保存する
    * @param {string} userId SlackのユーザーID
@@ -88,7 +135,7 @@ class SettingsService {
       // 既存の設定を確認
       const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A2:E`,
+        range: `${this.sheetName}!A2:F`,
       });
 
       const rows = response.data.values || [];
@@ -99,7 +146,7 @@ class SettingsService {
         // 新規追加
         await this.sheets.spreadsheets.values.append({
           spreadsheetId: this.spreadsheetId,
-          range: `${this.sheetName}!A2:E`,
+          range: `${this.sheetName}!A2:F`,
           valueInputOption: 'USER_ENTERED',
           insertDataOption: 'INSERT_ROWS',
           resource: {
@@ -108,7 +155,8 @@ class SettingsService {
               settings.spreadsheet_id,
               settings.email,
               now,
-              now
+              now,
+              settings.approver_id || ''
             ]]
           }
         });
@@ -116,15 +164,17 @@ class SettingsService {
         // 更新
         await this.sheets.spreadsheets.values.update({
           spreadsheetId: this.spreadsheetId,
-          range: `${this.sheetName}!A${rowIndex + 2}:E${rowIndex + 2}`,
+          range: `${this.sheetName}!A${rowIndex + 2}:F${rowIndex + 2}`,
           valueInputOption: 'USER_ENTERED',
           resource: {
             values: [[
               userId,
-              settings.spreadsheet_id,
-              settings.email,
+              settings.spreadsheet_id ?? rows[rowIndex][1],
+              settings.email ?? rows[rowIndex][2],
               rows[rowIndex][3] || now,
-              now
+              now,
+              // 承認者は指定された場合のみ更新
+              settings.approver_id ?? (rows[rowIndex][5] || '')
             ]]
           }
         });
@@ -169,6 +219,138 @@ class SettingsService {
     return settings.email;
   }
 
+  /**
+   * 承認者のユーザーIDを取得する
+   * @param {string} userId SlackのユーザーID
+   * @returns {Promise<string>} 承認者のSlackユーザーID
+   */
+  async getApproverId(userId) {
+    const settings = await this.getUserSettings(userId);
+    if (!settings?.approver_id) {
+      throw new SettingsError(
+        '承認者が設定されていません。/keihi approver @承認者 で設定してください。',
+        userId
+      );
+    }
+    return settings.approver_id;
+  }
+
+  /**
+   * 勘定科目の一覧を取得する
+   * 管理用スプレッドシートのcategoriesシート（A列）から取得し、未設定の場合はデフォルトを返す
+   * @returns {Promise<string[]>} 勘定科目の一覧
+   */
+  async getCategories() {
+    if (this.categoryCache && Date.now() - this.categoryCache.timestamp < this.cacheTimeout) {
+      return this.categoryCache.categories;
+    }
+
+    let categories = DEFAULT_CATEGORIES;
+    try {
+      debugLog('Getting categories');
+      const response = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.categorySheetName}!A2:A`,
+      });
+
+      const values = (response.data.values || [])
+        .map(row => (row[0] || '').trim())
+        .filter(name => name);
+      if (values.length > 0) {
+        categories = [...new Set(values)];
+      }
+    } catch (error) {
+      // シートがない場合はデフォルトを使用
+      errorLog('Error getting categories, using defaults:', error);
+    }
+
+    this.categoryCache = { categories, timestamp: Date.now() };
+    return categories;
+  }
+
+  /**
+   * 管理者のユーザーIDの一覧を取得する
+   * 管理用スプレッドシートのadminsシート（A列）から取得する
+   * @returns {Promise<string[]>} 管理者のユーザーID（シートがない場合は空）
+   */
+  async getAdminIds() {
+    if (this.adminCache && Date.now() - this.adminCache.timestamp < this.cacheTimeout) {
+      return this.adminCache.adminIds;
+    }
+
+    let adminIds = [];
+    try {
+      debugLog('Getting admins');
+      const response = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.adminSheetName}!A2:A`,
+      });
+
+      // メンション形式（<@U123>）でも入力できるようにする
+      adminIds = (response.data.values || [])
+        .map(row => this.parseUserId((row[0] || '').trim()))
+        .filter(userId => userId);
+    } catch (error) {
+      // シートがない場合は管理者なし
+      errorLog('Error getting admins:', error);
+    }
+
+    this.adminCache = { adminIds, timestamp: Date.now() };
+    return adminIds;
+  }
+
+  /**
+   * 管理者かどうかを確認する
+   * @param {string} userId SlackのユーザーID
+   * @returns {Promise<void>}
+   * @throws {OperationError} 管理者でない場合
+   */
+  async assertAdmin(userId) {
+    const adminIds = await this.getAdminIds();
+    if (!adminIds.includes(userId)) {
+      throw new OperationError(
+        'このコマンドは管理者のみ実行できます。管理用スプレッドシートのadminsシートに登録してください。',
+        userId,
+        'assertAdmin'
+      );
+    }
+  }
+
+  /**
+   * 運賃表を取得する
+   * 管理用スプレッドシートのfaresシート（A列: 出発、B列: 到着、C列: 片道運賃、D列: 路線）から取得する
+   * @returns {Promise<Array<{from: string, to: string, fare: number, line: string}>>} 運賃の一覧（シートがない場合は空）
+   */
+  async getFares() {
+    if (this.fareCache && Date.now() - this.fareCache.timestamp < this.cacheTimeout) {
+      return this.fareCache.fares;
+    }
+
+    let fares = [];
+    try {
+      debugLog('Getting fares');
+      const response = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.fareSheetName}!A2:D`,
+      });
+
+      fares = (response.data.values || [])
+        .map(row => ({
+          from: (row[0] || '').trim(),
+          to: (row[1] || '').trim(),
+          fare: parseInt((row[2] || '').toString().replace(/[¥￥,]/g, ''), 10),
+          line: (row[3] || '').trim(),
+        }))
+        .filter(fare => fare.from && fare.to && Number.isInteger(fare.fare));
+    } catch (error) {
+      // シートがない場合は運賃を入力してもらう
+      errorLog('Error getting fares:', error);
+    }
+
+    this.fareCache = { fares, timestamp: Date.now() };
+    return fares;
+  }
+
   /**
    * スプレッドシートIDの形式を検証する
    * @param {string} spreadsheetId スプレッドシートID
@@ -181,6 +363,16 @@ class SettingsService {
     return /^[a-zA-Z0-9-_]{20,}$/.test(spreadsheetId);
   }
 
+  /**
+   * コマンドの引数からSlackのユーザーIDを取り出す
+   * @param {string} text メンション（<@U123|name>）またはユーザーID
+   * @returns {string|null} ユーザーID（形式が不正な場合はnull）
+   */
+  parseUserId(text) {
+    const match = (text || '').match(/^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$/) || (text || '').match(/^([UW][A-Z0-9]{6,})$/);
+    return match ? match[1] : null;
+  }
+
   /**
    * メールアドレスの形式を検証する
    * @param {string} email メールアドレス
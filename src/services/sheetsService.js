@@ -1,6 +1,8 @@
 const { google } = require('googleapis');
 const settingsService = require('./settingsService');
 const driveService = require('./driveService');
+const approvalService = require('./approvalService');
+const sessionService = require('./sessionService');
 const { OperationError } = require('../utils/errors');
 
 // デバッグログの設定
@@ -32,6 +34,7 @@ class SheetsService {
       ['https://www.googleapis.com/auth/spreadsheets']
     );
     this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+    this.rowsPerSheet = 25; // _baseシートの明細行数（2行目から26行目）
   }
 
   /**
@@ -48,19 +51,21 @@ class SheetsService {
   /**
    * 年月文字列をシート名に変換する
    * @param {string} yearMonth YYYY-MM形式の年月
-   * @returns {string} YYYY_MM形式のシート名
+   * @param {number} [page=1] ページ番号（2以降は続きのシート）
+   * @returns {string} YYYY_MM形式のシート名（続きのシートはYYYY_MM_N形式）
    */
-  formatSheetName(yearMonth) {
-    return yearMonth.replace('-', '_');
+  formatSheetName(yearMonth, page = 1) {
+    const sheetName = yearMonth.replace('-', '_');
+    return page > 1 ? `${sheetName}_${page}` : sheetName;
   }
 
   /**
    * シート名を年月文字列に変換する
-   * @param {string} sheetName YYYY_MM形式のシート名
+   * @param {string} sheetName YYYY_MM形式のシート名（YYYY_MM_N形式も可）
    * @returns {string} YYYY-MM形式の年月
    */
   parseSheetName(sheetName) {
-    return sheetName.replace('_', '-');
+    return sheetName.replace(/^(\d{4})_(\d{2})(_\d+)?$/, '$1-$2');
   }
 
   /**
@@ -74,6 +79,162 @@ class SheetsService {
     return useSlash ? date.replace(/-/g, '/') : date;
   }
 
+  /**
+   * 税率・税額・登録番号のセル値を作成する（H-J列）
+   * @param {Object} params パラメータ
+   * @param {number|null} [params.taxRate] 税率（10 または 8）
+   * @param {number|null} [params.taxAmount] 消費税額
+   * @param {string} [params.invoiceNumber] インボイス登録番号（T + 13桁）
+   * @returns {Array<string|number>} H-J列の値
+   */
+  formatTaxCells({ taxRate = null, taxAmount = null, invoiceNumber = '' }) {
+    return [
+      taxRate ? `${taxRate}%` : '',
+      Number.isInteger(taxAmount) ? taxAmount : '',
+      invoiceNumber || ''
+    ];
+  }
+
+  /**
+   * 年月に対応するシートを一覧する（続きのシートを含む、ページ順）
+   * @param {Object[]} sheets spreadsheets.getで取得したシート一覧
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Array<{sheetId: string, title: string, page: number, index: number}>} シート情報の配列
+   */
+  filterMonthSheets(sheets, yearMonth) {
+    const sheetName = this.formatSheetName(yearMonth);
+    const pagePattern = new RegExp(`^${sheetName}_(\\d+)$`);
+
+    return sheets
+      .map(s => {
+        const title = s.properties.title;
+        // 旧フォーマット（YYYY-MM）との互換性
+        if (title === sheetName || title === yearMonth) {
+          return { sheetId: s.properties.sheetId, title, page: 1, index: s.properties.index };
+        }
+        const match = title.match(pagePattern);
+        if (match) {
+          return { sheetId: s.properties.sheetId, title, page: parseInt(match[1], 10), index: s.properties.index };
+        }
+        return null;
+      })
+      .filter(sheet => sheet)
+      .sort((a, b) => a.page - b.page);
+  }
+
+  /**
+   * 年月に対応する既存のシートを取得する（作成はしない）
+   * @param {string} spreadsheetId スプレッドシートID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<Array<{sheetId: string, title: string, page: number, index: number}>>} シート情報の配列
+   */
+  async listMonthSheets(spreadsheetId, yearMonth) {
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties'
+    });
+    return this.filterMonthSheets(response.data.sheets, yearMonth);
+  }
+
+  /**
+   * 年月に対応するシートをすべて取得する（1ページ目がなければ作成）
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<Array<{sheetId: string, title: string, page: number}>>} シート情報の配列
+   */
+  async getMonthSheets(userId, yearMonth) {
+    const spreadsheetId = await settingsService.getSpreadsheetId(userId);
+    const sheets = await this.listMonthSheets(spreadsheetId, yearMonth);
+    if (sheets.length > 0) {
+      return sheets;
+    }
+
+    const sheet = await this.getOrCreateSheet(userId, yearMonth);
+    return [{ ...sheet, page: 1 }];
+  }
+
+  /**
+   * _baseシートを複製して月次シートを作成する
+   * @param {Object} params パラメータ
+   * @param {string} params.userId ユーザーID
+   * @param {string} params.spreadsheetId スプレッドシートID
+   * @param {Object[]} params.sheets spreadsheets.getで取得したシート一覧
+   * @param {string} params.yearMonth YYYY-MM形式の年月
+   * @param {number} [params.page=1] ページ番号
+   * @param {number} [params.insertSheetIndex=0] シートの挿入位置
+   * @returns {Promise<{sheetId: string, title: string}>} シート情報
+   */
+  async createSheetFromBase({ userId, spreadsheetId, sheets, yearMonth, page = 1, insertSheetIndex = 0 }) {
+    const sheetName = this.formatSheetName(yearMonth, page);
+    debugLog(`Creating new sheet ${sheetName} from _base at index ${insertSheetIndex}`);
+
+    const baseSheet = sheets.find(s => s.properties.title === '_base');
+    if (!baseSheet) {
+      throw new OperationError('_baseシートが見つかりません。', userId, 'getOrCreateSheet');
+    }
+
+    const result = await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [{
+          duplicateSheet: {
+            sourceSheetId: baseSheet.properties.sheetId,
+            insertSheetIndex,
+            newSheetName: sheetName
+          }
+        }]
+      }
+    });
+
+    const newSheet = result.data.replies[0].duplicateSheet;
+    debugLog(`Created new sheet: ${sheetName}`);
+
+    // 初日を設定（YYYY/MM/DD形式）とフォルダリンクを追加
+    const firstDay = `${yearMonth}-01`;
+    const monthFolder = await driveService.getOrCreateMonthFolder(userId, yearMonth);
+    const folderUrl = `https://drive.google.com/drive/folders/${monthFolder}`;
+
+    // D3に初日、G3にフォルダリンクを設定
+    const updates = [
+      this.sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${sheetName}'!D3`,
+        valueInputOption: 'USER_ENTERED',
+        resource: {
+          values: [[this.formatDate(firstDay, true)]]
+        }
+      }),
+      this.sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${sheetName}'!G3`,
+        valueInputOption: 'USER_ENTERED',
+        resource: {
+          values: [[`=HYPERLINK("${folderUrl}", "領収書フォルダ")`]]
+        }
+      })
+    ];
+
+    // 続きのシートはNoを前のシートから連番にする（26, 27, ...）
+    if (page > 1) {
+      const offset = (page - 1) * this.rowsPerSheet;
+      updates.push(this.sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${sheetName}'!A2:A${this.rowsPerSheet + 1}`,
+        valueInputOption: 'USER_ENTERED',
+        resource: {
+          values: Array.from({ length: this.rowsPerSheet }, (_, i) => [offset + i + 1])
+        }
+      }));
+    }
+
+    await Promise.all(updates);
+
+    return {
+      sheetId: newSheet.sheetId,
+      title: sheetName // newSheet.titleではなくsheetNameを使用
+    };
+  }
+
   /**
    * 月次シートを取得または作成する
    * @param {string} userId ユーザーID
@@ -107,75 +268,75 @@ class SheetsService {
         };
       }
 
-      // _baseシートを複製して新しいシートを作成
-      debugLog('Creating new sheet from _base at index 0');
-      const baseSheet = sheets.find(s => s.properties.title === '_base');
-      if (!baseSheet) {
-        throw new OperationError('_baseシートが見つかりません。', userId, 'getOrCreateSheet');
-      }
+      // _baseシートを複製して新しいシートを作成（先頭に追加）
+      return await this.createSheetFromBase({ userId, spreadsheetId, sheets, yearMonth });
+    } catch (error) {
+      errorLog('Error in getOrCreateSheet:', error);
+      throw new OperationError(
+        'シートの取得/作成に失敗しました。',
+        userId,
+        'getOrCreateSheet'
+      );
+    }
+  }
 
-      const result = await this.sheets.spreadsheets.batchUpdate({
+  /**
+   * 続きのシートを作成する（最後のシートの直後に追加）
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {Array<{page: number}>} monthSheets 既存の月次シート
+   * @returns {Promise<{sheetId: string, title: string, page: number}>} シート情報
+   */
+  async createContinuationSheet(userId, yearMonth, monthSheets) {
+    try {
+      const spreadsheetId = await settingsService.getSpreadsheetId(userId);
+      const response = await this.sheets.spreadsheets.get({
         spreadsheetId,
-        resource: {
-          requests: [{
-            duplicateSheet: {
-              sourceSheetId: baseSheet.properties.sheetId,
-              insertSheetIndex: 0, // 先頭に追加
-              newSheetName: sheetName
-            }
-          }]
-        }
+        fields: 'sheets.properties'
       });
 
-      const newSheet = result.data.replies[0].duplicateSheet;
-      debugLog(`Created new sheet: ${sheetName}`);
-
-      // 初日を設定（YYYY/MM/DD形式）とフォルダリンクを追加
-      const firstDay = `${yearMonth}-01`;
-      const monthFolder = await driveService.getOrCreateMonthFolder(userId, yearMonth);
-      const folderUrl = `https://drive.google.com/drive/folders/${monthFolder}`;
+      const sheets = response.data.sheets;
+      const lastSheet = this.filterMonthSheets(sheets, yearMonth).pop();
+      const page = Math.max(...monthSheets.map(sheet => sheet.page)) + 1;
 
-      // D3に初日、G3にフォルダリンクを設定
-      await Promise.all([
-        this.sheets.spreadsheets.values.update({
-          spreadsheetId,
-          range: `'${sheetName}'!D3`,
-          valueInputOption: 'USER_ENTERED',
-          resource: {
-            values: [[this.formatDate(firstDay, true)]]
-          }
-        }),
-        this.sheets.spreadsheets.values.update({
-          spreadsheetId,
-          range: `'${sheetName}'!G3`,
-          valueInputOption: 'USER_ENTERED',
-          resource: {
-            values: [[`=HYPERLINK("${folderUrl}", "領収書フォルダ")`]]
-          }
-        })
-      ]);
+      const sheet = await this.createSheetFromBase({
+        userId,
+        spreadsheetId,
+        sheets,
+        yearMonth,
+        page,
+        insertSheetIndex: lastSheet && lastSheet.index !== undefined ? lastSheet.index + 1 : 0
+      });
 
-      return {
-        sheetId: newSheet.sheetId,
-        title: sheetName // newSheet.titleではなくsheetNameを使用
-      };
+      return { ...sheet, page };
     } catch (error) {
-      errorLog('Error in getOrCreateSheet:', error);
+      errorLog('Error creating continuation sheet:', error);
       throw new OperationError(
-        'シートの取得/作成に失敗しました。',
+        '続きのシートの作成に失敗しました。',
         userId,
-        'getOrCreateSheet'
+        'createContinuationSheet'
       );
     }
   }
 
   /**
-   * 空き行を検索する
+   * 空き行を検索する（見つからない場合はnull）
    * @param {string} spreadsheetId スプレッドシートID
    * @param {string} sheetTitle シート名
-   * @returns {Promise<number>} 空き行の行番号
+   * @returns {Promise<number|null>} 空き行の行番号
    */
-  async findEmptyRow(spreadsheetId, sheetTitle) {
+  async searchEmptyRow(spreadsheetId, sheetTitle) {
+    const slot = await this.searchEmptySlot(spreadsheetId, sheetTitle);
+    return slot ? slot.rowNumber : null;
+  }
+
+  /**
+   * 空き行を検索し、行番号とNoを返す（見つからない場合はnull）
+   * @param {string} spreadsheetId スプレッドシートID
+   * @param {string} sheetTitle シート名
+   * @returns {Promise<{rowNumber: number, no: string}|null>} 空き行の行番号とNo（A列）
+   */
+  async searchEmptySlot(spreadsheetId, sheetTitle) {
     if (!sheetTitle) {
       throw new Error('シート名が指定されていません。');
     }
@@ -198,16 +359,30 @@ class SheetsService {
     const dataValues = dataResponse.data.values || [];
 
     // 2行目から26行目まで検索
-    for (let i = 0; i < 25; i++) {
+    for (let i = 0; i < this.rowsPerSheet; i++) {
       // A列にNoが入力済みで、B-E列が空の行を探す
       const hasNo = noValues[i]?.[0];
       const row = dataValues[i] || [];
       if (hasNo && row.every(cell => !cell)) {
-        return i + 2;  // インデックスは0始まりなので+2
+        return { rowNumber: i + 2, no: hasNo.toString() };  // インデックスは0始まりなので+2
       }
     }
 
-    throw new Error('空き行がありません。');
+    return null;
+  }
+
+  /**
+   * 空き行を検索する
+   * @param {string} spreadsheetId スプレッドシートID
+   * @param {string} sheetTitle シート名
+   * @returns {Promise<number>} 空き行の行番号
+   */
+  async findEmptyRow(spreadsheetId, sheetTitle) {
+    const rowNumber = await this.searchEmptyRow(spreadsheetId, sheetTitle);
+    if (rowNumber === null) {
+      throw new Error('空き行がありません。');
+    }
+    return rowNumber;
   }
 
   /**
@@ -218,41 +393,81 @@ class SheetsService {
    * @param {number} params.amount 金額
    * @param {string} params.details 内容
    * @param {string} params.memo メモ
+   * @param {string} [params.category] 勘定科目
+   * @param {number|null} [params.taxRate] 税率（10 または 8）
+   * @param {number|null} [params.taxAmount] 消費税額
+   * @param {string} [params.invoiceNumber] インボイス登録番号
    * @param {string} [params.fileUrl] 領収書URL
-   * @returns {Promise<{success: boolean, message: string, sheetUrl: string}>}
+   * @returns {Promise<{success: boolean, message: string, yearMonth: string, no: string, sheetUrl: string}>}
    */
-  async addEntry({ userId, date, amount, details, memo, fileUrl = '' }) {
+  async addEntry({ userId, date, amount, details, memo, category = '', taxRate = null, taxAmount = null, invoiceNumber = '', fileUrl = '' }) {
+    // 年月を取得（YYYY-MM）
+    const yearMonth = date.substring(0, 7);
+
+    // 同じ月への登録・PDF出力と重ならないようにする（空き行の検索から書き込みまで）
+    await sessionService.acquireLock(userId, yearMonth, 'creating');
+
     try {
       debugLog(`Adding entry for user: ${userId}`);
       const spreadsheetId = await settingsService.getSpreadsheetId(userId);
 
-      // 年月を取得（YYYY-MM）
-      const yearMonth = date.substring(0, 7);
+      // 承認済みの月には追加できない
+      await approvalService.assertWritable(userId, yearMonth);
+
+      // シートを取得または作成し、空き行を検索（続きのシートを含めて先頭から）
+      const monthSheets = await this.getMonthSheets(userId, yearMonth);
+      let sheet = null;
+      let slot = null;
+      for (const monthSheet of monthSheets) {
+        slot = await this.searchEmptySlot(spreadsheetId, monthSheet.title);
+        if (slot) {
+          sheet = monthSheet;
+          break;
+        }
+      }
 
-      // シートを取得または作成
-      const sheet = await this.getOrCreateSheet(userId, yearMonth);
+      // すべて埋まっている場合は続きのシートを作成
+      if (!sheet) {
+        debugLog(`All sheets for ${yearMonth} are full, creating continuation sheet`);
+        sheet = await this.createContinuationSheet(userId, yearMonth, monthSheets);
+        slot = await this.searchEmptySlot(spreadsheetId, sheet.title);
+        if (!slot) {
+          throw new Error('空き行がありません。');
+        }
+      }
+      const { rowNumber } = slot;
 
       const sheetTitle = sheet.title;
-      debugLog(`Using sheet: ${sheetTitle} for adding entry`);
-
-      // 空き行を検索
-      const rowNumber = await this.findEmptyRow(spreadsheetId, sheetTitle);
+      debugLog(`Using sheet: ${sheetTitle} (row ${rowNumber}) for adding entry`);
 
-      // データを追加（B-E列）
+      // データを追加（B-F列）
       await this.sheets.spreadsheets.values.update({
         spreadsheetId,
-        range: `'${sheetTitle}'!B${rowNumber}:E${rowNumber}`,
+        range: `'${sheetTitle}'!B${rowNumber}:F${rowNumber}`,
         valueInputOption: 'USER_ENTERED',
         resource: {
           values: [[
             this.formatDate(date),  // YYYY-MM-DD形式
             amount,
             details || '（内容なし）',
-            memo || ''
+            memo || '',
+            category || ''
           ]]
         }
       });
 
+      // 税率・税額・登録番号をH-J列に追加（ある場合のみ）
+      if (taxRate || Number.isInteger(taxAmount) || invoiceNumber) {
+        await this.sheets.spreadsheets.values.update({
+          spreadsheetId,
+          range: `'${sheetTitle}'!H${rowNumber}:J${rowNumber}`,
+          valueInputOption: 'USER_ENTERED',
+          resource: {
+            values: [this.formatTaxCells({ taxRate, taxAmount, invoiceNumber })]
+          }
+        });
+      }
+
       // 領収書リンクをG列に追加（ある場合のみ）
       if (fileUrl) {
         await this.sheets.spreadsheets.values.update({
@@ -269,6 +484,8 @@ class SheetsService {
       return {
         success: true,
         message: '経費を登録しました。',
+        yearMonth,
+        no: slot.no,
         sheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${sheet.sheetId}`
       };
     } catch (error) {
@@ -278,55 +495,433 @@ class SheetsService {
         userId,
         'addEntry'
       );
+    } finally {
+      await sessionService.releaseLock(userId, yearMonth);
     }
   }
 
   /**
-   * ステータスを取得する
+   * シートの明細行を取得する
+   * @param {string} spreadsheetId スプレッドシートID
+   * @param {string} sheetTitle シート名
+   * @returns {Promise<Array<{no: string, sheetTitle: string, rowNumber: number, date: string, amount: number, details: string, memo: string, category: string, fileUrl: string, taxRate: number|null, taxAmount: number|null, invoiceNumber: string}>>} 明細の配列
+   */
+  async getEntries(spreadsheetId, sheetTitle) {
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `'${sheetTitle}'!A2:J26`
+    });
+
+    return this.parseEntryRows(response.data.values || [], sheetTitle);
+  }
+
+  /**
+   * シートの明細行（A2:J26）の値を明細に変換する
+   * @param {Array<Array<string>>} values セルの値
+   * @param {string} sheetTitle シート名
+   * @returns {Array<Object>} 明細の配列（日付・金額のない行は除く）
+   */
+  parseEntryRows(values, sheetTitle) {
+    return values
+      .map((row, i) => ({
+        no: row[0] || '',
+        sheetTitle,
+        rowNumber: i + 2,  // インデックスは0始まりなので+2
+        date: row[1],
+        amount: this.parseAmount(row[2]),
+        details: row[3] || '（内容なし）',
+        memo: row[4] || '',
+        category: row[5] || '',
+        fileUrl: row[6] || '',
+        taxRate: parseInt(row[7], 10) || null,  // "10%" → 10
+        taxAmount: isNaN(this.parseAmount(row[8])) ? null : this.parseAmount(row[8]),
+        invoiceNumber: row[9] || ''
+      }))
+      .filter(entry => entry.date && !isNaN(entry.amount));
+  }
+
+  /**
+   * 比較用に日付をYYYY-MM-DD形式にそろえる
+   * @param {string} date 日付（YYYY-MM-DD形式またはYYYY/M/D形式）
+   * @returns {string} YYYY-MM-DD形式の日付
+   */
+  normalizeEntryDate(date) {
+    const match = String(date || '').match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    return match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : '';
+  }
+
+  /**
+   * 比較用に内容（店名）の表記をそろえる
+   * @param {string} details 内容
+   * @returns {string} 全角・半角と空白の違いを除いた内容
+   */
+  normalizeEntryDetails(details) {
+    return (details || '').normalize('NFKC').replace(/\s+/g, '');
+  }
+
+  /**
+   * 登録済みの明細から重複の可能性があるものを検索する（全期間）
+   * 同じ領収書ファイルを参照している明細と、日付・金額・内容（店名）が一致する明細を返す
+   * @param {string} userId ユーザーID
+   * @param {Object} params 登録しようとしている経費
+   * @param {string} params.date 日付（YYYY-MM-DD形式）
+   * @param {number} params.amount 金額
+   * @param {string} params.details 内容
+   * @param {string[]} [params.fileIds] 同じ内容の領収書ファイルのID
+   * @returns {Promise<Array<Object>>} 明細の配列（yearMonth、sheetUrl、sameReceiptを含む）
+   */
+  async findDuplicateEntries(userId, { date, amount, details, fileIds = [] }) {
+    debugLog(`Finding duplicate entries for user: ${userId}`);
+    const spreadsheetId = await settingsService.getSpreadsheetId(userId);
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties'
+    });
+
+    // 月次シート（旧フォーマット・続きのシートを含む）
+    const monthSheets = response.data.sheets
+      .map(s => s.properties)
+      .filter(properties => /^\d{4}[-_]\d{2}(_\d+)?$/.test(properties.title));
+    if (monthSheets.length === 0) {
+      return [];
+    }
+
+    const { data } = await this.sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: monthSheets.map(sheet => `'${sheet.title}'!A2:J26`)
+    });
+
+    const targetDate = this.normalizeEntryDate(date);
+    const targetDetails = this.normalizeEntryDetails(details);
+    const duplicates = [];
+    (data.valueRanges || []).forEach((valueRange, i) => {
+      const sheet = monthSheets[i];
+      for (const entry of this.parseEntryRows(valueRange.values || [], sheet.title)) {
+        const sameReceipt = fileIds.includes(driveService.extractFileId(entry.fileUrl));
+        const sameValues = this.normalizeEntryDate(entry.date) === targetDate &&
+          entry.amount === amount &&
+          this.normalizeEntryDetails(entry.details) === targetDetails;
+
+        if (sameReceipt || sameValues) {
+          duplicates.push({
+            ...entry,
+            yearMonth: this.parseSheetName(sheet.title),
+            sheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${sheet.sheetId}&range=A${entry.rowNumber}`,
+            sameReceipt
+          });
+        }
+      }
+    });
+
+    return duplicates;
+  }
+
+  /**
+   * 期間内の月ごとの明細を取得する（続きのシートを含む。シートのない月は作成せず空とする）
+   * @param {string} userId ユーザーID
+   * @param {string[]} yearMonths YYYY-MM形式の年月（古い順）
+   * @returns {Promise<Array<{yearMonth: string, entries: Object[], sheetCount: number, sheets: Object[], sheetUrl: string}>>} 月ごとの明細（sheetUrlはシートのない月は空）
+   */
+  async getEntriesByMonths(userId, yearMonths) {
+    const spreadsheetId = await settingsService.getSpreadsheetId(userId);
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties'
+    });
+
+    const monthSheets = yearMonths.map(yearMonth => ({
+      yearMonth,
+      sheets: this.filterMonthSheets(response.data.sheets, yearMonth)
+    }));
+    const sheets = monthSheets.flatMap(month => month.sheets);
+    if (sheets.length === 0) {
+      return yearMonths.map(yearMonth => ({ yearMonth, entries: [], sheetCount: 0, sheets: [], sheetUrl: '' }));
+    }
+
+    // 1回のリクエストで全シートの明細を取得する
+    const { data } = await this.sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: sheets.map(sheet => `'${sheet.title}'!A2:J26`)
+    });
+    const entriesByTitle = new Map(sheets.map((sheet, i) => [
+      sheet.title,
+      this.parseEntryRows(data.valueRanges?.[i]?.values || [], sheet.title)
+    ]));
+
+    const sheetUrl = (sheet) => `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${sheet.sheetId}`;
+
+    return monthSheets.map(month => ({
+      yearMonth: month.yearMonth,
+      entries: month.sheets.flatMap(sheet => entriesByTitle.get(sheet.title)),
+      sheetCount: month.sheets.length,
+      sheets: month.sheets.map(sheet => ({ title: sheet.title, sheetUrl: sheetUrl(sheet) })),
+      sheetUrl: month.sheets.length > 0 ? sheetUrl(month.sheets[0]) : ''
+    }));
+  }
+
+  /**
+   * Noを指定して明細を検索する
    * @param {string} userId ユーザーID
    * @param {string} yearMonth YYYY-MM形式の年月
-   * @returns {Promise<Object>} ステータス情報
+   * @param {string|number} no 明細のNo（A列）
+   * @returns {Promise<{spreadsheetId: string, sheet: {sheetId: string, title: string}, entry: Object}>} 明細情報
    */
-  async getStatus(userId, yearMonth) {
+  async findEntry(userId, yearMonth, no) {
+    const spreadsheetId = await settingsService.getSpreadsheetId(userId);
+    const monthSheets = await this.getMonthSheets(userId, yearMonth);
+
+    for (const sheet of monthSheets) {
+      const entries = await this.getEntries(spreadsheetId, sheet.title);
+      const entry = entries.find(e => e.no.toString() === no.toString());
+      if (entry) {
+        return { spreadsheetId, sheet, entry };
+      }
+    }
+
+    throw new OperationError(
+      `${yearMonth}のNo.${no}の経費が見つかりません。`,
+      userId,
+      'findEntry'
+    );
+  }
+
+  /**
+   * エントリーを更新する
+   * @param {Object} params パラメータ
+   * @param {string} params.userId ユーザーID
+   * @param {string} params.yearMonth YYYY-MM形式の年月
+   * @param {string|number} params.no 明細のNo（A列）
+   * @param {string} params.date 日付（YYYY-MM-DD形式）
+   * @param {number} params.amount 金額
+   * @param {string} params.details 内容
+   * @param {string} params.memo メモ
+   * @param {string} [params.category] 勘定科目
+   * @param {number|null} [params.taxRate] 税率（10 または 8）
+   * @param {number|null} [params.taxAmount] 消費税額
+   * @param {string} [params.invoiceNumber] インボイス登録番号
+   * @returns {Promise<{success: boolean, message: string, sheetUrl: string}>}
+   */
+  async updateEntry({ userId, yearMonth, no, date, amount, details, memo, category = '', taxRate = null, taxAmount = null, invoiceNumber = '' }) {
+    // 同じ月への登録・PDF出力と重ならないようにする（行の検索から書き込みまで）
+    await sessionService.acquireLock(userId, yearMonth, 'updating');
+
     try {
-      debugLog(`Getting status for user: ${userId}, month: ${yearMonth}`);
-      const spreadsheetId = await settingsService.getSpreadsheetId(userId);
+      debugLog(`Updating entry No.${no} in ${yearMonth} for user: ${userId}`);
 
-      // シートの存在確認
-      const sheet = await this.getOrCreateSheet(userId, yearMonth);
+      if (date.substring(0, 7) !== yearMonth) {
+        throw new Error('別の月の日付には変更できません。削除してから登録し直してください。');
+      }
 
-      // データを取得（合計金額を含む）
-      const [entriesResponse, totalResponse] = await Promise.all([
-        this.sheets.spreadsheets.values.get({
-          spreadsheetId,
-          range: `'${sheet.title}'!B2:C26`
-        }),
+      await approvalService.assertWritable(userId, yearMonth);
+
+      const { spreadsheetId, sheet, entry } = await this.findEntry(userId, yearMonth, no);
+
+      // データを更新（B-F列）
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${sheet.title}'!B${entry.rowNumber}:F${entry.rowNumber}`,
+        valueInputOption: 'USER_ENTERED',
+        resource: {
+          values: [[
+            this.formatDate(date),
+            amount,
+            details || '（内容なし）',
+            memo || '',
+            category || ''
+          ]]
+        }
+      });
+
+      // 税率・税額・登録番号を更新（H-J列）
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${sheet.title}'!H${entry.rowNumber}:J${entry.rowNumber}`,
+        valueInputOption: 'USER_ENTERED',
+        resource: {
+          values: [this.formatTaxCells({ taxRate, taxAmount, invoiceNumber })]
+        }
+      });
+
+      debugLog('Entry updated successfully');
+      return {
+        success: true,
+        message: '経費を更新しました。',
+        sheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${sheet.sheetId}`
+      };
+    } catch (error) {
+      errorLog('Error updating entry:', error);
+      throw new OperationError(
+        error.message || 'エントリーの更新に失敗しました。',
+        userId,
+        'updateEntry'
+      );
+    } finally {
+      await sessionService.releaseLock(userId, yearMonth);
+    }
+  }
+
+  /**
+   * エントリーを削除する（B-J列をクリアし、領収書も削除）
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {string|number} no 明細のNo（A列）
+   * @returns {Promise<{success: boolean, message: string, entry: Object, sheetUrl: string, warning: string|null}>} warningは領収書を削除できなかった場合の警告
+   */
+  async deleteEntry(userId, yearMonth, no) {
+    // 同じ月への登録・PDF出力と重ならないようにする（行の検索から削除まで）
+    await sessionService.acquireLock(userId, yearMonth, 'updating');
+
+    try {
+      debugLog(`Deleting entry No.${no} in ${yearMonth} for user: ${userId}`);
+      await approvalService.assertWritable(userId, yearMonth);
+      const { spreadsheetId, sheet, entry } = await this.findEntry(userId, yearMonth, no);
+
+      await this.sheets.spreadsheets.values.batchClear({
+        spreadsheetId,
+        resource: {
+          ranges: [
+            `'${sheet.title}'!B${entry.rowNumber}:J${entry.rowNumber}`
+          ]
+        }
+      });
+
+      // 領収書をDriveから削除（PDF出力に残らないように）
+      // 明細は削除済みのため、領収書の削除に失敗しても警告にとどめる
+      let warning = null;
+      const fileId = driveService.extractFileId(entry.fileUrl);
+      if (fileId) {
+        try {
+          await driveService.deleteFile(userId, fileId);
+        } catch (error) {
+          errorLog('Error deleting receipt:', error);
+          warning = `領収書をDriveから削除できませんでした。必要に応じて手動で削除してください: ${entry.fileUrl}`;
+        }
+      }
+
+      debugLog('Entry deleted successfully');
+      return {
+        success: true,
+        message: '経費を削除しました。',
+        entry,
+        sheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${sheet.sheetId}`,
+        warning
+      };
+    } catch (error) {
+      errorLog('Error deleting entry:', error);
+      throw new OperationError(
+        error.message || 'エントリーの削除に失敗しました。',
+        userId,
+        'deleteEntry'
+      );
+    } finally {
+      await sessionService.releaseLock(userId, yearMonth);
+    }
+  }
+
+  /**
+   * 勘定科目ごとの小計を集計する
+   * @param {Array<{amount: number, category: string}>} entries 明細の配列
+   * @returns {Array<{category: string, count: number, total: number}>} 勘定科目ごとの件数と小計（金額の大きい順）
+   */
+  summarizeByCategory(entries) {
+    const totals = new Map();
+    for (const entry of entries) {
+      const category = entry.category || '未分類';
+      const current = totals.get(category) || { category, count: 0, total: 0 };
+      current.count += 1;
+      current.total += entry.amount;
+      totals.set(category, current);
+    }
+    return [...totals.values()].sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * 税率ごとの合計を集計する
+   * 税額が未入力の明細は税込金額から計算する（1円未満切り捨て）
+   * @param {Array<{amount: number, taxRate: number|null, taxAmount: number|null}>} entries 明細の配列
+   * @returns {Array<{taxRate: number|null, count: number, total: number, tax: number}>} 税率ごとの件数・税込合計・消費税額（税率の高い順、未設定は最後）
+   */
+  summarizeByTaxRate(entries) {
+    const totals = new Map();
+    for (const entry of entries) {
+      const taxRate = entry.taxRate || null;
+      const current = totals.get(taxRate) || { taxRate, count: 0, total: 0, tax: 0 };
+      current.count += 1;
+      current.total += entry.amount;
+      if (Number.isInteger(entry.taxAmount)) {
+        current.tax += entry.taxAmount;
+      } else if (taxRate) {
+        current.tax += Math.floor(entry.amount * taxRate / (100 + taxRate));
+      }
+      totals.set(taxRate, current);
+    }
+    return [...totals.values()].sort((a, b) => (b.taxRate || 0) - (a.taxRate || 0));
+  }
+
+  /**
+   * 月の明細と合計を取得する（続きのシートを含めて1か月分として集計）
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<{entries: Object[], total: number, categoryTotals: Object[], taxTotals: Object[], sheets: Object[], sheetUrl: string}>} 月のデータ
+   */
+  async getMonthData(userId, yearMonth) {
+    const spreadsheetId = await settingsService.getSpreadsheetId(userId);
+
+    // シートの存在確認と作成
+    const monthSheets = await this.getMonthSheets(userId, yearMonth);
+    debugLog(`Using sheets: ${monthSheets.map(sheet => sheet.title).join(', ')}`);
+
+    // シートごとに明細と合計金額を取得
+    const sheetData = await Promise.all(monthSheets.map(async sheet => {
+      const [entries, totalResponse] = await Promise.all([
+        this.getEntries(spreadsheetId, sheet.title),
         this.sheets.spreadsheets.values.get({
           spreadsheetId,
           range: `'${sheet.title}'!C27`
         })
       ]);
 
-      const values = entriesResponse.data.values || [];
-      const entries = values
-        .filter(row => row[0] && row[1])
-        .map(row => ({
-          date: row[0],
-          amount: this.parseAmount(row[1])
-        }))
-        .filter(entry => !isNaN(entry.amount));
-
       // C27から合計金額を取得、取得できない場合は明細から計算
       const total = totalResponse.data.values?.[0]?.[0]
         ? this.parseAmount(totalResponse.data.values[0][0])
         : entries.reduce((sum, entry) => sum + entry.amount, 0);
 
+      return { entries, total: isNaN(total) ? 0 : total };
+    }));
+
+    const sheetUrl = (sheet) => `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${sheet.sheetId}`;
+
+    const entries = sheetData.flatMap(data => data.entries);
+
+    return {
+      entries,
+      total: sheetData.reduce((sum, data) => sum + data.total, 0),
+      categoryTotals: this.summarizeByCategory(entries),
+      taxTotals: this.summarizeByTaxRate(entries),
+      sheets: monthSheets.map(sheet => ({ title: sheet.title, sheetUrl: sheetUrl(sheet) })),
+      sheetUrl: sheetUrl(monthSheets[0])
+    };
+  }
+
+  /**
+   * ステータスを取得する
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<Object>} ステータス情報
+   */
+  async getStatus(userId, yearMonth) {
+    try {
+      debugLog(`Getting status for user: ${userId}, month: ${yearMonth}`);
+      const { entries, total, categoryTotals, sheets, sheetUrl } = await this.getMonthData(userId, yearMonth);
+
       return {
         yearMonth,
         count: entries.length,
-        total: isNaN(total) ? 0 : total,
+        total,
+        categoryTotals,
         lastUpdate: entries.length > 0 ? entries[entries.length - 1].date : null,
-        sheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${sheet.sheetId}`
+        sheetCount: sheets.length,
+        sheetUrl
       };
     } catch (error) {
       errorLog('Error getting status:', error);
@@ -347,44 +942,15 @@ class SheetsService {
   async getList(userId, yearMonth) {
     try {
       debugLog(`Getting list for user: ${userId}, month: ${yearMonth}`);
-      const spreadsheetId = await settingsService.getSpreadsheetId(userId);
-
-      // シートの存在確認と作成
-      const sheet = await this.getOrCreateSheet(userId, yearMonth);
-      debugLog(`Using sheet: ${sheet.title}`);
-
-      // データを取得（明細と合計金額）
-      const [entriesResponse, totalResponse] = await Promise.all([
-        this.sheets.spreadsheets.values.get({
-          spreadsheetId,
-          range: `'${sheet.title}'!B2:D26`
-        }),
-        this.sheets.spreadsheets.values.get({
-          spreadsheetId,
-          range: `'${sheet.title}'!C27`
-        })
-      ]);
-
-      const values = entriesResponse.data.values || [];
-      const entries = values
-        .filter(row => row[0] && row[1])
-        .map(row => ({
-          date: row[0],
-          amount: this.parseAmount(row[1]),
-          details: row[2] || '（内容なし）'
-        }))
-        .filter(entry => !isNaN(entry.amount));
-
-      // C27から合計金額を取得、取得できない場合は明細から計算
-      const total = totalResponse.data.values?.[0]?.[0]
-        ? this.parseAmount(totalResponse.data.values[0][0])
-        : entries.reduce((sum, entry) => sum + entry.amount, 0);
+      const { entries, total, categoryTotals, sheets, sheetUrl } = await this.getMonthData(userId, yearMonth);
 
       return {
         yearMonth,
         entries,
-        total: isNaN(total) ? 0 : total,
-        sheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${sheet.sheetId}`
+        total,
+        categoryTotals,
+        sheets,
+        sheetUrl
       };
     } catch (error) {
       errorLog('Error getting list:', error);
@@ -397,4 +963,4 @@ class SheetsService {
   }
 }
 
-module.exports = new SheetsService();
\ No newline at end of file
+module.exports = new SheetsService();
@@ -3,7 +3,19 @@ const sheetsService = require('./sheetsService');
 const driveService = require('./driveService');
 const settingsService = require('./settingsService');
 const exportService = require('./exportService');
+const approvalService = require('./approvalService');
+const ocrService = require('./ocrService');
+const sessionService = require('./sessionService');
+const jobQueue = require('./jobQueue');
+const transitService = require('./transitService');
+const recurringService = require('./recurringService');
+const reminderService = require('./reminderService');
+const adminService = require('./adminService');
+const csvExportService = require('./csvExportService');
+const reportService = require('./reportService');
 const axios = require('axios');
+const { OperationError } = require('../utils/errors');
+const { getJstToday, addMonths } = require('../utils/date');
 
 // デバッグログの設定
 const debugLog = (message, ...args) => {
@@ -18,6 +30,30 @@ const errorLog = (message, error) => {
   }
 };
 
+// 消費税率の選択肢（標準税率・軽減税率）
+const TAX_RATES = [10, 8];
+
+// インボイス登録番号（T + 13桁）
+const INVOICE_NUMBER_PATTERN = /^T\d{13}$/;
+
+// 経費精算書の出力形式と表示名
+const EXPORT_FORMAT_LABELS = {
+  pdf: 'PDF',
+  xlsx: 'Excel',
+};
+
+// 直接入力の種類（通常の経費・交通費（経路））
+const ENTRY_TYPES = [
+  { value: 'general', label: '通常の経費' },
+  { value: 'transit', label: '交通費（経路）' },
+];
+
+// 交通費（経路）の勘定科目（選択肢にある場合の初期値）
+const TRANSIT_CATEGORY = '旅費交通費';
+
+// 一括登録で扱うファイル数の上限（Slackのメッセージに添付できる数・モーダルのブロック数上限）
+const MAX_BULK_FILES = 10;
+
 class SlackService {
   constructor() {
     this.app = null;
@@ -55,103 +91,734 @@ class SlackService {
 
     await this.initializeCommands();
     await this.initializeShortcuts();
+    await this.initializeActions();
+    await this.initializeHome();
+    await this.initializeJobs();
+    this.initializeRecurring();
+    this.initializeReminders();
+    sessionService.startCleanupInterval();
     debugLog('SlackService initialized');
   }
 
-  async openExpenseModal(client, triggerId, options = {}) {
+  /**
+   * Slackにアップロードされたファイルをダウンロードする
+   * @param {string} fileUrl ファイルのURL（url_private）
+   * @returns {Promise<Buffer>} ファイルの内容
+   */
+  async downloadFile(fileUrl) {
+    debugLog('Downloading file from URL:', fileUrl);
+    const response = await axios.get(fileUrl, {
+      headers: {
+        'Authorization': `Bearer ${config.slack.botToken}`
+      },
+      responseType: 'arraybuffer'
+    });
+
+    if (response.status !== 200) {
+      throw new Error('ファイルのダウンロードに失敗しました');
+    }
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * OCRの結果をモーダルの初期値に変換する
+   * @param {{amount: number, date: string, vendor?: string, details: string, taxRate?: number, taxAmount?: number, invoiceNumber?: string}} ocrResult OCRの結果
+   * @returns {{date?: string, amount?: number, details?: string, taxRate?: number, taxAmount?: number, invoiceNumber?: string}} モーダルの初期値
+   */
+  buildPrefill(ocrResult) {
+    const prefill = {};
+
+    if (ocrResult.date && /^\d{4}-\d{2}-\d{2}$/.test(ocrResult.date) && !isNaN(Date.parse(ocrResult.date))) {
+      prefill.date = ocrResult.date;
+    }
+
+    if (Number.isInteger(ocrResult.amount) && ocrResult.amount > 0) {
+      prefill.amount = ocrResult.amount;
+    }
+
+    // 内容は店舗名（検出できない場合は先頭の1行）を使用
+    const firstLine = ocrResult.vendor || (ocrResult.details || '').split('\n').map(line => line.trim()).find(line => line);
+    if (firstLine) {
+      prefill.details = firstLine.substring(0, 100);
+    }
+
+    if (TAX_RATES.includes(ocrResult.taxRate)) {
+      prefill.taxRate = ocrResult.taxRate;
+    }
+
+    if (Number.isInteger(ocrResult.taxAmount) && ocrResult.taxAmount >= 0) {
+      prefill.taxAmount = ocrResult.taxAmount;
+    }
+
+    if (ocrResult.invoiceNumber && INVOICE_NUMBER_PATTERN.test(ocrResult.invoiceNumber)) {
+      prefill.invoiceNumber = ocrResult.invoiceNumber;
+    }
+
+    return prefill;
+  }
+
+  /**
+   * 添付ファイルをOCRで読み取り、モーダルの初期値を作成する
+   * @param {Object} options モーダルのオプション
+   * @returns {Promise<{date?: string, amount?: number, details?: string}|null>} 初期値（読み取れなかった場合はnull）
+   */
+  async readReceipt(options) {
     try {
-      debugLog('Opening expense modal with options:', options);
-      const blocks = [
-        {
-          type: 'input',
-          block_id: 'date_block',
-          optional: true,
-          element: {
-            type: 'datepicker',
-            action_id: 'date_input',
-            initial_date: new Date().toISOString().split('T')[0],
-            placeholder: {
-              type: 'plain_text',
-              text: '日付を選択',
-            },
+      if (!ocrService.isSupportedType(options.fileType)) {
+        debugLog('Skipping OCR for unsupported file type:', options.fileType);
+        return null;
+      }
+
+      const fileContent = await this.downloadFile(options.fileUrl);
+      const ocrResult = await ocrService.extractFileText(fileContent, options.fileType);
+      debugLog('OCR result:', { amount: ocrResult.amount, date: ocrResult.date });
+
+      return this.buildPrefill(ocrResult);
+    } catch (error) {
+      errorLog('Error reading receipt:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 経費の入力欄（日付・金額・勘定科目・内容・備考・税率・税額・登録番号）を作成する
+   * @param {{date?: string, amount?: number, category?: string, details?: string, memo?: string, taxRate?: number, taxAmount?: number, invoiceNumber?: string}} [values] 入力欄の初期値
+   * @param {string[]} [categories] 勘定科目の選択肢
+   * @returns {Object[]} 入力欄のブロック
+   */
+  buildEntryInputBlocks(values = {}, categories = []) {
+    const blocks = [
+      {
+        type: 'input',
+        block_id: 'date_block',
+        optional: true,
+        element: {
+          type: 'datepicker',
+          action_id: 'date_input',
+          initial_date: values.date || getJstToday().date,
+          placeholder: {
+            type: 'plain_text',
+            text: '日付を選択',
           },
-          label: {
+        },
+        label: {
+          type: 'plain_text',
+          text: '日付',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'amount_block',
+        optional: false,
+        element: {
+          type: 'number_input',
+          action_id: 'amount_input',
+          is_decimal_allowed: false,
+          ...(values.amount ? { initial_value: values.amount.toString() } : {}),
+          placeholder: {
             type: 'plain_text',
-            text: '日付',
+            text: '金額を入力',
           },
         },
-        {
-          type: 'input',
-          block_id: 'amount_block',
-          optional: false,
-          element: {
-            type: 'number_input',
-            action_id: 'amount_input',
-            is_decimal_allowed: false,
-            placeholder: {
-              type: 'plain_text',
-              text: '金額を入力',
-            },
+        label: {
+          type: 'plain_text',
+          text: '金額',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'details_block',
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'details_input',
+          ...(values.details ? { initial_value: values.details } : {}),
+          placeholder: {
+            type: 'plain_text',
+            text: '利用目的/内容を入力',
           },
-          label: {
+        },
+        label: {
+          type: 'plain_text',
+          text: '利用目的/内容',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'memo_block',
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'memo_input',
+          ...(values.memo ? { initial_value: values.memo } : {}),
+          placeholder: {
             type: 'plain_text',
-            text: '金額',
+            text: '備考を入力',
           },
         },
-        {
-          type: 'input',
-          block_id: 'details_block',
-          optional: true,
-          element: {
-            type: 'plain_text_input',
-            action_id: 'details_input',
-            placeholder: {
-              type: 'plain_text',
-              text: '利用目的/内容を入力',
-            },
+        label: {
+          type: 'plain_text',
+          text: '備考',
+        },
+      },
+      this.buildTaxRateBlock(values.taxRate),
+      {
+        type: 'input',
+        block_id: 'tax_amount_block',
+        optional: true,
+        element: {
+          type: 'number_input',
+          action_id: 'tax_amount_input',
+          is_decimal_allowed: false,
+          ...(Number.isInteger(values.taxAmount) ? { initial_value: values.taxAmount.toString() } : {}),
+          placeholder: {
+            type: 'plain_text',
+            text: '未入力の場合は税率から計算',
           },
-          label: {
+        },
+        label: {
+          type: 'plain_text',
+          text: '消費税額',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'invoice_block',
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'invoice_input',
+          max_length: 20,
+          ...(values.invoiceNumber ? { initial_value: values.invoiceNumber } : {}),
+          placeholder: {
             type: 'plain_text',
-            text: '利用目的/内容',
+            text: 'T1234567890123',
           },
         },
+        label: {
+          type: 'plain_text',
+          text: '登録番号（インボイス）',
+        },
+      },
+    ];
+
+    // 勘定科目の選択欄（金額の後）
+    const categoryBlock = this.buildCategoryBlock(values.category, categories);
+    if (categoryBlock) {
+      blocks.splice(2, 0, categoryBlock);
+    }
+
+    return blocks;
+  }
+
+  /**
+   * 直接入力の種類の選択欄を作成する（選択すると入力欄を切り替える）
+   * @param {string} selected 選択中の種類
+   * @returns {Object} 選択欄のブロック
+   */
+  buildEntryTypeBlock(selected) {
+    const toOption = type => ({
+      text: { type: 'plain_text', text: type.label },
+      value: type.value,
+    });
+
+    return {
+      type: 'actions',
+      block_id: 'entry_type_block',
+      elements: [{
+        type: 'static_select',
+        action_id: 'entry_type_select',
+        options: ENTRY_TYPES.map(toOption),
+        initial_option: toOption(ENTRY_TYPES.find(type => type.value === selected) || ENTRY_TYPES[0]),
+      }],
+    };
+  }
+
+  /**
+   * 交通費（経路）の入力欄（日付・利用目的・区間・往復・定期区間控除・勘定科目）を作成する
+   * @param {string[]} [categories] 勘定科目の選択肢
+   * @returns {Object[]} 入力欄のブロック
+   */
+  buildTransitInputBlocks(categories = []) {
+    const textInput = (blockId, label, placeholder, optional) => ({
+      type: 'input',
+      block_id: blockId,
+      optional,
+      element: {
+        type: 'plain_text_input',
+        action_id: 'value',
+        placeholder: { type: 'plain_text', text: placeholder },
+      },
+      label: { type: 'plain_text', text: label },
+    });
+
+    const blocks = [
+      {
+        type: 'input',
+        block_id: 'date_block',
+        optional: true,
+        element: {
+          type: 'datepicker',
+          action_id: 'date_input',
+          initial_date: getJstToday().date,
+          placeholder: { type: 'plain_text', text: '日付を選択' },
+        },
+        label: { type: 'plain_text', text: '日付' },
+      },
+      textInput('transit_purpose_block', '利用目的', '例: A社打合せ', false),
+    ];
+
+    for (let i = 1; i <= transitService.maxLegs; i++) {
+      const optional = i > 1;
+      blocks.push(
+        {
+          type: 'context',
+          elements: [{
+            type: 'mrkdwn',
+            text: optional ? `*区間${i}*（乗り換え・経由がある場合）` : `*区間${i}*`,
+          }],
+        },
+        textInput(`transit_from_${i}_block`, '出発', '例: 新宿', optional),
+        textInput(`transit_to_${i}_block`, '到着', '例: 品川', optional),
         {
           type: 'input',
-          block_id: 'memo_block',
+          block_id: `transit_fare_${i}_block`,
           optional: true,
           element: {
-            type: 'plain_text_input',
-            action_id: 'memo_input',
-            placeholder: {
-              type: 'plain_text',
-              text: '備考を入力',
-            },
-          },
-          label: {
-            type: 'plain_text',
-            text: '備考',
+            type: 'number_input',
+            action_id: 'value',
+            is_decimal_allowed: false,
+            min_value: '0',
+            placeholder: { type: 'plain_text', text: '未入力の場合は運賃表から' },
           },
+          label: { type: 'plain_text', text: '片道運賃' },
+        }
+      );
+    }
+
+    blocks.push(
+      {
+        type: 'input',
+        block_id: 'transit_round_trip_block',
+        optional: true,
+        element: {
+          type: 'checkboxes',
+          action_id: 'value',
+          options: [{ text: { type: 'plain_text', text: '往復' }, value: 'round_trip' }],
         },
-      ];
+        label: { type: 'plain_text', text: '往復' },
+      },
+      {
+        type: 'input',
+        block_id: 'transit_pass_block',
+        optional: true,
+        element: {
+          type: 'number_input',
+          action_id: 'value',
+          is_decimal_allowed: false,
+          min_value: '0',
+          placeholder: { type: 'plain_text', text: '定期券の区間と重なる分の運賃' },
+        },
+        label: { type: 'plain_text', text: '定期区間の控除額' },
+      }
+    );
 
-      await client.views.open({
-        trigger_id: triggerId,
-        view: {
-          type: 'modal',
-          callback_id: options.hasFile ? 'expense_modal' : 'expense_direct_modal',
-          private_metadata: JSON.stringify(options),
-          title: {
-            type: 'plain_text',
-            text: '経費精算書の作成',
-          },
-          blocks: blocks,
-          submit: {
-            type: 'plain_text',
-            text: '送信',
+    const categoryBlock = this.buildCategoryBlock(categories.includes(TRANSIT_CATEGORY) ? TRANSIT_CATEGORY : '', categories);
+    if (categoryBlock) {
+      blocks.splice(2, 0, categoryBlock);
+    }
+
+    return blocks;
+  }
+
+  /**
+   * 交通費（経路）の入力を検証し、登録のジョブを追加する
+   * @param {function(Object=): Promise<void>} ack モーダルの応答
+   * @param {string} userId ユーザーID
+   * @param {Object} values view.state.values
+   * @returns {Promise<void>}
+   */
+  async submitTransitEntry(ack, userId, values) {
+    const { entry, errors } = await this.readTransitValues(values);
+    if (errors) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+
+    await ack();
+    const date = values.date_block.date_input.selected_date || getJstToday().date;
+    const category = values.category_block?.category_input?.selected_option?.value || '';
+    // 運賃は消費税10%を含む（3万円未満の公共交通機関の運賃は領収書・登録番号なしで控除できる）
+    await jobQueue.enqueue('register', userId, {
+      entry: { date, ...entry, category, tax: { taxRate: 10, taxAmount: null, invoiceNumber: '' } },
+      file: null,
+    }, `交通費の登録（${date} ¥${entry.amount.toLocaleString()}）`);
+    debugLog('Transit register job queued');
+  }
+
+  /**
+   * 交通費（経路）の入力値を取り出し、運賃を決めて明細を作成する
+   * @param {Object} values view.state.values
+   * @returns {Promise<{entry?: {amount: number, details: string, memo: string}, errors?: Object}>} 明細（入力エラーの場合はブロックごとのエラー）
+   */
+  async readTransitValues(values) {
+    const text = (blockId) => (values[blockId]?.value?.value || '').trim();
+    const number = (blockId) => {
+      const value = values[blockId]?.value?.value;
+      return value ? parseInt(value, 10) : null;
+    };
+
+    const errors = {};
+    const legs = [];
+    for (let i = 1; i <= transitService.maxLegs; i++) {
+      const from = text(`transit_from_${i}_block`);
+      const to = text(`transit_to_${i}_block`);
+      const fare = number(`transit_fare_${i}_block`);
+      if (!from && !to && fare === null) {
+        continue;
+      }
+      if (!from) {
+        errors[`transit_from_${i}_block`] = '出発を入力してください。';
+      } else if (!to) {
+        errors[`transit_to_${i}_block`] = '到着を入力してください。';
+      } else {
+        legs.push({ index: i, from, to, fare });
+      }
+    }
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+    if (legs.length === 0) {
+      return { errors: { transit_from_1_block: '経路を1区間以上入力してください。' } };
+    }
+
+    const resolved = await transitService.resolveFares(legs);
+    for (const leg of resolved) {
+      if (leg.fare === null) {
+        errors[`transit_fare_${leg.index}_block`] = `運賃表に「${leg.from}→${leg.to}」がありません。運賃を入力してください。`;
+      }
+    }
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+
+    const roundTrip = (values.transit_round_trip_block?.value?.selected_options || []).length > 0;
+    const passDeduction = number('transit_pass_block') || 0;
+    const entry = transitService.buildEntry({
+      purpose: text('transit_purpose_block'),
+      legs: resolved,
+      roundTrip,
+      passDeduction,
+    });
+    if (entry.amount <= 0) {
+      return { errors: { transit_pass_block: '控除額が運賃の合計以上になっています。' } };
+    }
+
+    return { entry };
+  }
+
+  /**
+   * 勘定科目の選択欄を作成する
+   * @param {string} [selected] 選択済みの勘定科目
+   * @param {string[]} categories 勘定科目の選択肢
+   * @returns {Object|null} 選択欄のブロック（選択肢がない場合はnull）
+   */
+  buildCategoryBlock(selected, categories) {
+    // マスタから削除された勘定科目が登録済みの場合も選択肢に残す
+    const names = selected && !categories.includes(selected) ? [...categories, selected] : categories;
+    if (names.length === 0) {
+      return null;
+    }
+
+    const toOption = name => ({
+      text: { type: 'plain_text', text: name.substring(0, 75) },
+      value: name.substring(0, 75),
+    });
+
+    return {
+      type: 'input',
+      block_id: 'category_block',
+      optional: true,
+      element: {
+        type: 'static_select',
+        action_id: 'category_input',
+        options: names.slice(0, 100).map(toOption),
+        ...(selected ? { initial_option: toOption(selected) } : {}),
+        placeholder: {
+          type: 'plain_text',
+          text: '勘定科目を選択',
+        },
+      },
+      label: {
+        type: 'plain_text',
+        text: '勘定科目',
+      },
+    };
+  }
+
+  /**
+   * 税率の選択欄を作成する
+   * @param {number} [selected] 選択済みの税率
+   * @returns {Object} 選択欄のブロック
+   */
+  buildTaxRateBlock(selected) {
+    const toOption = rate => ({
+      text: { type: 'plain_text', text: rate === 8 ? '8%（軽減税率）' : `${rate}%` },
+      value: rate.toString(),
+    });
+
+    return {
+      type: 'input',
+      block_id: 'tax_rate_block',
+      optional: true,
+      element: {
+        type: 'static_select',
+        action_id: 'tax_rate_input',
+        options: TAX_RATES.map(toOption),
+        ...(TAX_RATES.includes(selected) ? { initial_option: toOption(selected) } : {}),
+        placeholder: {
+          type: 'plain_text',
+          text: '税率を選択',
+        },
+      },
+      label: {
+        type: 'plain_text',
+        text: '税率',
+      },
+    };
+  }
+
+  /**
+   * モーダルの入力値から税率・税額・登録番号を取り出す
+   * @param {Object} values view.state.values
+   * @returns {{taxRate: number|null, taxAmount: number|null, invoiceNumber: string, error?: string}} 入力値（登録番号が不正な場合はerrorを含む）
+   */
+  readTaxValues(values) {
+    const rate = values.tax_rate_block?.tax_rate_input?.selected_option?.value;
+    const taxAmountValue = values.tax_amount_block?.tax_amount_input?.value;
+    const invoiceNumber = (values.invoice_block?.invoice_input?.value || '')
+      .normalize('NFKC')
+      .replace(/[\s-]/g, '')
+      .toUpperCase();
+
+    const result = {
+      taxRate: rate ? parseInt(rate, 10) : null,
+      taxAmount: taxAmountValue ? parseInt(taxAmountValue, 10) : null,
+      invoiceNumber,
+    };
+
+    if (invoiceNumber && !INVOICE_NUMBER_PATTERN.test(invoiceNumber)) {
+      result.error = '登録番号は「T」と13桁の数字で入力してください';
+    }
+
+    return result;
+  }
+
+  /**
+   * 完了メッセージに添える税率・税額・登録番号の行を作成する
+   * @param {{taxRate: number|null, taxAmount: number|null, invoiceNumber: string}} tax 税率・税額・登録番号
+   * @returns {string} 表示用の文字列（いずれも未入力の場合は空文字）
+   */
+  formatTaxLines(tax) {
+    const lines = [];
+    if (tax.taxRate || Number.isInteger(tax.taxAmount)) {
+      const rate = tax.taxRate ? `${tax.taxRate}%` : '税率未設定';
+      const amount = Number.isInteger(tax.taxAmount) ? `（消費税 ¥${tax.taxAmount.toLocaleString()}）` : '';
+      lines.push(`\n• 税率: ${rate}${amount}`);
+    }
+    if (tax.invoiceNumber) {
+      lines.push(`\n• 登録番号: ${tax.invoiceNumber}`);
+    }
+    return lines.join('');
+  }
+
+  /**
+   * 登録前に、重複の可能性がある登録済みの経費を検索する
+   * 検索に失敗しても登録は続ける
+   * @param {string} userId ユーザーID
+   * @param {{date: string, amount: number, details: string}} entry 登録しようとしている経費
+   * @param {Array<{id: string, name: string, webViewLink: string}>} [files] 同じ内容のアップロード済みの領収書
+   * @returns {Promise<{entries: Object[], files: Object[]}>} 重複の可能性がある明細と領収書
+   */
+  async findDuplicates(userId, entry, files = []) {
+    try {
+      const entries = await sheetsService.findDuplicateEntries(userId, {
+        date: entry.date,
+        amount: entry.amount,
+        details: entry.details || '（内容なし）',
+        fileIds: files.map(file => file.id),
+      });
+      const linkedFileIds = entries.map(duplicate => driveService.extractFileId(duplicate.fileUrl));
+      return {
+        entries: entries.map(({ yearMonth, no, date, amount, details, sheetUrl, sameReceipt }) => ({ yearMonth, no, date, amount, details, sheetUrl, sameReceipt })),
+        // 明細から参照されていない領収書はファイルへのリンクで案内する
+        files: files
+          .filter(file => !linkedFileIds.includes(file.id))
+          .map(({ id, name, webViewLink }) => ({ id, name, webViewLink })),
+      };
+    } catch (error) {
+      errorLog('Error finding duplicate entries:', error);
+      return { entries: [], files: [] };
+    }
+  }
+
+  /**
+   * 重複の可能性がある経費の警告を作成する
+   * @param {{entries: Object[], files: Object[]}} [duplicates] findDuplicatesの結果
+   * @param {string} [subject] 対象の経費（一括登録の場合の「N件目は」など）
+   * @returns {string} 表示用の文字列（重複がない場合は空文字）
+   */
+  formatDuplicateWarning(duplicates, subject = '') {
+    if (!duplicates || (duplicates.entries.length === 0 && duplicates.files.length === 0)) {
+      return '';
+    }
+
+    const lines = [
+      ...duplicates.entries.map(entry => `• ${entry.sameReceipt ? '同じ領収書' : '日付・金額・内容が一致'}: ${entry.yearMonth} No.${entry.no} ${entry.date} ¥${entry.amount.toLocaleString()} ${entry.details} <${entry.sheetUrl}|明細を開く>`),
+      ...duplicates.files.map(file => `• 同じ領収書: <${file.webViewLink}|${file.name}>`),
+    ];
+    return `\n\n:warning: ${subject}登録済みの経費と重複している可能性があります。二重登録の場合は\`/keihi delete\`で削除してください。\n${lines.join('\n')}`;
+  }
+
+  /**
+   * 税率ごとの集計を表示用の文字列にする
+   * @param {Array<{taxRate: number|null, count: number, total: number, tax: number}>} taxTotals 税率ごとの集計
+   * @returns {string} 表示用の文字列
+   */
+  formatTaxTotals(taxTotals = []) {
+    return taxTotals
+      .map(item => item.taxRate
+        ? `• ${item.taxRate}%対象: ¥${item.total.toLocaleString()}（うち消費税 ¥${item.tax.toLocaleString()}）`
+        : `• 税率未設定: ¥${item.total.toLocaleString()}（${item.count}件）`)
+      .join('\n');
+  }
+
+  /**
+   * 勘定科目ごとの小計を表示用の文字列にする
+   * @param {Array<{category: string, count: number, total: number}>} categoryTotals 勘定科目ごとの小計
+   * @returns {string} 表示用の文字列
+   */
+  formatCategoryTotals(categoryTotals = []) {
+    return categoryTotals
+      .map(item => `• ${item.category}: ¥${item.total.toLocaleString()}（${item.count}件）`)
+      .join('\n');
+  }
+
+  /**
+   * 経費入力モーダルのビューを作成する
+   * @param {Object} options モーダルのオプション
+   * @param {Object|null} [prefill] 入力欄の初期値（OCRの結果）
+   * @param {string[]} [categories] 勘定科目の選択肢
+   * @returns {Object} モーダルのビュー
+   */
+  buildExpenseModalView(options, prefill = null, categories = []) {
+    const blocks = options.entryType === 'transit'
+      ? this.buildTransitInputBlocks(categories)
+      : this.buildEntryInputBlocks(prefill || {}, categories);
+
+    // 直接入力では入力の種類を切り替えられる
+    if (!options.hasFile) {
+      blocks.unshift(this.buildEntryTypeBlock(options.entryType));
+    }
+
+    // 領収書の読み取り結果を表示
+    if (options.hasFile) {
+      blocks.unshift({
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: prefill
+            ? ':receipt: 領収書から読み取った内容を入力済みです。内容を確認してください。'
+            : `:warning: ${ocrService.getUnsupportedReason(options.fileType) || '領収書を読み取れませんでした。内容を入力してください。'}`
+        }]
+      });
+    }
+
+    return {
+      type: 'modal',
+      callback_id: options.hasFile ? 'expense_modal' : 'expense_direct_modal',
+      private_metadata: JSON.stringify(options),
+      title: {
+        type: 'plain_text',
+        text: '経費精算書の作成',
+      },
+      blocks: blocks,
+      submit: {
+        type: 'plain_text',
+        text: '送信',
+      },
+    };
+  }
+
+  /**
+   * 読み込み中のモーダルのビューを作成する
+   * @param {string} text 表示するメッセージ
+   * @returns {Object} モーダルのビュー
+   */
+  buildLoadingView(text) {
+    return {
+      type: 'modal',
+      callback_id: 'expense_modal_loading',
+      title: {
+        type: 'plain_text',
+        text: '経費精算書の作成',
+      },
+      close: {
+        type: 'plain_text',
+        text: 'キャンセル',
+      },
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text,
           },
         },
+      ],
+    };
+  }
+
+  async openExpenseModal(client, triggerId, options = {}) {
+    try {
+      debugLog('Opening expense modal with options:', options);
+
+      if (!options.hasFile) {
+        const categories = await settingsService.getCategories();
+        await client.views.open({
+          trigger_id: triggerId,
+          view: this.buildExpenseModalView(options, null, categories),
+        });
+        debugLog('Modal opened successfully');
+        return;
+      }
+
+      // trigger_idの有効期限内に読み込み中のモーダルを表示
+      const loadingView = await client.views.open({
+        trigger_id: triggerId,
+        view: this.buildLoadingView(':hourglass_flowing_sand: 領収書を読み取っています…'),
       });
-      debugLog('Modal opened successfully');
+      debugLog('Loading modal opened');
+
+      // OCRで読み取った値を入力済みのモーダルに更新（ショートカットの応答を待たせないよう非同期で実行）
+      (async () => {
+        try {
+          const [prefill, categories] = await Promise.all([
+            this.readReceipt(options),
+            settingsService.getCategories(),
+          ]);
+          await client.views.update({
+            view_id: loadingView.view.id,
+            hash: loadingView.view.hash,
+            view: this.buildExpenseModalView(options, prefill, categories),
+          });
+          debugLog('Modal updated with receipt values');
+        } catch (updateError) {
+          // 読み取り中にモーダルが閉じられた場合など
+          errorLog('Error updating modal:', updateError);
+        }
+      })();
     } catch (error) {
       errorLog('Error opening modal:', error);
       if (options.userId) {
@@ -163,6 +830,1509 @@ class SlackService {
     }
   }
 
+  /**
+   * 一括登録モーダルのビューを作成する（添付ファイルごとに入力欄を表示）
+   * block_idには添付ファイルの番号を付ける（例: amount_block_0）
+   * @param {Object} options モーダルのオプション
+   * @param {Array<Object|null>} prefills 添付ファイルごとの初期値（読み取れなかった場合はnull）
+   * @param {string[]} [categories] 勘定科目の選択肢
+   * @returns {Object} モーダルのビュー
+   */
+  buildBulkExpenseModalView(options, prefills, categories = []) {
+    const blocks = [
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `:receipt: ${options.files.length}件の領収書から読み取った内容を入力済みです。内容を確認してまとめて登録してください。`
+        }]
+      }
+    ];
+
+    options.files.forEach((file, index) => {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${index + 1}. ${file.name}*${prefills[index] ? '' : `\n:warning: ${ocrService.getUnsupportedReason(file.mimetype) || '領収書を読み取れませんでした。内容を入力してください。'}`}`
+        }
+      });
+      for (const block of this.buildEntryInputBlocks(prefills[index] || {}, categories)) {
+        blocks.push({ ...block, block_id: `${block.block_id}_${index}` });
+      }
+    });
+
+    return {
+      type: 'modal',
+      callback_id: 'expense_bulk_modal',
+      private_metadata: JSON.stringify({
+        userId: options.userId,
+        channelId: options.channelId,
+        messageTs: options.messageTs,
+        // メタデータの上限（3000文字）に収まるようIDのみ保持し、送信時にファイル情報を取得する
+        fileIds: options.files.map(file => file.id),
+      }),
+      title: {
+        type: 'plain_text',
+        text: `経費の一括登録（${options.files.length}件）`,
+      },
+      blocks,
+      submit: {
+        type: 'plain_text',
+        text: 'まとめて登録',
+      },
+    };
+  }
+
+  /**
+   * 一括登録モーダルの入力値から、指定した添付ファイルの入力値を取り出す
+   * @param {Object} values view.state.values
+   * @param {number} index 添付ファイルの番号
+   * @returns {Object} block_idの番号を除いた入力値（単一登録のモーダルと同じ形式）
+   */
+  pickEntryValues(values, index) {
+    const suffix = `_${index}`;
+    return Object.fromEntries(
+      Object.entries(values)
+        .filter(([blockId]) => blockId.endsWith(suffix))
+        .map(([blockId, value]) => [blockId.slice(0, -suffix.length), value])
+    );
+  }
+
+  /**
+   * 複数の領収書を読み取り、一括登録モーダルを開く
+   * @param {Object} client Slackクライアント
+   * @param {string} triggerId トリガーID
+   * @param {Object} options モーダルのオプション（files: 添付ファイルの配列）
+   */
+  async openBulkExpenseModal(client, triggerId, options) {
+    const loadingView = await client.views.open({
+      trigger_id: triggerId,
+      view: this.buildLoadingView(`:hourglass_flowing_sand: ${options.files.length}件の領収書を読み取っています…`),
+    });
+    debugLog('Bulk loading modal opened');
+
+    // ショートカットの応答を待たせないよう非同期で読み取る
+    (async () => {
+      try {
+        const [contents, categories] = await Promise.all([
+          Promise.all(options.files.map(file =>
+            this.downloadFile(file.url_private).catch(error => {
+              errorLog(`Error downloading ${file.name}:`, error);
+              return null;
+            })
+          )),
+          settingsService.getCategories(),
+        ]);
+
+        // 画像・PDFをまとめてOCRで読み取る
+        const targets = options.files
+          .map((file, index) => ({ index, buffer: contents[index], type: file.mimetype || '' }))
+          .filter(target => target.buffer && ocrService.isSupportedType(target.type));
+        const results = await ocrService.processMultipleFiles(targets);
+
+        const prefills = options.files.map(() => null);
+        targets.forEach((target, i) => {
+          if (results[i] && !results[i].error) {
+            prefills[target.index] = this.buildPrefill(results[i]);
+          }
+        });
+
+        await client.views.update({
+          view_id: loadingView.view.id,
+          hash: loadingView.view.hash,
+          view: this.buildBulkExpenseModalView(options, prefills, categories),
+        });
+        debugLog('Bulk modal updated with receipt values');
+      } catch (updateError) {
+        errorLog('Error updating bulk modal:', updateError);
+      }
+    })();
+  }
+
+  /**
+   * 一括登録の添付ファイルを1件ずつ保存して登録する
+   * 空き行の検索が重ならないよう順番に処理する
+   * @param {Object} client Slackクライアント
+   * @param {string} userId ユーザーID
+   * @param {Array<Object>} entries 添付ファイルのIDと入力値
+   * @param {Object} [options] オプション
+   * @param {Array<Object>} [options.completed] 処理済みの結果（先頭から順に、再試行時はこの続きから処理する）
+   * @param {function(Array<Object>): Promise<void>} [options.onResult] 1件処理するごとに呼び出す（それまでの結果を受け取る）
+   * @returns {Promise<Array<{entry: Object, sheetUrl?: string, fileUrl?: string, duplicates?: Object, error?: string}>>} 添付ファイルごとの結果
+   */
+  async registerBulkEntries(client, userId, entries, { completed = [], onResult = null } = {}) {
+    const results = [...completed];
+    for (const entry of entries.slice(completed.length)) {
+      try {
+        const { file } = await client.files.info({ file: entry.fileId });
+        const fileContent = await this.downloadFile(file.url_private);
+        const driveFile = await driveService.uploadFile(
+          userId,
+          entry.date.substring(0, 7),
+          fileContent,
+          file.name,
+          file.mimetype
+        );
+        const duplicates = await this.findDuplicates(userId, entry, driveFile.duplicates);
+        const sheetResult = await sheetsService.addEntry({
+          userId,
+          date: entry.date,
+          amount: entry.amount,
+          details: entry.details || '（内容なし）',
+          memo: entry.memo || '',
+          category: entry.category,
+          taxRate: entry.tax.taxRate,
+          taxAmount: entry.tax.taxAmount,
+          invoiceNumber: entry.tax.invoiceNumber,
+          fileUrl: driveFile.webViewLink,
+        });
+        results.push({ entry, sheetUrl: sheetResult.sheetUrl, fileUrl: driveFile.webViewLink, duplicates });
+      } catch (error) {
+        errorLog(`Error registering bulk entry ${entry.fileId}:`, error);
+        results.push({ entry, error: error.message });
+      }
+      if (onResult) {
+        await onResult(results);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * edit/deleteコマンドの引数を解析する
+   * @param {string[]} args コマンド引数（[YYYY-MM] No）
+   * @returns {{yearMonth: string, no: string}} 年月とNo
+   */
+  parseEntryArgs(args) {
+    const [first, second] = args;
+    const yearMonth = second ? first : getJstToday().yearMonth;
+    const no = second || first;
+
+    if (!no || !/^\d+$/.test(no) || !/^\d{4}-\d{2}$/.test(yearMonth)) {
+      throw new Error('年月とNoを指定してください。\n使用例: `/keihi edit 2025-02 3`（年月を省略した場合は当月）');
+    }
+
+    return { yearMonth, no };
+  }
+
+  /**
+   * 登録一覧のブロックを作成する（各明細に編集・削除メニューを付ける）
+   * @param {Object} list sheetsService.getListの結果
+   * @returns {Object[]} メッセージのブロック
+   */
+  buildListBlocks(list) {
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${list.yearMonth}の登録一覧*（合計: ¥${list.total.toLocaleString()}）`
+        }
+      }
+    ];
+
+    if (list.entries.length === 0) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: 'データがありません'
+        }
+      });
+    }
+
+    // Slackのブロック数上限（50）に収まるよう、メニュー付きの明細数を制限
+    const maxEntryBlocks = 44;
+    for (const entry of list.entries.slice(0, maxEntryBlocks)) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*No.${entry.no}* ${entry.date}: ¥${entry.amount.toLocaleString()} - ${entry.details}${entry.category ? `（${entry.category}）` : ''}`
+        },
+        accessory: {
+          type: 'overflow',
+          action_id: 'entry_actions',
+          options: [
+            {
+              text: { type: 'plain_text', text: '編集' },
+              value: `edit|${list.yearMonth}|${entry.no}`
+            },
+            {
+              text: { type: 'plain_text', text: '削除' },
+              value: `delete|${list.yearMonth}|${entry.no}`
+            }
+          ]
+        }
+      });
+    }
+
+    const rest = list.entries.slice(maxEntryBlocks);
+    if (rest.length > 0) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: rest.map(entry =>
+            `• No.${entry.no} ${entry.date}: ¥${entry.amount.toLocaleString()} - ${entry.details}`
+          ).join('\n').substring(0, 2900)
+        }
+      });
+    }
+
+    // 勘定科目別の小計
+    if (list.categoryTotals && list.categoryTotals.length > 0) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*勘定科目別*\n${this.formatCategoryTotals(list.categoryTotals)}`
+        }
+      });
+    }
+
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: (list.sheets || [{ title: list.yearMonth, sheetUrl: list.sheetUrl }])
+          .map(sheet => `<${sheet.sheetUrl}|${sheet.title}を開く>`)
+          .join(' | ')
+      }]
+    });
+
+    return blocks;
+  }
+
+  /**
+   * 経費の編集モーダルを開く
+   * @param {Object} client Slackクライアント
+   * @param {string} triggerId トリガーID
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {string} no 明細のNo
+   */
+  async openEditModal(client, triggerId, userId, yearMonth, no) {
+    const [{ entry }, categories] = await Promise.all([
+      sheetsService.findEntry(userId, yearMonth, no),
+      settingsService.getCategories(),
+    ]);
+
+    await client.views.open({
+      trigger_id: triggerId,
+      view: {
+        type: 'modal',
+        callback_id: 'expense_edit_modal',
+        private_metadata: JSON.stringify({ userId, yearMonth, no }),
+        title: {
+          type: 'plain_text',
+          text: '経費の編集',
+        },
+        blocks: [
+          {
+            type: 'context',
+            elements: [{
+              type: 'mrkdwn',
+              text: `${yearMonth} No.${no} を編集します。`
+            }]
+          },
+          ...this.buildEntryInputBlocks({
+            date: entry.date,
+            amount: entry.amount,
+            category: entry.category,
+            details: entry.details,
+            memo: entry.memo,
+            taxRate: entry.taxRate,
+            taxAmount: entry.taxAmount,
+            invoiceNumber: entry.invoiceNumber,
+          }, categories),
+        ],
+        submit: {
+          type: 'plain_text',
+          text: '更新',
+        },
+      },
+    });
+  }
+
+  /**
+   * 経費の削除確認モーダルを開く
+   * @param {Object} client Slackクライアント
+   * @param {string} triggerId トリガーID
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {string} no 明細のNo
+   */
+  async openDeleteModal(client, triggerId, userId, yearMonth, no) {
+    const { entry } = await sheetsService.findEntry(userId, yearMonth, no);
+
+    await client.views.open({
+      trigger_id: triggerId,
+      view: {
+        type: 'modal',
+        callback_id: 'expense_delete_modal',
+        private_metadata: JSON.stringify({ userId, yearMonth, no }),
+        title: {
+          type: 'plain_text',
+          text: '経費の削除',
+        },
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `以下の経費を削除します。よろしいですか？\n• No: ${no}\n• 日付: ${entry.date}\n• 金額: ¥${entry.amount.toLocaleString()}\n• 内容: ${entry.details}`
+                + (entry.fileUrl ? '\n\n添付の領収書もGoogle Driveから削除されます。' : '')
+            }
+          }
+        ],
+        submit: {
+          type: 'plain_text',
+          text: '削除',
+        },
+      },
+    });
+  }
+
+  /**
+   * ジョブの処理を登録し、キューを開始する
+   * @returns {Promise<void>}
+   */
+  async initializeJobs() {
+    const onFailure = (job, error) => this.notifyJobFailure(job, error);
+    const onRetry = (job, error) => this.notifyJobRetry(job, error);
+
+    jobQueue.registerHandler('export', (payload, context) => this.runExportJob(payload, context), { onFailure, onRetry });
+    jobQueue.registerHandler('register', (payload, context) => this.runRegisterJob(payload, context), { onFailure, onRetry });
+    jobQueue.registerHandler('bulkRegister', (payload, context) => this.runBulkRegisterJob(payload, context), { onFailure, onRetry });
+    jobQueue.registerHandler('recurring', (payload, context) => this.runRecurringJob(payload, context), { onFailure, onRetry });
+    jobQueue.registerHandler('exportCsv', (payload, context) => this.runCsvExportJob(payload, context), { onFailure, onRetry });
+    jobQueue.registerHandler('report', (payload, context) => this.runReportJob(payload, context), { onFailure, onRetry });
+    jobQueue.registerHandler('adminStatus', (payload, context) => this.runAdminStatusJob(payload, context), { onFailure, onRetry });
+    jobQueue.registerHandler('summary', (payload, context) => this.runSummaryJob(payload, context), { onFailure, onRetry });
+    // 承認依頼は記録と通知を伴うため再試行しない
+    jobQueue.registerHandler('submit', (payload, context) => this.runSubmitJob(payload, context), { onFailure, maxAttempts: 1 });
+
+    await jobQueue.start();
+    debugLog('Jobs initialized');
+  }
+
+  /**
+   * 定期的な経費の自動登録を開始する（登録日を迎えた定義をrecurringジョブとして追加）
+   */
+  initializeRecurring() {
+    recurringService.startScheduler(async (definition, date) => {
+      await jobQueue.enqueue('recurring', definition.userId, {
+        definition: {
+          id: definition.id,
+          amount: definition.amount,
+          details: definition.details,
+          category: definition.category,
+          memo: definition.memo,
+        },
+        date,
+      }, `定期的な経費の登録（${date} ${definition.details}）`);
+    });
+    debugLog('Recurring expenses scheduler started');
+  }
+
+  /**
+   * 月末のリマインダーと月初の前月分PDFの自動出力を開始する
+   */
+  initializeReminders() {
+    reminderService.startScheduler({
+      onRemind: (userId, yearMonth) => this.sendMonthEndReminder(userId, yearMonth),
+      onAutoExport: async (userId, yearMonth) => {
+        // 登録がない月は出力しない（確認のみのためシートは作成しない）
+        const [month] = await sheetsService.getEntriesByMonths(userId, [yearMonth]);
+        if (month.entries.length === 0) return;
+        await this.enqueueExport(this.app.client, userId, yearMonth);
+      },
+    });
+    debugLog('Reminder scheduler started');
+  }
+
+  /**
+   * 月末のリマインダーをDMで送信する（提出済み・承認済みの月は送信しない）
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<void>}
+   */
+  async sendMonthEndReminder(userId, yearMonth) {
+    // 全ユーザーに送るため、シートのない月でもシートを作成しない
+    const [[month], approval] = await Promise.all([
+      sheetsService.getEntriesByMonths(userId, [yearMonth]),
+      approvalService.getApproval(userId, yearMonth),
+    ]);
+    if (approval.status === 'submitted' || approval.status === 'approved') {
+      debugLog(`Skipping reminder for ${userId}: ${yearMonth} is ${approval.status}`);
+      return;
+    }
+
+    const total = month.entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const sheetLink = month.sheetUrl ? `\n<${month.sheetUrl}|スプレッドシートで開く>` : '';
+    const text = `${yearMonth}の経費精算の締め日が近づいています。\n• 登録件数: ${month.entries.length}件\n• 合計金額: ¥${total.toLocaleString()}\n\n登録漏れがないか確認して、PDFの出力と提出をお願いします。${sheetLink}`;
+    await this.app.client.chat.postMessage({
+      channel: userId,
+      text,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text },
+        },
+        {
+          type: 'actions',
+          block_id: 'reminder_actions',
+          elements: [
+            {
+              type: 'button',
+              action_id: 'reminder_export',
+              text: { type: 'plain_text', text: 'PDFを出力' },
+              value: yearMonth,
+            },
+            {
+              type: 'button',
+              action_id: 'reminder_submit',
+              text: { type: 'plain_text', text: '承認者に提出' },
+              style: 'primary',
+              value: yearMonth,
+            },
+          ],
+        },
+      ],
+    });
+  }
+
+  /**
+   * 承認依頼をジョブとして追加する
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @returns {Promise<void>}
+   */
+  async enqueueSubmit(userId, yearMonth) {
+    const approverId = await settingsService.getApproverId(userId);
+
+    // PDFの作成に時間がかかるためジョブとして実行
+    await jobQueue.enqueue(
+      'submit',
+      userId,
+      { yearMonth, approverId },
+      `${yearMonth}の承認依頼`
+    );
+  }
+
+  /**
+   * ジョブの開始メッセージを送信する（再試行・再起動時は最初のメッセージを使う）
+   * @param {Object} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @param {string} text 開始メッセージ
+   * @returns {Promise<string>} 開始メッセージのタイムスタンプ（結果はこのスレッドに通知する）
+   */
+  async postJobStartMessage(payload, { job, update }, text) {
+    if (payload.messageTs) {
+      return payload.messageTs;
+    }
+
+    const message = await this.app.client.chat.postMessage({ channel: job.userId, text });
+    await update({ messageTs: message.ts });
+    return message.ts;
+  }
+
+  /**
+   * すべての試行に失敗したジョブをDMで通知する
+   * @param {Object} job ジョブ
+   * @param {Error} error 最後のエラー
+   * @returns {Promise<void>}
+   */
+  async notifyJobFailure(job, error) {
+    const attempts = job.attempts > 1 ? `（${job.attempts}回試行）` : '';
+    await this.app.client.chat.postMessage({
+      channel: job.userId,
+      thread_ts: job.payload.messageTs,
+      text: `${job.label}中にエラーが発生しました${attempts}: ${error.message}\n\`/keihi jobs\`で処理の状況を確認できます。`
+    });
+  }
+
+  /**
+   * 同じ月の処理が実行中のため待機するジョブをDMで通知する
+   * その他のエラーによる再試行は、すべて失敗した場合のみ通知する
+   * @param {Object} job ジョブ
+   * @param {Error} error 失敗の原因
+   * @returns {Promise<void>}
+   */
+  async notifyJobRetry(job, error) {
+    if (!(error instanceof OperationError) || error.operation !== 'acquireLock') {
+      return;
+    }
+
+    await this.app.client.chat.postMessage({
+      channel: job.userId,
+      thread_ts: job.payload.messageTs,
+      text: `${error.message}\n${job.label}は実行中の処理が終わってから自動で再開します。`
+    });
+  }
+
+  /**
+   * 経費精算書のPDF出力をジョブとして追加する
+   * @param {Object} client Slackクライアント
+   * @param {string} userId ユーザーID
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {Object} [options] オプション
+   * @param {boolean} [options.refreshHome] 完了後にホームタブを更新するかどうか
+   * @param {string} [options.format] 出力形式（pdf または xlsx）
+   * @returns {Promise<void>}
+   */
+  async enqueueExport(client, userId, yearMonth, { refreshHome = false, format = 'pdf' } = {}) {
+    const formatLabel = EXPORT_FORMAT_LABELS[format];
+
+    // 同じ月・形式の出力を受け付け済みの場合は重ねて追加しない
+    const pending = await jobQueue.getPendingJobs(userId);
+    if (pending.some(job => job.type === 'export' && job.payload.yearMonth === yearMonth && (job.payload.format || 'pdf') === format)) {
+      await client.chat.postMessage({
+        channel: userId,
+        text: `${yearMonth}の経費精算書の${formatLabel}出力は受付済みです。完了までお待ちください。`
+      });
+      return;
+    }
+
+    await jobQueue.enqueue('export', userId, { yearMonth, refreshHome, format }, `${yearMonth}の${formatLabel}出力`);
+  }
+
+  /**
+   * 経費精算書をPDFに出力し、結果をDMで通知する（exportジョブ）
+   * @param {{yearMonth: string, refreshHome?: boolean, messageTs?: string}} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runExportJob(payload, context) {
+    const client = this.app.client;
+    const { userId } = context.job;
+    const { yearMonth } = payload;
+
+    if (payload.format === 'xlsx') {
+      await this.runXlsxExportJob(payload, context);
+      return;
+    }
+
+    // 開始メッセージを送信
+    const messageTs = await this.postJobStartMessage(
+      payload,
+      context,
+      `${yearMonth}の経費精算書のPDF出力を開始しました。完了までしばらくお待ちください...`
+    );
+
+    // PDFを生成
+    const { fileUrl, sheetCount, total, taxTotals, missingEntries, entriesWithoutReceipt, skippedReceipts } = await exportService.exportExpenseReport(userId, yearMonth);
+
+    // 成功時：PDFをアップロードしてスレッドで通知
+    const pages = sheetCount > 1 ? `（${sheetCount}シート分）` : '';
+    const taxSummary = taxTotals && taxTotals.length > 0 ? `\n\n*税率別*\n${this.formatTaxTotals(taxTotals)}` : '';
+    const formatEntries = entries => entries.map(entry => `• No.${entry.no} ${entry.date} ${entry.details} ¥${entry.amount.toLocaleString()}`).join('\n');
+    const missingWarning = missingEntries && missingEntries.length > 0
+      ? `\n\n:warning: 次の明細は領収書のファイルがGoogle Driveに見つからないため、PDFに含まれていません。\n${formatEntries(missingEntries)}`
+      : '';
+    const withoutReceiptNote = entriesWithoutReceipt && entriesWithoutReceipt.length > 0
+      ? `\n\n次の明細は領収書が登録されていないため、精算書の明細のみです。\n${formatEntries(entriesWithoutReceipt)}`
+      : '';
+    const skippedWarning = skippedReceipts && skippedReceipts.length > 0
+      ? `\n\n:warning: 次のPDFは読み込めなかったため、PDFに含まれていません。\n${skippedReceipts.map(title => `• ${title}`).join('\n')}`
+      : '';
+    await client.chat.postMessage({
+      channel: userId,
+      thread_ts: messageTs,
+      text: `${yearMonth}の経費精算書をPDFに出力しました${pages}。\n• 合計金額: ¥${total.toLocaleString()}${taxSummary}${missingWarning}${withoutReceiptNote}${skippedWarning}\n\n<${fileUrl}|PDFを開く> :page_facing_up:`
+    });
+
+    if (payload.refreshHome) {
+      await this.publishHome(client, userId, yearMonth).catch(error => errorLog('Error refreshing home tab:', error));
+    }
+  }
+
+  /**
+   * 経費精算書をExcelに出力し、結果をDMで通知する（exportジョブのxlsx形式）
+   * @param {{yearMonth: string, refreshHome?: boolean, messageTs?: string}} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runXlsxExportJob(payload, context) {
+    const client = this.app.client;
+    const { userId } = context.job;
+    const { yearMonth } = payload;
+
+    const messageTs = await this.postJobStartMessage(
+      payload,
+      context,
+      `${yearMonth}の経費精算書のExcel出力を開始しました。完了までしばらくお待ちください...`
+    );
+
+    const { fileUrl, sheetCount, total, taxTotals } = await exportService.exportExpenseReportXlsx(userId, yearMonth);
+
+    const pages = sheetCount > 1 ? `（${sheetCount}シート分）` : '';
+    const taxSummary = taxTotals && taxTotals.length > 0 ? `\n\n*税率別*\n${this.formatTaxTotals(taxTotals)}` : '';
+    await client.chat.postMessage({
+      channel: userId,
+      thread_ts: messageTs,
+      text: `${yearMonth}の経費精算書をExcelに出力しました${pages}。領収書はG列のリンクから開けます。\n• 合計金額: ¥${total.toLocaleString()}${taxSummary}\n\n<${fileUrl}|Excelを開く> :bar_chart:`
+    });
+
+    if (payload.refreshHome) {
+      await this.publishHome(client, userId, yearMonth).catch(error => errorLog('Error refreshing home tab:', error));
+    }
+  }
+
+  /**
+   * 経費を登録し、結果をDMで通知する（registerジョブ）
+   * 領収書のアップロードと登録の結果は途中経過として保存し、再試行時に繰り返さない
+   * @param {{entry: Object, file: {name: string, type: string, url: string}|null, messageTs?: string, driveFileUrl?: string, duplicateFiles?: Object[], duplicates?: Object, sheetResult?: Object}} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runRegisterJob(payload, context) {
+    const client = this.app.client;
+    const { userId } = context.job;
+    const { entry, file } = payload;
+
+    // 処理開始メッセージを送信
+    const messageTs = await this.postJobStartMessage(payload, context, '経費精算書の作成を開始しました。完了までしばらくお待ちください...');
+
+    // ファイルのダウンロードとGoogle Driveへのアップロード
+    let driveFileUrl = payload.driveFileUrl || '';
+    let duplicateFiles = payload.duplicateFiles || [];
+    if (file && !driveFileUrl) {
+      const fileContent = await this.downloadFile(file.url);
+      debugLog('Uploading file to Google Drive');
+      const driveFile = await driveService.uploadFile(
+        userId,
+        entry.date.substring(0, 7), // YYYY-MM
+        fileContent,
+        file.name,
+        file.type
+      );
+      driveFileUrl = driveFile.webViewLink;
+      duplicateFiles = driveFile.duplicates;
+      await context.update({ driveFileUrl, duplicateFiles });
+    }
+
+    // 重複の確認（今回の明細を含めないよう登録前に行う）
+    let duplicates = payload.duplicates;
+    if (!duplicates) {
+      duplicates = await this.findDuplicates(userId, entry, duplicateFiles);
+      await context.update({ duplicates });
+    }
+
+    // スプレッドシートに登録
+    let sheetResult = payload.sheetResult;
+    if (!sheetResult) {
+      debugLog('Adding entry to spreadsheet');
+      const result = await sheetsService.addEntry({
+        userId: userId,
+        date: entry.date,
+        amount: entry.amount,
+        details: entry.details || '（内容なし）',
+        memo: entry.memo || '',
+        category: entry.category,
+        taxRate: entry.tax.taxRate,
+        taxAmount: entry.tax.taxAmount,
+        invoiceNumber: entry.tax.invoiceNumber,
+        fileUrl: driveFileUrl, // ファイルなしの場合は空
+      });
+      sheetResult = { success: result.success, message: result.message || '', sheetUrl: result.sheetUrl };
+      await context.update({ sheetResult });
+    }
+
+    // 完了メッセージを送信
+    const baseMessage = `• 日付: ${entry.date}\n• 金額: ¥${entry.amount.toLocaleString()}\n• 勘定科目: ${entry.category || '（未分類）'}\n• 内容: ${entry.details || '（内容なし）'}\n• メモ: ${entry.memo || '（なし）'}${this.formatTaxLines(entry.tax)}`;
+    const links = driveFileUrl
+      ? `\n\n<${sheetResult.sheetUrl}|スプレッドシートで開く> | <${driveFileUrl}|領収書を確認>`
+      : `\n\n<${sheetResult.sheetUrl}|スプレッドシートで開く>`;
+
+    debugLog('Sending completion message');
+    await client.chat.postMessage({
+      channel: userId,
+      thread_ts: messageTs,
+      text: sheetResult.success
+        ? `経費精算書を作成しました。\n${baseMessage}${links}${this.formatDuplicateWarning(duplicates)}`
+        : `${sheetResult.message}\n${baseMessage}\n\n経費精算書を確認: ${sheetResult.sheetUrl}`,
+    });
+  }
+
+  /**
+   * 複数の経費を登録し、結果をまとめてDMで通知する（bulkRegisterジョブ）
+   * @param {{entries: Object[], results?: Object[], messageTs?: string}} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runBulkRegisterJob(payload, context) {
+    const client = this.app.client;
+    const { userId } = context.job;
+    const { entries } = payload;
+
+    const messageTs = await this.postJobStartMessage(
+      payload,
+      context,
+      `${entries.length}件の経費の登録を開始しました。完了までしばらくお待ちください...`
+    );
+
+    // 登録済みの添付ファイルは再試行時に繰り返さない
+    const results = await this.registerBulkEntries(client, userId, entries, {
+      completed: payload.results || [],
+      onResult: (completed) => context.update({ results: completed }),
+    });
+    const succeeded = results.filter(result => !result.error);
+    const total = succeeded.reduce((sum, result) => sum + result.entry.amount, 0);
+    const lines = results.map((result, index) => result.error
+      ? `• ${index + 1}. :x: 登録できませんでした（${result.error}）`
+      : `• ${index + 1}. ${result.entry.date} ¥${result.entry.amount.toLocaleString()} ${result.entry.category ? `${result.entry.category} ` : ''}${result.entry.details || '（内容なし）'} <${result.fileUrl}|領収書>`
+    );
+    const sheetUrl = succeeded[0]?.sheetUrl;
+    const warnings = results
+      .map((result, index) => this.formatDuplicateWarning(result.duplicates, `${index + 1}件目は`))
+      .join('');
+
+    await client.chat.postMessage({
+      channel: userId,
+      thread_ts: messageTs,
+      text: `${succeeded.length}/${results.length}件の経費を登録しました（合計: ¥${total.toLocaleString()}）。\n${lines.join('\n')}${sheetUrl ? `\n\n<${sheetUrl}|スプレッドシートで開く>` : ''}${warnings}`
+    });
+  }
+
+  /**
+   * 定期的な経費を登録し、取り消しボタン付きのDMで通知する（recurringジョブ）
+   * @param {{definition: {id: string, amount: number, details: string, category: string, memo: string}, date: string, sheetResult?: Object}} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runRecurringJob(payload, context) {
+    const client = this.app.client;
+    const { userId } = context.job;
+    const { definition, date } = payload;
+
+    // 登録済みの場合は再試行時に繰り返さない
+    let sheetResult = payload.sheetResult;
+    if (!sheetResult) {
+      const result = await sheetsService.addEntry({
+        userId,
+        date,
+        amount: definition.amount,
+        details: definition.details,
+        memo: definition.memo,
+        category: definition.category,
+      });
+      sheetResult = { yearMonth: result.yearMonth, no: result.no, sheetUrl: result.sheetUrl };
+      await context.update({ sheetResult });
+    }
+
+    const text = `定期的な経費を登録しました。\n• 日付: ${date}\n• 金額: ¥${definition.amount.toLocaleString()}\n• 勘定科目: ${definition.category || '（未分類）'}\n• 内容: ${definition.details}\n• メモ: ${definition.memo || '（なし）'}\n\n<${sheetResult.sheetUrl}|スプレッドシートで開く>`;
+    await client.chat.postMessage({
+      channel: userId,
+      text,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text },
+        },
+        {
+          type: 'actions',
+          block_id: 'recurring_actions',
+          elements: [{
+            type: 'button',
+            action_id: 'recurring_undo',
+            text: { type: 'plain_text', text: '今月の登録を取り消す' },
+            value: JSON.stringify({
+              yearMonth: sheetResult.yearMonth,
+              no: sheetResult.no,
+              amount: definition.amount,
+              details: definition.details,
+            }),
+          }],
+        },
+      ],
+    });
+  }
+
+  /**
+   * 定期的な経費の追加モーダルを開く
+   * @param {Object} client Slackクライアント
+   * @param {string} triggerId トリガーID
+   * @param {string} userId ユーザーID
+   * @returns {Promise<void>}
+   */
+  async openRecurringModal(client, triggerId, userId) {
+    const categories = await settingsService.getCategories();
+    const dayOption = day => ({
+      text: { type: 'plain_text', text: recurringService.formatDay(day) },
+      value: day.toString(),
+    });
+    const days = [...Array.from({ length: 28 }, (_, i) => i + 1), 31];
+
+    // 日付以外の入力欄は経費の入力欄と同じ（税率・税額・登録番号は使わない）
+    const entryBlocks = this.buildEntryInputBlocks({}, categories)
+      .filter(block => ['amount_block', 'category_block', 'details_block', 'memo_block'].includes(block.block_id))
+      .map(block => block.block_id === 'details_block' ? { ...block, optional: false } : block);
+
+    await client.views.open({
+      trigger_id: triggerId,
+      view: {
+        type: 'modal',
+        callback_id: 'recurring_add_modal',
+        private_metadata: JSON.stringify({ userId }),
+        title: {
+          type: 'plain_text',
+          text: '定期的な経費の追加',
+        },
+        blocks: [
+          {
+            type: 'input',
+            block_id: 'recurring_day_block',
+            element: {
+              type: 'static_select',
+              action_id: 'recurring_day_input',
+              options: days.map(dayOption),
+              initial_option: dayOption(1),
+            },
+            label: {
+              type: 'plain_text',
+              text: '登録日',
+            },
+          },
+          ...entryBlocks,
+        ],
+        submit: {
+          type: 'plain_text',
+          text: '追加',
+        },
+      },
+    });
+  }
+
+  /**
+   * 定期的な経費の一覧を表示用の文字列にする
+   * @param {Object[]} definitions recurringService.getDefinitionsの結果
+   * @returns {string} 表示用の文字列
+   */
+  formatRecurringList(definitions) {
+    if (definitions.length === 0) {
+      return '定期的な経費は登録されていません。`/keihi recurring add`で追加できます。';
+    }
+
+    const lines = definitions.map(definition =>
+      `• \`${definition.id}\` ${recurringService.formatDay(definition.day)} ¥${definition.amount.toLocaleString()} ${definition.category ? `${definition.category} ` : ''}${definition.details}`
+    );
+    return `*定期的な経費*\n${lines.join('\n')}\n\n削除する場合は\`/keihi recurring remove [ID]\`を実行してください。`;
+  }
+
+  /**
+   * 仕訳CSVを作成し、DMにファイルを投稿する（exportCsvジョブ）
+   * @param {{yearMonth: string, format: string, csv?: Object}} payload ジョブの値（csvはDriveに保存済みのCSV）
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runCsvExportJob(payload, context) {
+    const client = this.app.client;
+    const { userId } = context.job;
+    const { yearMonth, format } = payload;
+
+    // Driveへの保存が済んでいれば再試行時は保存し直さない（投稿するCSVはbase64でジョブに保存する）
+    let csv = payload.csv;
+    if (!csv) {
+      const result = await csvExportService.exportJournalCsv(userId, yearMonth, format);
+      csv = { ...result, content: result.content.toString('base64') };
+      await context.update({ csv });
+    }
+    const { fileName, fileUrl, count, total, uncategorized, unencodable } = csv;
+
+    const uncategorizedWarning = uncategorized.length > 0
+      ? `\n\n:warning: 次の明細は勘定科目が未入力のため「雑費」として出力しました。\n${uncategorized.map(entry => `• No.${entry.no} ${entry.date} ${entry.details} ¥${entry.amount.toLocaleString()}`).join('\n')}`
+      : '';
+    const unencodableWarning = unencodable.length > 0
+      ? `\n\n:warning: 次の明細にShift_JISで表せない文字があるため「?」として出力しました。会計ソフトへの取り込み後に修正してください。\n${unencodable.map(({ entry, chars }) => `• No.${entry.no} ${entry.date} ${entry.details}（${chars.join(' ')}）`).join('\n')}`
+      : '';
+
+    // ファイルの投稿にはDMのチャンネルIDが必要
+    const { channel } = await client.conversations.open({ users: userId });
+    await client.files.uploadV2({
+      channel_id: channel.id,
+      file: Buffer.from(csv.content, 'base64'),
+      filename: fileName,
+      initial_comment: `${yearMonth}の仕訳CSV（${csvExportService.formats[format].label}形式、Shift_JIS）を作成しました。\n• 件数: ${count}件\n• 合計金額: ¥${total.toLocaleString()}${uncategorizedWarning}${unencodableWarning}\n\n<${fileUrl}|Google Driveで開く>`,
+    });
+  }
+
+  /**
+   * 期間のレポートを表示用の文字列にする
+   * @param {Object} report reportService.buildReportの結果
+   * @param {string|null} [sheetUrl] レポートのシートのURL
+   * @returns {string} 表示用の文字列
+   */
+  formatReport(report, sheetUrl = null) {
+    const { range } = report;
+    const header = `*経費レポート ${range.label}（${range.from}〜${range.to}）*\n• 登録件数: ${report.count}件\n• 合計金額: ¥${report.total.toLocaleString()}`;
+    if (report.count === 0) {
+      return `${header}\n\n期間内に登録された経費はありません。`;
+    }
+
+    const months = report.months
+      .map(month => `• ${month.yearMonth}: ¥${month.total.toLocaleString()}（${month.count}件）`)
+      .join('\n');
+    const vendors = report.vendors
+      .map((item, i) => `${i + 1}. ${item.vendor}: ¥${item.total.toLocaleString()}（${item.count}件）`)
+      .join('\n');
+    const sheetLink = sheetUrl ? `\n\n<${sheetUrl}|レポートのシートを開く>` : '';
+
+    return `${header}\n\n*月別*\n${months}\n\n*勘定科目別*\n${this.formatCategoryTotals(report.categoryTotals)}\n\n*税率別*\n${this.formatTaxTotals(report.taxTotals)}\n\n*支払先（上位${report.vendors.length}件）*\n${vendors}${sheetLink}`;
+  }
+
+  /**
+   * 期間のレポートを作成し、結果をDMで通知する（reportジョブ）
+   * @param {{range: {from: string, to: string, label: string}, writeSheet: boolean, messageTs?: string}} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runReportJob(payload, context) {
+    const { userId } = context.job;
+    const { range, writeSheet } = payload;
+
+    const messageTs = await this.postJobStartMessage(
+      payload,
+      context,
+      `${range.label}（${range.from}〜${range.to}）のレポートを作成しています...`
+    );
+
+    const report = await reportService.buildReport(userId, range);
+    const sheetUrl = writeSheet ? await reportService.writeReportSheet(userId, report) : null;
+
+    await this.app.client.chat.postMessage({
+      channel: userId,
+      thread_ts: messageTs,
+      text: this.formatReport(report, sheetUrl)
+    });
+  }
+
+  /**
+   * 全ユーザーの月の登録状況を取得し、DMで通知する（adminStatusジョブ）
+   * @param {{yearMonth: string, messageTs?: string}} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runAdminStatusJob(payload, context) {
+    const { userId } = context.job;
+    const { yearMonth } = payload;
+
+    const messageTs = await this.postJobStartMessage(
+      payload,
+      context,
+      `${yearMonth}の全ユーザーの登録状況を取得しています...`
+    );
+
+    const overview = await adminService.getMonthOverview(yearMonth);
+    await this.app.client.chat.postMessage({
+      channel: userId,
+      thread_ts: messageTs,
+      text: this.formatAdminStatus(yearMonth, overview)
+    });
+  }
+
+  /**
+   * 全ユーザーの月の集計シートを作成し、結果をDMで通知する（summaryジョブ）
+   * @param {{yearMonth: string, messageTs?: string}} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runSummaryJob(payload, context) {
+    const { userId } = context.job;
+    const { yearMonth } = payload;
+
+    const messageTs = await this.postJobStartMessage(
+      payload,
+      context,
+      `${yearMonth}の全ユーザーの集計を開始しました。完了までしばらくお待ちください...`
+    );
+
+    const overview = await adminService.getMonthOverview(yearMonth);
+    const { sheetUrl, userCount, total } = await adminService.writeSummary(yearMonth, overview);
+    const failed = overview.filter(item => item.error);
+    const failedWarning = failed.length > 0
+      ? `\n\n:warning: 次のユーザーは集計できませんでした。\n${failed.map(item => `• <@${item.userId}>: ${item.error}`).join('\n')}`
+      : '';
+
+    await this.app.client.chat.postMessage({
+      channel: userId,
+      thread_ts: messageTs,
+      text: `${yearMonth}の集計シートを作成しました。\n• ユーザー数: ${userCount}人\n• 合計金額: ¥${total.toLocaleString()}${failedWarning}\n\n<${sheetUrl}|集計シートを開く>`
+    });
+  }
+
+  /**
+   * 全ユーザーの一覧を表示用の文字列にする
+   * @param {Object[]} users settingsService.getAllUserSettingsの結果
+   * @returns {string} 表示用の文字列
+   */
+  formatAdminUserList(users) {
+    if (users.length === 0) {
+      return 'スプレッドシートを設定済みのユーザーはいません。';
+    }
+
+    const lines = users.map(user =>
+      `• <@${user.user_id}> ${user.email || '（メール未設定）'} 承認者: ${user.approver_id ? `<@${user.approver_id}>` : '未設定'} <https://docs.google.com/spreadsheets/d/${user.spreadsheet_id}|スプレッドシート>`
+    );
+    return `*ユーザー一覧（${users.length}人）*\n${lines.join('\n')}`;
+  }
+
+  /**
+   * 全ユーザーの月の状況を表示用の文字列にする
+   * @param {string} yearMonth YYYY-MM形式の年月
+   * @param {Object[]} overview adminService.getMonthOverviewの結果
+   * @returns {string} 表示用の文字列
+   */
+  formatAdminStatus(yearMonth, overview) {
+    if (overview.length === 0) {
+      return 'スプレッドシートを設定済みのユーザーはいません。';
+    }
+
+    const lines = overview.map(item => {
+      if (item.error) {
+        return `• <@${item.userId}> :warning: 取得に失敗しました（${item.error}）`;
+      }
+      const exported = item.exported ? `<${item.exported.fileUrl}|出力済み>` : '未出力';
+      return `• <@${item.userId}> ${item.count}件 ¥${item.total.toLocaleString()} / ${approvalService.formatStatus(item.approvalStatus)} / PDF: ${exported}`;
+    });
+    const total = overview.reduce((sum, item) => sum + item.total, 0);
+    return `*${yearMonth}の登録状況（全ユーザー）*\n${lines.join('\n')}\n\n合計: ¥${total.toLocaleString()}\n集計シートは\`/keihi admin summary ${yearMonth}\`で作成できます。`;
+  }
+
+  /**
+   * 経費精算書を作成して承認を依頼し、結果をDMで通知する（submitジョブ）
+   * @param {{yearMonth: string, approverId: string, messageTs?: string}} payload ジョブの値
+   * @param {{job: Object, update: function(Object): Promise<void>}} context 実行中のジョブ
+   * @returns {Promise<void>}
+   */
+  async runSubmitJob(payload, context) {
+    const client = this.app.client;
+    const { userId } = context.job;
+    const { yearMonth, approverId } = payload;
+
+    const messageTs = await this.postJobStartMessage(
+      payload,
+      context,
+      `${yearMonth}の経費精算書を作成して承認を依頼します。完了までしばらくお待ちください...`
+    );
+
+    await this.submitForApproval(client, { userId, yearMonth, approverId });
+    await client.chat.postMessage({
+      channel: userId,
+      thread_ts: messageTs,
+      text: `<@${approverId}>さんに${yearMonth}の経費精算の承認を依頼しました。`
+    });
+  }
+
+  /**
+   * ジョブの状態の表示名
+   * @param {Object} job ジョブ
+   * @returns {string} 状態の表示
+   */
+  formatJobStatus(job) {
+    const time = (timestamp) => new Date(timestamp).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+    switch (job.status) {
+      case 'queued':
+        return ':hourglass: 待機中';
+      case 'running':
+        return `:arrows_counterclockwise: 実行中（${job.attempts}/${job.maxAttempts}回目）`;
+      case 'retrying':
+        return `:repeat: 再試行待ち（${time(job.runAt)}に${job.attempts + 1}/${job.maxAttempts}回目を実行）`;
+      case 'failed':
+        return `:x: 失敗（${time(job.updatedAt)}）`;
+      default:
+        return job.status;
+    }
+  }
+
+  /**
+   * 実行待ち・失敗したジョブの一覧メッセージを作成する
+   * @param {Object[]} pending 実行待ち・実行中のジョブ
+   * @param {Object[]} failed 失敗したジョブ
+   * @returns {string} メッセージ
+   */
+  formatJobList(pending, failed) {
+    if (pending.length === 0 && failed.length === 0) {
+      return '実行待ち・失敗した処理はありません。';
+    }
+
+    const line = (job) => `• ${job.label} - ${this.formatJobStatus(job)}${job.error ? `\n　${job.error}` : ''}`;
+    const sections = [];
+    if (pending.length > 0) {
+      sections.push(`*実行待ち・実行中*\n${pending.map(line).join('\n')}`);
+    }
+    if (failed.length > 0) {
+      sections.push(`*失敗（24時間以内）*\n${failed.map(line).join('\n')}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  /**
+   * 直近の年月の一覧を作成する（ホームタブの月の切り替え用）
+   * @param {number} [count] 件数
+   * @returns {string[]} YYYY-MM形式の年月（新しい順）
+   */
+  getRecentYearMonths(count = 12) {
+    const { yearMonth } = getJstToday();
+    return Array.from({ length: count }, (_, i) => addMonths(yearMonth, -i));
+  }
+
+  /**
+   * ホームタブのビューを作成する
+   * @param {Object} dashboard ダッシュボードの内容
+   * @param {string} dashboard.yearMonth YYYY-MM形式の年月
+   * @param {Object} dashboard.month getEntriesByMonthsの結果（シートのない月は明細が空）
+   * @param {Object} dashboard.approval 承認状態
+   * @param {{fileUrl: string, exportedAt: string}|null} dashboard.exported 出力済みのPDF
+   * @returns {Object} ホームタブのビュー
+   */
+  buildHomeView({ yearMonth, month, approval, exported }) {
+    const toMonthOption = value => ({
+      text: { type: 'plain_text', text: value },
+      value,
+    });
+    const months = this.getRecentYearMonths();
+    if (!months.includes(yearMonth)) {
+      months.unshift(yearMonth);
+    }
+    const total = month.entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const categoryTotals = sheetsService.summarizeByCategory(month.entries);
+    const lastEntry = month.entries[month.entries.length - 1];
+
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: `経費精算ダッシュボード（${yearMonth}）` }
+      },
+      {
+        type: 'actions',
+        block_id: 'home_actions',
+        elements: [
+          {
+            type: 'button',
+            action_id: 'home_register',
+            style: 'primary',
+            text: { type: 'plain_text', text: '経費を登録' }
+          },
+          {
+            type: 'button',
+            action_id: 'home_export',
+            text: { type: 'plain_text', text: 'PDFを出力' }
+          },
+          {
+            type: 'static_select',
+            action_id: 'home_switch_month',
+            placeholder: { type: 'plain_text', text: '月を切り替え' },
+            initial_option: toMonthOption(yearMonth),
+            options: months.map(toMonthOption)
+          }
+        ]
+      },
+      {
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*登録件数*\n${month.entries.length}件` },
+          { type: 'mrkdwn', text: `*合計金額*\n¥${total.toLocaleString()}` },
+          { type: 'mrkdwn', text: `*最終更新*\n${lastEntry ? lastEntry.date : 'なし'}` },
+          { type: 'mrkdwn', text: `*承認状態*\n${approvalService.formatStatus(approval.status)}` },
+          {
+            type: 'mrkdwn',
+            text: `*PDF出力*\n${exported ? `<${exported.fileUrl}|${new Date(exported.exportedAt).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}>` : '未出力'}`
+          },
+        ]
+      }
+    ];
+
+    if (approval.status === 'rejected' && approval.reason) {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `差し戻しの理由: ${approval.reason}` }]
+      });
+    }
+
+    if (categoryTotals.length > 0) {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*勘定科目別*\n${this.formatCategoryTotals(categoryTotals)}` }
+      });
+    }
+
+    // 最近の明細（新しい行から10件、一覧と同じメニューで編集・削除）
+    blocks.push({ type: 'divider' });
+    const recent = month.entries.slice(-10).reverse();
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: recent.length > 0 ? '*最近の登録*' : '*最近の登録*\nデータがありません' }
+    });
+    for (const entry of recent) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*No.${entry.no}* ${entry.date}: ¥${entry.amount.toLocaleString()} - ${entry.details}${entry.category ? `（${entry.category}）` : ''}`
+        },
+        accessory: {
+          type: 'overflow',
+          action_id: 'entry_actions',
+          options: [
+            {
+              text: { type: 'plain_text', text: '編集' },
+              value: `edit|${yearMonth}|${entry.no}`
+            },
+            {
+              text: { type: 'plain_text', text: '削除' },
+              value: `delete|${yearMonth}|${entry.no}`
+            }
+          ]
+        }
+      });
+    }
+
+    // シートのない月はリンクを表示しない（表示のためにシートは作成しない）
+    if (month.sheets.length > 0) {
+      blocks.push({
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: month.sheets
+            .map(sheet => `<${sheet.sheetUrl}|${sheet.title}を開く>`)
+            .join(' | ')
+        }]
+      });
+    }
+
+    return {
+      type: 'home',
+      private_metadata: JSON.stringify({ yearMonth }),
+      blocks
+    };
+  }
+
+  /**
+   * ホームタブを表示する
+   * @param {Object} client Slackクライアント
+   * @param {string} userId ユーザーID
+   * @param {string} [yearMonth] YYYY-MM形式の年月（デフォルトは今月）
+   * @returns {Promise<void>}
+   */
+  async publishHome(client, userId, yearMonth = getJstToday().yearMonth) {
+    const settings = await settingsService.getUserSettings(userId);
+
+    let view;
+    if (!settings) {
+      view = {
+        type: 'home',
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: '*経費精算ダッシュボード*\nスプレッドシートが設定されていません。`/keihi setup [スプレッドシートID]`で設定すると、ここに登録状況が表示されます。'
+            }
+          }
+        ]
+      };
+    } else {
+      const [[month], approval, exported] = await Promise.all([
+        sheetsService.getEntriesByMonths(userId, [yearMonth]),
+        approvalService.getApproval(userId, yearMonth),
+        // PDFの出力状態が取れなくてもダッシュボードは表示する
+        exportService.getExportedReport(userId, yearMonth).catch(() => null)
+      ]);
+      view = this.buildHomeView({ yearMonth, month, approval, exported });
+    }
+
+    await client.views.publish({ user_id: userId, view });
+  }
+
+  /**
+   * ホームタブのイベントとボタンを登録する
+   */
+  async initializeHome() {
+    debugLog('Initializing home tab');
+
+    // ホームタブを開いたとき
+    this.app.event('app_home_opened', async ({ event, client }) => {
+      if (event.tab !== 'home') return;
+
+      // 非同期で処理を実行
+      (async () => {
+        try {
+          await this.publishHome(client, event.user);
+        } catch (error) {
+          errorLog('Error publishing home tab:', error);
+        }
+      })();
+    });
+
+    // 「経費を登録」ボタン
+    this.app.action('home_register', async ({ ack, body, client }) => {
+      await ack();
+      try {
+        await this.openExpenseModal(client, body.trigger_id, {
+          hasFile: false,
+          userId: body.user.id,
+          channelId: body.user.id,
+        });
+      } catch (error) {
+        errorLog('Error opening expense modal from home:', error);
+        await client.chat.postMessage({
+          channel: body.user.id,
+          text: `エラーが発生しました: ${error.message}`
+        });
+      }
+    });
+
+    // 「PDFを出力」ボタン
+    this.app.action('home_export', async ({ ack, body, client }) => {
+      await ack();
+      const userId = body.user.id;
+      const { yearMonth } = JSON.parse(body.view.private_metadata || '{}');
+
+      // PDFの作成に時間がかかるためジョブとして実行
+      try {
+        await this.enqueueExport(client, userId, yearMonth, { refreshHome: true });
+      } catch (error) {
+        errorLog('Error exporting from home:', error);
+      }
+    });
+
+    // 月の切り替え
+    this.app.action('home_switch_month', async ({ ack, body, action, client }) => {
+      await ack();
+
+      // 非同期で処理を実行
+      (async () => {
+        try {
+          await this.publishHome(client, body.user.id, action.selected_option.value);
+        } catch (error) {
+          errorLog('Error switching home month:', error);
+        }
+      })();
+    });
+
+    debugLog('Home tab initialized');
+  }
+
+  /**
+   * 承認依頼メッセージのブロックを作成する
+   * @param {{userId: string, yearMonth: string, total: number, pdfUrl: string}} request 承認依頼の内容
+   * @param {{status: string, actorId: string, reason?: string}|null} [decision] 承認結果（未処理の場合はnull）
+   * @returns {Object[]} メッセージのブロック
+   */
+  buildApprovalRequestBlocks(request, decision = null) {
+    const value = JSON.stringify({ userId: request.userId, yearMonth: request.yearMonth });
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `<@${request.userId}>さんから${request.yearMonth}の経費精算の承認依頼が届きました。\n• 合計金額: ¥${request.total.toLocaleString()}\n\n<${request.pdfUrl}|経費精算書（PDF）を開く> :page_facing_up:`
+        }
+      }
+    ];
+
+    if (!decision) {
+      blocks.push({
+        type: 'actions',
+        block_id: 'approval_actions',
+        elements: [
+          {
+            type: 'button',
+            action_id: 'approval_approve',
+            style: 'primary',
+            text: { type: 'plain_text', text: '承認' },
+            value
+          },
+          {
+            type: 'button',
+            action_id: 'approval_reject',
+            style: 'danger',
+            text: { type: 'plain_text', text: '差し戻し' },
+            value
+          }
+        ]
+      });
+    } else {
+      const result = decision.status === 'approved'
+        ? `:white_check_mark: <@${decision.actorId}>さんが承認しました`
+        : `:leftwards_arrow_with_hook: <@${decision.actorId}>さんが差し戻しました（理由: ${decision.reason}）`;
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: result }]
+      });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * 経費精算書をPDFに出力し、承認者に承認を依頼する
+   * @param {Object} client Slackクライアント
+   * @param {Object} params パラメータ
+   * @param {string} params.userId 申請者のユーザーID
+   * @param {string} params.yearMonth YYYY-MM形式の年月
+   * @param {string} params.approverId 承認者のユーザーID
+   * @returns {Promise<void>}
+   */
+  async submitForApproval(client, { userId, yearMonth, approverId }) {
+    // PDFを作る前に申請できる状態か確認
+    const current = await approvalService.getApproval(userId, yearMonth);
+    if (current.status === 'submitted' || current.status === 'approved') {
+      throw new Error(`${yearMonth}は${approvalService.formatStatus(current.status)}です。`);
+    }
+
+    const { fileUrl, total } = await exportService.exportExpenseReport(userId, yearMonth);
+    const request = { userId, yearMonth, total, pdfUrl: fileUrl };
+    await approvalService.submit({
+      userId,
+      yearMonth,
+      approverId,
+      pdfUrl: fileUrl,
+      notify: () => client.chat.postMessage({
+        channel: approverId,
+        text: `<@${userId}>さんから${yearMonth}の経費精算の承認依頼が届きました。`,
+        blocks: this.buildApprovalRequestBlocks(request)
+      })
+    });
+  }
+
+  /**
+   * 承認者の承認結果を記録し、依頼メッセージと申請者に反映する
+   * @param {Object} client Slackクライアント
+   * @param {Object} params パラメータ
+   * @param {string} params.userId 申請者のユーザーID
+   * @param {string} params.yearMonth YYYY-MM形式の年月
+   * @param {string} params.actorId 承認者のユーザーID
+   * @param {boolean} params.approved 承認する場合はtrue
+   * @param {string} [params.reason] 差し戻しの理由
+   * @param {string} params.channelId 依頼メッセージのチャンネルID
+   * @param {string} params.messageTs 依頼メッセージのタイムスタンプ
+   * @returns {Promise<void>}
+   */
+  async recordApprovalDecision(client, { userId, yearMonth, actorId, approved, reason = '', channelId, messageTs }) {
+    const { status, pdfUrl } = await approvalService.decide({ userId, yearMonth, actorId, approved, reason });
+    const { total } = await sheetsService.getMonthData(userId, yearMonth);
+
+    // 依頼メッセージのボタンを結果に置き換える
+    await client.chat.update({
+      channel: channelId,
+      ts: messageTs,
+      text: `${yearMonth}の経費精算を${approvalService.formatStatus(status)}にしました。`,
+      blocks: this.buildApprovalRequestBlocks({ userId, yearMonth, total, pdfUrl }, { status, actorId, reason })
+    });
+
+    await client.chat.postMessage({
+      channel: userId,
+      text: approved
+        ? `${yearMonth}の経費精算が<@${actorId}>さんに承認されました。\n<${pdfUrl}|経費精算書（PDF）を開く>`
+        : `${yearMonth}の経費精算が<@${actorId}>さんに差し戻されました。\n• 理由: ${reason}\n\n修正後に\`/keihi submit ${yearMonth}\`で再度申請してください。`
+    });
+  }
+
   async initializeCommands() {
     debugLog('Initializing commands');
 
@@ -219,14 +2389,14 @@ class SlackService {
                   type: 'section',
                   text: {
                     type: 'mrkdwn',
-                    text: '*使用可能なコマンド*\n• `/keihi setup [スプレッドシートID]` - スプレッドシートを設定\n• `/keihi config` - 現在の設定を確認\n• `/keihi` - 経費を登録（直接入力）\n• `/keihi status [YYYY-MM]` - 登録状況を確認\n• `/keihi list [YYYY-MM]` - 登録一覧を表示\n• `/keihi export [YYYY-MM]` - 経費精算書をPDFに出力（領収書も含む）\n• `/keihi help` - このヘルプを表示'
+                    text: '*使用可能なコマンド*\n• `/keihi setup [スプレッドシートID]` - スプレッドシートを設定\n• `/keihi config` - 現在の設定を確認\n• `/keihi` - 経費を登録（直接入力）\n• `/keihi status [YYYY-MM]` - 登録状況を確認\n• `/keihi list [YYYY-MM]` - 登録一覧を表示\n• `/keihi edit [YYYY-MM] [No]` - 登録済みの経費を編集\n• `/keihi delete [YYYY-MM] [No]` - 登録済みの経費を削除（領収書も削除）\n• `/keihi export [YYYY-MM] [pdf|xlsx]` - 経費精算書をPDF（領収書も含む）またはExcelに出力\n• `/keihi export-csv [YYYY-MM] [freee|mf|yayoi]` - 会計ソフト用の仕訳CSVを出力\n• `/keihi report [期間] [sheet]` - 複数月・年度のレポート（例: `2025-04..2026-03`、`FY2025`、`2025`）\n• `/keihi approver @承認者` - 承認者を設定\n• `/keihi submit [YYYY-MM]` - 経費精算書を承認者に提出\n• `/keihi recurring add|list|remove [ID]` - 毎月自動で登録する経費を管理\n• `/keihi jobs` - 実行待ち・失敗した処理を表示\n• `/keihi admin users|status|summary [YYYY-MM]` - 全ユーザーの状況を確認（管理者のみ）\n• `/keihi help` - このヘルプを表示'
                   }
                 },
                 {
                   type: 'section',
                   text: {
                     type: 'mrkdwn',
-                    text: '*領収書添付での登録*\n1. Slackに領収書（PDFまたは画像）をアップロード\n2. メッセージの「その他のアクション」から「経費精算書の作成」を選択\n3. フォームに必要事項を入力して送信'
+                    text: '*領収書添付での登録*\n1. Slackに領収書（PDFまたは画像）をアップロード\n2. メッセージの「その他のアクション」から「経費精算書の作成」を選択\n3. 領収書から読み取った内容を確認・修正して送信'
                   }
                 },
                 {
@@ -277,7 +2447,7 @@ class SlackService {
 
             await client.chat.postMessage({
               channel: command.user_id,
-              text: `現在の設定:\nスプレッドシートID: ${settings.spreadsheet_id}\nメールアドレス: ${settings.email}`
+              text: `現在の設定:\nスプレッドシートID: ${settings.spreadsheet_id}\nメールアドレス: ${settings.email}\n承認者: ${settings.approver_id ? `<@${settings.approver_id}>` : '未設定'}`
             });
             debugLog('Config displayed');
             return;
@@ -289,12 +2459,13 @@ class SlackService {
               throw new Error('スプレッドシートが設定されていません。/keihi setup [スプレッドシートID] で設定してください。');
             }
 
-            const statusYearMonth = args[0] || new Date().toISOString().substring(0, 7);
+            const statusYearMonth = args[0] || getJstToday().yearMonth;
             const status = await sheetsService.getStatus(command.user_id, statusYearMonth);
+            const approval = await approvalService.getApproval(command.user_id, statusYearMonth);
 
             await client.chat.postMessage({
               channel: command.user_id,
-              text: `${statusYearMonth}の登録状況:\n• 登録件数: ${status.count}件\n• 合計金額: ¥${status.total.toLocaleString()}\n• 最終更新: ${status.lastUpdate || 'なし'}\n\n<${status.sheetUrl}|スプレッドシートで開く>`
+              text: `${statusYearMonth}の登録状況:\n• 登録件数: ${status.count}件\n• 合計金額: ¥${status.total.toLocaleString()}\n• 最終更新: ${status.lastUpdate || 'なし'}\n• 承認状態: ${approvalService.formatStatus(approval.status)}${approval.status === 'rejected' && approval.reason ? `（理由: ${approval.reason}）` : ''}${status.sheetCount > 1 ? `\n• シート数: ${status.sheetCount}` : ''}${status.categoryTotals.length > 0 ? `\n\n*勘定科目別*\n${this.formatCategoryTotals(status.categoryTotals)}` : ''}\n\n<${status.sheetUrl}|スプレッドシートで開く>`
             });
             debugLog('Status displayed');
             return;
@@ -306,56 +2477,190 @@ class SlackService {
               throw new Error('スプレッドシートが設定されていません。/keihi setup [スプレッドシートID] で設定してください。');
             }
 
-            const listYearMonth = args[0] || new Date().toISOString().substring(0, 7);
-            const list = await sheetsService.getList(command.user_id, listYearMonth);
-
-            const entries = list.entries.map(entry =>
-              `• ${entry.date}: ¥${entry.amount.toLocaleString()} - ${entry.details}`
-            ).join('\n');
-
+            const listYearMonth = args[0] || getJstToday().yearMonth;
+            const list = await sheetsService.getList(command.user_id, listYearMonth);
+
+            const entries = list.entries.map(entry =>
+              `• No.${entry.no} ${entry.date}: ¥${entry.amount.toLocaleString()} - ${entry.details}`
+            ).join('\n');
+
+            await client.chat.postMessage({
+              channel: command.user_id,
+              text: `${listYearMonth}の登録一覧:\n${entries || 'データがありません'}\n\n<${list.sheetUrl}|スプレッドシートで開く>`,
+              blocks: this.buildListBlocks(list)
+            });
+            debugLog('List displayed');
+            return;
+
+          case 'edit':
+            debugLog('Processing edit command');
+            const editTarget = this.parseEntryArgs(args);
+            await this.openEditModal(client, command.trigger_id, command.user_id, editTarget.yearMonth, editTarget.no);
+            debugLog('Edit modal opened');
+            return;
+
+          case 'delete':
+            debugLog('Processing delete command');
+            const deleteTarget = this.parseEntryArgs(args);
+            await this.openDeleteModal(client, command.trigger_id, command.user_id, deleteTarget.yearMonth, deleteTarget.no);
+            debugLog('Delete modal opened');
+            return;
+
+          case 'export':
+            debugLog('Processing export command');
+            const exportSettings = await settingsService.getUserSettings(command.user_id);
+            if (!exportSettings) {
+              throw new Error('スプレッドシートが設定されていません。/keihi setup [スプレッドシートID] で設定してください。');
+            }
+
+            // 年月と形式の取得（指定がない場合は現在の年月、PDF）
+            const exportYearMonth = args.find(arg => /^\d{4}-\d{2}$/.test(arg)) || getJstToday().yearMonth;
+            const exportFormat = (args.find(arg => !/^\d{4}-\d{2}$/.test(arg)) || 'pdf').toLowerCase();
+            if (!EXPORT_FORMAT_LABELS[exportFormat]) {
+              throw new Error(`未対応の形式です: ${exportFormat}\n使用例: \`/keihi export 2025-02 xlsx\`（pdf / xlsx）`);
+            }
+
+            await this.enqueueExport(client, command.user_id, exportYearMonth, { format: exportFormat });
+            debugLog('Export job queued');
+            return;
+
+          case 'export-csv':
+            debugLog('Processing export-csv command');
+            // 年月と形式はどちらも省略可能（順不同）
+            const csvYearMonth = args.find(arg => /^\d{4}-\d{2}$/.test(arg)) || getJstToday().yearMonth;
+            const csvFormatArg = args.find(arg => !/^\d{4}-\d{2}$/.test(arg));
+            const csvFormat = csvExportService.parseFormat(csvFormatArg);
+            if (!csvFormat) {
+              throw new Error(`未対応の形式です: ${csvFormatArg}\n使用例: \`/keihi export-csv 2025-02 freee\`（freee / mf / yayoi）`);
+            }
+            await settingsService.getSpreadsheetId(command.user_id);
+
+            await jobQueue.enqueue(
+              'exportCsv',
+              command.user_id,
+              { yearMonth: csvYearMonth, format: csvFormat },
+              `${csvYearMonth}の仕訳CSV（${csvExportService.formats[csvFormat].label}）の出力`
+            );
+            return;
+
+          case 'report':
+            debugLog('Processing report command');
+            const reportRange = reportService.parseRange(args[0]);
+            if (!reportRange) {
+              throw new Error('期間を指定してください。\n使用例: `/keihi report 2025-04..2026-03` / `/keihi report FY2025`（年度） / `/keihi report 2025`（1〜12月）\nシートにも出力する場合は末尾に`sheet`を付けてください。');
+            }
+            await settingsService.getSpreadsheetId(command.user_id);
+
+            // 月数が多いと時間がかかるためジョブとして実行
+            await jobQueue.enqueue(
+              'report',
+              command.user_id,
+              { range: reportRange, writeSheet: (args[1] || '').toLowerCase() === 'sheet' },
+              `${reportRange.label}のレポート作成`
+            );
+            return;
+
+          case 'approver':
+            debugLog('Processing approver command');
+            const approverId = settingsService.parseUserId(args[0]);
+            if (!approverId) {
+              throw new Error('承認者をメンションで指定してください。\n使用例: `/keihi approver @承認者`');
+            }
+            if (approverId === command.user_id) {
+              throw new Error('自分自身を承認者に設定することはできません。');
+            }
+            if (!(await settingsService.getUserSettings(command.user_id))) {
+              throw new Error('スプレッドシートが設定されていません。/keihi setup [スプレッドシートID] で設定してください。');
+            }
+
+            await settingsService.saveUserSettings(command.user_id, { approver_id: approverId });
             await client.chat.postMessage({
               channel: command.user_id,
-              text: `${listYearMonth}の登録一覧:\n${entries || 'データがありません'}\n\n<${list.sheetUrl}|スプレッドシートで開く>`
+              text: `承認者を<@${approverId}>さんに設定しました。`
             });
-            debugLog('List displayed');
+            debugLog('Approver saved');
             return;
 
-          case 'export':
-            debugLog('Processing export command');
-            const exportSettings = await settingsService.getUserSettings(command.user_id);
-            if (!exportSettings) {
-              throw new Error('スプレッドシートが設定されていません。/keihi setup [スプレッドシートID] で設定してください。');
+          case 'submit':
+            debugLog('Processing submit command');
+            const submitYearMonth = args[0] || getJstToday().yearMonth;
+            await this.enqueueSubmit(command.user_id, submitYearMonth);
+            return;
+
+          case 'recurring':
+            debugLog('Processing recurring command');
+            const recurringAction = (args[0] || 'list').toLowerCase();
+
+            if (recurringAction === 'add') {
+              await settingsService.getSpreadsheetId(command.user_id);
+              await this.openRecurringModal(client, command.trigger_id, command.user_id);
+              return;
             }
 
-            // 年月の取得（指定がない場合は現在の年月）
-            const exportYearMonth = args[0] || new Date().toISOString().substring(0, 7);
-            
-            // 即座に応答を返す
-            const initialMessage = await client.chat.postMessage({
-              channel: command.user_id,
-              text: `${exportYearMonth}の経費精算書のPDF出力を開始しました。完了までしばらくお待ちください...`
-            });
+            if (recurringAction === 'list') {
+              const definitions = await recurringService.getDefinitions(command.user_id);
+              await client.chat.postMessage({
+                channel: command.user_id,
+                text: this.formatRecurringList(definitions)
+              });
+              return;
+            }
 
-            try {
-              // PDFを生成
-              const { pdfBuffer, fileUrl } = await exportService.exportExpenseReport(command.user_id, exportYearMonth);
-              
-              // 成功時：PDFをアップロードしてスレッドで通知
+            if (recurringAction === 'remove') {
+              if (!args[1]) {
+                throw new Error('削除する定期的な経費のIDを指定してください。\n使用例: `/keihi recurring remove a1b2c3`（IDは`/keihi recurring list`で確認）');
+              }
+              const removed = await recurringService.removeDefinition(command.user_id, args[1]);
               await client.chat.postMessage({
                 channel: command.user_id,
-                thread_ts: initialMessage.ts,
-                text: `${exportYearMonth}の経費精算書をPDFに出力しました。\n\n<${fileUrl}|PDFを開く> :page_facing_up:`
+                text: `定期的な経費を削除しました（${recurringService.formatDay(removed.day)} ¥${removed.amount.toLocaleString()} ${removed.details}）。登録済みの経費は削除されません。`
               });
-            } catch (error) {
-              // エラー時：スレッドでエラーを通知
+              return;
+            }
+
+            throw new Error('使用例: `/keihi recurring add` / `/keihi recurring list` / `/keihi recurring remove [ID]`');
+
+          case 'admin':
+            debugLog('Processing admin command');
+            await settingsService.assertAdmin(command.user_id);
+            const adminAction = (args[0] || 'status').toLowerCase();
+            const adminYearMonth = args[1] || getJstToday().yearMonth;
+            if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(adminYearMonth)) {
+              throw new Error('年月はYYYY-MM形式で指定してください（例: `/keihi admin status 2025-04`）');
+            }
+
+            if (adminAction === 'users') {
+              const users = await settingsService.getAllUserSettings();
               await client.chat.postMessage({
                 channel: command.user_id,
-                thread_ts: initialMessage.ts,
-                text: `PDFの出力中にエラーが発生しました: ${error.message}`
+                text: this.formatAdminUserList(users)
               });
+              return;
+            }
+
+            // ユーザー数が多いと時間がかかるためジョブとして実行
+            if (adminAction === 'status') {
+              await jobQueue.enqueue('adminStatus', command.user_id, { yearMonth: adminYearMonth }, `${adminYearMonth}の全ユーザーの登録状況の取得`);
+              return;
+            }
+
+            if (adminAction === 'summary') {
+              await jobQueue.enqueue('summary', command.user_id, { yearMonth: adminYearMonth }, `${adminYearMonth}の集計シートの作成`);
+              return;
             }
 
-            debugLog('Export process completed');
+            throw new Error('使用例: `/keihi admin users` / `/keihi admin status [YYYY-MM]` / `/keihi admin summary [YYYY-MM]`');
+
+          case 'jobs':
+            debugLog('Processing jobs command');
+            const [pendingJobs, failedJobs] = await Promise.all([
+              jobQueue.getPendingJobs(command.user_id),
+              jobQueue.getFailedJobs(command.user_id),
+            ]);
+            await client.chat.postMessage({
+              channel: command.user_id,
+              text: this.formatJobList(pendingJobs, failedJobs)
+            });
             return;
 
           default:
@@ -409,6 +2714,25 @@ class SlackService {
           throw new Error('このメッセージにはファイルが添付されていません。');
         }
 
+        // 複数の添付ファイルはまとめて登録
+        if (message.files.length > 1) {
+          const files = message.files.slice(0, MAX_BULK_FILES);
+          debugLog(`Opening bulk modal for ${files.length} files`);
+          await this.openBulkExpenseModal(client, shortcut.trigger_id, {
+            files,
+            channelId: shortcut.channel.id,
+            userId: shortcut.user.id,
+            messageTs: message.ts
+          });
+          if (message.files.length > MAX_BULK_FILES) {
+            await client.chat.postMessage({
+              channel: shortcut.user.id,
+              text: `一度に登録できる領収書は${MAX_BULK_FILES}件までです。最初の${MAX_BULK_FILES}件を表示しています。`
+            });
+          }
+          return;
+        }
+
         const file = message.files[0];
         debugLog('File info:', JSON.stringify(file, null, 2));
 
@@ -441,10 +2765,12 @@ class SlackService {
         const { fileId, fileName, fileType, fileUrl, channelId, userId, messageTs } = metadata;
         const values = view.state.values;
 
-        const date = values.date_block.date_input.selected_date || new Date().toISOString().split('T')[0];
+        const date = values.date_block.date_input.selected_date || getJstToday().date;
+        const category = values.category_block?.category_input?.selected_option?.value || '';
         const amount = values.amount_block.amount_input.value ? parseInt(values.amount_block.amount_input.value, 10) : null;
         const details = values.details_block.details_input.value;
         const memo = values.memo_block.memo_input.value;
+        const tax = this.readTaxValues(values);
 
         // 金額が未入力の場合はエラー
         if (!amount) {
@@ -457,6 +2783,17 @@ class SlackService {
           return;
         }
 
+        // 登録番号の形式が不正な場合はエラー
+        if (tax.error) {
+          await ack({
+            response_action: 'errors',
+            errors: {
+              invoice_block: tax.error
+            }
+          });
+          return;
+        }
+
         // サーバーの状態をチェック
         if (!this.app.isServerReady()) {
           await ack({
@@ -472,83 +2809,18 @@ class SlackService {
         await ack();
         debugLog('Modal closed');
 
-        // 非同期で処理を実行
-        (async () => {
-          try {
-            // 処理開始メッセージを送信
-            const initialMessage = await client.chat.postMessage({
-              channel: userId,
-              text: '経費精算書の作成を開始しました。完了までしばらくお待ちください...'
-            });
-
-            debugLog('Handling expense_modal submission');
-            debugLog('View payload:', JSON.stringify(view, null, 2));
-            debugLog('Body payload:', JSON.stringify(body, null, 2));
-            debugLog('Metadata:', JSON.stringify(metadata, null, 2));
-
-            debugLog('Downloading file from URL:', fileUrl);
-            // ファイルのダウンロード
-            const response = await axios.get(fileUrl, {
-              headers: {
-                'Authorization': `Bearer ${config.slack.botToken}`
-              },
-              responseType: 'arraybuffer'
-            });
-
-            if (response.status !== 200) {
-              throw new Error('ファイルのダウンロードに失敗しました');
-            }
-
-            const fileContent = Buffer.from(response.data);
-
-            // Google Driveにアップロード
-            debugLog('Uploading file to Google Drive');
-            const driveFile = await driveService.uploadFile(
-              userId,
-              date.substring(0, 7), // YYYY-MM
-              fileContent,
-              fileName,
-              fileType
-            );
-
-            // スプレッドシートに登録
-            debugLog('Adding entry to spreadsheet');
-            const sheetResult = await sheetsService.addEntry({
-              userId: userId,
-              date: date,
-              amount: amount,
-              details: details || '（内容なし）',
-              memo: memo || '',
-              fileUrl: driveFile.webViewLink,
-            });
-
-            // 完了メッセージを送信
-            const baseMessage = `• 日付: ${date}\n• 金額: ¥${amount.toLocaleString()}\n• 内容: ${details || '（内容なし）'}\n• メモ: ${memo || '（なし）'}`;
-            const links = `\n\n<${sheetResult.sheetUrl}|スプレッドシートで開く> | <${driveFile.webViewLink}|領収書を確認>`;
-
-            debugLog('Sending completion message');
-            await client.chat.postMessage({
-              channel: userId,
-              thread_ts: initialMessage.ts,
-              text: sheetResult.success
-                ? `経費精算書を作成しました。\n${baseMessage}${links}`
-                : `${sheetResult.message}\n${baseMessage}\n\n経費精算書を確認: ${sheetResult.sheetUrl}`,
-            });
-          } catch (processError) {
-            errorLog('Error in async process:', processError);
-            await client.chat.postMessage({
-              channel: userId,
-              text: `エラーが発生しました: ${processError.message}`
-            });
-          }
-        })();
+        // 時間がかかるためジョブとして実行（再起動しても失われない）
+        await jobQueue.enqueue('register', userId, {
+          entry: { date, amount, details, memo, category, tax },
+          file: { name: fileName, type: fileType, url: fileUrl },
+        }, `経費の登録（${date} ¥${amount.toLocaleString()}）`);
+        debugLog('Register job queued');
 
       } catch (error) {
         errorLog('Error processing expense:', error);
         try {
           await client.chat.postMessage({
-            channel: userId,
-            thread_ts: initialMessage?.ts,
+            channel: JSON.parse(view.private_metadata).userId,
             text: `エラーが発生しました: ${error.message}`
           });
         } catch (msgError) {
@@ -557,6 +2829,54 @@ class SlackService {
       }
     });
 
+    // 一括登録モーダルの送信処理
+    this.app.view('expense_bulk_modal', async ({ ack, view, client }) => {
+      const { userId, fileIds } = JSON.parse(view.private_metadata);
+      const errors = {};
+
+      // 添付ファイルごとに入力値を取得・検証
+      const entries = fileIds.map((fileId, index) => {
+        const values = this.pickEntryValues(view.state.values, index);
+        const amountValue = values.amount_block.amount_input.value;
+        const tax = this.readTaxValues(values);
+
+        if (!amountValue) {
+          errors[`amount_block_${index}`] = '金額を入力してください。';
+        }
+        if (tax.error) {
+          errors[`invoice_block_${index}`] = tax.error;
+        }
+
+        return {
+          fileId,
+          date: values.date_block.date_input.selected_date || getJstToday().date,
+          amount: amountValue ? parseInt(amountValue, 10) : null,
+          details: values.details_block.details_input.value,
+          memo: values.memo_block.memo_input.value,
+          category: values.category_block?.category_input?.selected_option?.value || '',
+          tax,
+        };
+      });
+
+      if (Object.keys(errors).length > 0) {
+        await ack({ response_action: 'errors', errors });
+        return;
+      }
+
+      await ack();
+
+      // 時間がかかるためジョブとして実行（再起動しても失われない）
+      try {
+        await jobQueue.enqueue('bulkRegister', userId, { entries }, `${entries.length}件の経費の一括登録`);
+      } catch (error) {
+        errorLog('Error queueing bulk entries:', error);
+        await client.chat.postMessage({
+          channel: userId,
+          text: `経費の一括登録中にエラーが発生しました: ${error.message}`
+        });
+      }
+    });
+
     // ファイル添付なしのモーダル送信処理
     this.app.view('expense_direct_modal', async ({ ack, body, view, client }) => {
       let userId;
@@ -566,10 +2886,18 @@ class SlackService {
         userId = metadata.userId;
         const values = view.state.values;
 
-        const date = values.date_block.date_input.selected_date || new Date().toISOString().split('T')[0];
+        // 交通費（経路）は金額の入力欄がないため区間と運賃から登録する
+        if (metadata.entryType === 'transit') {
+          await this.submitTransitEntry(ack, userId, values);
+          return;
+        }
+
+        const date = values.date_block.date_input.selected_date || getJstToday().date;
         const amount = values.amount_block.amount_input.value ? parseInt(values.amount_block.amount_input.value, 10) : null;
         const details = values.details_block.details_input.value;
         const memo = values.memo_block.memo_input.value;
+        const category = values.category_block?.category_input?.selected_option?.value || '';
+        const tax = this.readTaxValues(values);
 
         // 金額が未入力の場合はエラー
         if (!amount) {
@@ -582,6 +2910,17 @@ class SlackService {
           return;
         }
 
+        // 登録番号の形式が不正な場合はエラー
+        if (tax.error) {
+          await ack({
+            response_action: 'errors',
+            errors: {
+              invoice_block: tax.error
+            }
+          });
+          return;
+        }
+
         // サーバーの状態をチェック
         if (!this.app.isServerReady()) {
           await ack({
@@ -597,52 +2936,12 @@ class SlackService {
         await ack();
         debugLog('Modal closed');
 
-        // 非同期で処理を実行
-        (async () => {
-          try {
-            // 処理開始メッセージを送信
-            const initialMessage = await client.chat.postMessage({
-              channel: userId,
-              text: '経費精算書の作成を開始しました。完了までしばらくお待ちください...'
-            });
-
-            debugLog('Handling expense_direct_modal submission');
-            debugLog('View payload:', JSON.stringify(view, null, 2));
-            debugLog('Body payload:', JSON.stringify(body, null, 2));
-            debugLog('Metadata:', JSON.stringify(metadata, null, 2));
-
-            // スプレッドシートに登録
-            debugLog('Adding entry to spreadsheet');
-            const sheetResult = await sheetsService.addEntry({
-              userId: userId,
-              date: date,
-              amount: amount,
-              details: details || '（内容なし）',
-              memo: memo || '',
-              fileUrl: '', // ファイルなし
-            });
-
-            // 完了メッセージを送信
-            const baseMessage = `• 日付: ${date}\n• 金額: ¥${amount.toLocaleString()}\n• 内容: ${details || '（内容なし）'}\n• メモ: ${memo || '（なし）'}`;
-            const links = `\n\n<${sheetResult.sheetUrl}|スプレッドシートで開く>`;
-
-            debugLog('Sending completion message');
-            await client.chat.postMessage({
-              channel: userId,
-              thread_ts: initialMessage.ts,
-              text: sheetResult.success
-                ? `経費精算書を作成しました。\n${baseMessage}${links}`
-                : `${sheetResult.message}\n${baseMessage}\n\n経費精算書を確認: ${sheetResult.sheetUrl}`,
-            });
-          } catch (processError) {
-            errorLog('Error in async process:', processError);
-            await client.chat.postMessage({
-              channel: userId,
-              thread_ts: initialMessage.ts,
-              text: `エラーが発生しました: ${processError.message}`
-            });
-          }
-        })();
+        // 時間がかかるためジョブとして実行（再起動しても失われない）
+        await jobQueue.enqueue('register', userId, {
+          entry: { date, amount, details, memo, category, tax },
+          file: null,
+        }, `経費の登録（${date} ¥${amount.toLocaleString()}）`);
+        debugLog('Register job queued');
 
       } catch (error) {
         errorLog('Error processing expense:', error);
@@ -659,6 +2958,362 @@ class SlackService {
 
     debugLog('Shortcuts initialized');
   }
+
+  async initializeActions() {
+    debugLog('Initializing actions');
+
+    // 直接入力の種類の切り替え（通常の経費・交通費（経路））
+    this.app.action('entry_type_select', async ({ ack, body, action, client }) => {
+      await ack();
+
+      try {
+        const options = { ...JSON.parse(body.view.private_metadata), entryType: action.selected_option.value };
+        const categories = await settingsService.getCategories();
+        await client.views.update({
+          view_id: body.view.id,
+          hash: body.view.hash,
+          view: this.buildExpenseModalView(options, null, categories),
+        });
+      } catch (error) {
+        errorLog('Error switching entry type:', error);
+      }
+    });
+
+    // 登録一覧の編集・削除メニュー
+    this.app.action('entry_actions', async ({ ack, body, action, client }) => {
+      await ack();
+      const userId = body.user.id;
+
+      try {
+        const [operation, yearMonth, no] = action.selected_option.value.split('|');
+        debugLog('Handling entry action:', { operation, yearMonth, no, userId });
+
+        if (operation === 'edit') {
+          await this.openEditModal(client, body.trigger_id, userId, yearMonth, no);
+        } else if (operation === 'delete') {
+          await this.openDeleteModal(client, body.trigger_id, userId, yearMonth, no);
+        }
+      } catch (error) {
+        errorLog('Error handling entry action:', error);
+        await client.chat.postMessage({
+          channel: userId,
+          text: `エラーが発生しました: ${error.message}`
+        });
+      }
+    });
+
+    // 編集モーダルの送信処理
+    this.app.view('expense_edit_modal', async ({ ack, view, client }) => {
+      const { userId, yearMonth, no } = JSON.parse(view.private_metadata);
+      const values = view.state.values;
+
+      const date = values.date_block.date_input.selected_date || `${yearMonth}-01`;
+      const amount = values.amount_block.amount_input.value ? parseInt(values.amount_block.amount_input.value, 10) : null;
+      const details = values.details_block.details_input.value;
+      const memo = values.memo_block.memo_input.value;
+      const category = values.category_block?.category_input?.selected_option?.value || '';
+      const tax = this.readTaxValues(values);
+
+      // 金額が未入力の場合はエラー
+      if (!amount) {
+        await ack({
+          response_action: 'errors',
+          errors: {
+            amount_block: '金額を入力してください。'
+          }
+        });
+        return;
+      }
+
+      // 登録番号の形式が不正な場合はエラー
+      if (tax.error) {
+        await ack({
+          response_action: 'errors',
+          errors: {
+            invoice_block: tax.error
+          }
+        });
+        return;
+      }
+
+      // 別の月への移動は不可
+      if (date.substring(0, 7) !== yearMonth) {
+        await ack({
+          response_action: 'errors',
+          errors: {
+            date_block: `${yearMonth}の日付を選択してください。別の月に移す場合は削除してから登録し直してください。`
+          }
+        });
+        return;
+      }
+
+      await ack();
+
+      // 非同期で処理を実行
+      (async () => {
+        try {
+          const result = await sheetsService.updateEntry({
+            userId, yearMonth, no, date, amount, details, memo, category,
+            taxRate: tax.taxRate, taxAmount: tax.taxAmount, invoiceNumber: tax.invoiceNumber
+          });
+          await client.chat.postMessage({
+            channel: userId,
+            text: `${yearMonth} No.${no} の経費を更新しました。\n• 日付: ${date}\n• 金額: ¥${amount.toLocaleString()}\n• 勘定科目: ${category || '（未分類）'}\n• 内容: ${details || '（内容なし）'}\n• メモ: ${memo || '（なし）'}${this.formatTaxLines(tax)}\n\n<${result.sheetUrl}|スプレッドシートで開く>`
+          });
+        } catch (error) {
+          errorLog('Error updating entry:', error);
+          await client.chat.postMessage({
+            channel: userId,
+            text: `経費の更新中にエラーが発生しました: ${error.message}`
+          });
+        }
+      })();
+    });
+
+    // 削除確認モーダルの送信処理
+    this.app.view('expense_delete_modal', async ({ ack, view, client }) => {
+      const { userId, yearMonth, no } = JSON.parse(view.private_metadata);
+      await ack();
+
+      // 非同期で処理を実行
+      (async () => {
+        try {
+          const result = await sheetsService.deleteEntry(userId, yearMonth, no);
+          await client.chat.postMessage({
+            channel: userId,
+            text: `${yearMonth} No.${no} の経費を削除しました。\n• 日付: ${result.entry.date}\n• 金額: ¥${result.entry.amount.toLocaleString()}\n• 内容: ${result.entry.details}${result.warning ? `\n\n:warning: ${result.warning}` : ''}\n\n<${result.sheetUrl}|スプレッドシートで開く>`
+          });
+        } catch (error) {
+          errorLog('Error deleting entry:', error);
+          await client.chat.postMessage({
+            channel: userId,
+            text: `経費の削除中にエラーが発生しました: ${error.message}`
+          });
+        }
+      })();
+    });
+
+    // 定期的な経費の追加
+    this.app.view('recurring_add_modal', async ({ ack, view, client }) => {
+      const { userId } = JSON.parse(view.private_metadata);
+      const values = view.state.values;
+      const day = parseInt(values.recurring_day_block.recurring_day_input.selected_option.value, 10);
+      const amount = values.amount_block.amount_input.value ? parseInt(values.amount_block.amount_input.value, 10) : null;
+      const details = (values.details_block.details_input.value || '').trim();
+
+      const errors = {};
+      if (!amount || amount <= 0) {
+        errors.amount_block = '金額を入力してください。';
+      }
+      if (!details) {
+        errors.details_block = '内容を入力してください（例: Slack有料プラン）。';
+      }
+      if (Object.keys(errors).length > 0) {
+        await ack({ response_action: 'errors', errors });
+        return;
+      }
+      await ack();
+
+      try {
+        const definition = await recurringService.addDefinition(userId, {
+          day,
+          amount,
+          details,
+          category: values.category_block?.category_input?.selected_option?.value || '',
+          memo: values.memo_block.memo_input.value || '',
+        });
+        await client.chat.postMessage({
+          channel: userId,
+          text: `定期的な経費を追加しました（ID: \`${definition.id}\`）。\n• 登録日: ${recurringService.formatDay(day)}\n• 金額: ¥${amount.toLocaleString()}\n• 勘定科目: ${definition.category || '（未分類）'}\n• 内容: ${details}\n\n最初の登録は${definition.firstDate}です。登録するたびにDMでお知らせします。`
+        });
+      } catch (error) {
+        errorLog('Error adding recurring expense:', error);
+        await client.chat.postMessage({
+          channel: userId,
+          text: `定期的な経費の追加中にエラーが発生しました: ${error.message}`
+        });
+      }
+    });
+
+    // 定期的な経費の「今月の登録を取り消す」ボタン
+    this.app.action('recurring_undo', async ({ ack, body, action, client }) => {
+      await ack();
+      const userId = body.user.id;
+
+      try {
+        const { yearMonth, no, amount, details } = JSON.parse(action.value);
+
+        // 登録後に明細が削除・変更された場合は別の明細を消さないようにする
+        const { entry } = await sheetsService.findEntry(userId, yearMonth, no);
+        if (entry.amount !== amount || entry.details !== details) {
+          throw new Error(`${yearMonth} No.${no} の内容が変更されているため取り消せません。\`/keihi delete ${yearMonth} ${no}\`で削除してください。`);
+        }
+
+        const result = await sheetsService.deleteEntry(userId, yearMonth, no);
+        await client.chat.update({
+          channel: body.channel.id,
+          ts: body.message.ts,
+          text: `定期的な経費の登録を取り消しました（${result.entry.date} ¥${result.entry.amount.toLocaleString()} ${result.entry.details}）。`,
+          blocks: [],
+        });
+      } catch (error) {
+        errorLog('Error undoing recurring expense:', error);
+        await client.chat.postMessage({
+          channel: userId,
+          text: `取り消し中にエラーが発生しました: ${error.message}`
+        });
+      }
+    });
+
+    // 月末のリマインダーの「PDFを出力」ボタン
+    this.app.action('reminder_export', async ({ ack, body, action, client }) => {
+      await ack();
+      try {
+        await this.enqueueExport(client, body.user.id, action.value);
+      } catch (error) {
+        errorLog('Error exporting from reminder:', error);
+        await client.chat.postMessage({
+          channel: body.user.id,
+          text: `エラーが発生しました: ${error.message}`
+        });
+      }
+    });
+
+    // 月末のリマインダーの「承認者に提出」ボタン
+    this.app.action('reminder_submit', async ({ ack, body, action, client }) => {
+      await ack();
+      try {
+        await this.enqueueSubmit(body.user.id, action.value);
+      } catch (error) {
+        errorLog('Error submitting from reminder:', error);
+        await client.chat.postMessage({
+          channel: body.user.id,
+          text: `エラーが発生しました: ${error.message}`
+        });
+      }
+    });
+
+    // 承認依頼の「承認」ボタン
+    this.app.action('approval_approve', async ({ ack, body, action, client }) => {
+      await ack();
+      const actorId = body.user.id;
+
+      // 非同期で処理を実行
+      (async () => {
+        try {
+          const { userId, yearMonth } = JSON.parse(action.value);
+          await this.recordApprovalDecision(client, {
+            userId,
+            yearMonth,
+            actorId,
+            approved: true,
+            channelId: body.channel.id,
+            messageTs: body.message.ts
+          });
+        } catch (error) {
+          errorLog('Error approving expense report:', error);
+          await client.chat.postMessage({
+            channel: actorId,
+            text: `承認中にエラーが発生しました: ${error.message}`
+          });
+        }
+      })();
+    });
+
+    // 承認依頼の「差し戻し」ボタン（理由の入力モーダルを開く）
+    this.app.action('approval_reject', async ({ ack, body, action, client }) => {
+      await ack();
+
+      try {
+        const { userId, yearMonth } = JSON.parse(action.value);
+        await client.views.open({
+          trigger_id: body.trigger_id,
+          view: {
+            type: 'modal',
+            callback_id: 'approval_reject_modal',
+            private_metadata: JSON.stringify({
+              userId,
+              yearMonth,
+              channelId: body.channel.id,
+              messageTs: body.message.ts
+            }),
+            title: {
+              type: 'plain_text',
+              text: '差し戻し',
+            },
+            blocks: [
+              {
+                type: 'section',
+                text: {
+                  type: 'mrkdwn',
+                  text: `<@${userId}>さんの${yearMonth}の経費精算を差し戻します。`
+                }
+              },
+              {
+                type: 'input',
+                block_id: 'reason_block',
+                element: {
+                  type: 'plain_text_input',
+                  action_id: 'reason_input',
+                  multiline: true,
+                  max_length: 500,
+                  placeholder: {
+                    type: 'plain_text',
+                    text: '差し戻しの理由を入力',
+                  },
+                },
+                label: {
+                  type: 'plain_text',
+                  text: '理由',
+                },
+              }
+            ],
+            submit: {
+              type: 'plain_text',
+              text: '差し戻す',
+            },
+          },
+        });
+      } catch (error) {
+        errorLog('Error opening reject modal:', error);
+        await client.chat.postMessage({
+          channel: body.user.id,
+          text: `エラーが発生しました: ${error.message}`
+        });
+      }
+    });
+
+    // 差し戻しモーダルの送信処理
+    this.app.view('approval_reject_modal', async ({ ack, body, view, client }) => {
+      const { userId, yearMonth, channelId, messageTs } = JSON.parse(view.private_metadata);
+      const reason = view.state.values.reason_block.reason_input.value;
+      const actorId = body.user.id;
+      await ack();
+
+      // 非同期で処理を実行
+      (async () => {
+        try {
+          await this.recordApprovalDecision(client, {
+            userId,
+            yearMonth,
+            actorId,
+            approved: false,
+            reason,
+            channelId,
+            messageTs
+          });
+        } catch (error) {
+          errorLog('Error rejecting expense report:', error);
+          await client.chat.postMessage({
+            channel: actorId,
+            text: `差し戻し中にエラーが発生しました: ${error.message}`
+          });
+        }
+      })();
+    });
+
+    debugLog('Actions initialized');
+  }
 }
 
 module.exports = new SlackService();
\ No newline at end of file
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/config');
+
+/**
+ * 名前空間ごとにJSONファイルへ保存するストレージ
+ * 再起動後も内容が残るよう、変更のたびにファイルへ書き込む
+ */
+class FileStorageAdapter {
+  constructor(dir = config.storage.dir) {
+    this.name = 'file';
+    this.dir = dir;
+    this.cache = new Map(); // 名前空間ごとの読み込み済みデータ
+    this.writes = new Map(); // 名前空間ごとの書き込み待ち（順番に書き込む）
+  }
+
+  /**
+   * 名前空間のファイルパスを取得する
+   * @param {string} namespace - 名前空間
+   * @returns {string} ファイルパス
+   */
+  getFilePath(namespace) {
+    return path.join(this.dir, `${namespace}.json`);
+  }
+
+  /**
+   * 名前空間のデータを読み込む（初回のみファイルから読み込む）
+   * @param {string} namespace - 名前空間
+   * @returns {Promise<Map<string, Object>>} データ
+   */
+  async load(namespace) {
+    if (this.cache.has(namespace)) {
+      return this.cache.get(namespace);
+    }
+
+    let data = new Map();
+    try {
+      const content = await fs.readFile(this.getFilePath(namespace), 'utf8');
+      data = new Map(Object.entries(JSON.parse(content)));
+    } catch (error) {
+      // ファイルがない場合は空として扱う。壊れている場合は記録して空から始める
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load storage: ${namespace}`, error);
+      }
+    }
+
+    // 読み込み中に別の呼び出しが読み込んでいた場合はそちらを使う
+    if (!this.cache.has(namespace)) {
+      this.cache.set(namespace, data);
+    }
+    return this.cache.get(namespace);
+  }
+
+  /**
+   * 名前空間のデータをファイルに書き込む
+   * 一時ファイルに書き込んでから置き換え、書き込み途中で停止してもファイルが壊れないようにする
+   * @param {string} namespace - 名前空間
+   * @returns {Promise<void>}
+   */
+  persist(namespace) {
+    const previous = this.writes.get(namespace) || Promise.resolve();
+    const write = previous.then(async () => {
+      const filePath = this.getFilePath(namespace);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      const content = JSON.stringify(Object.fromEntries(this.cache.get(namespace)), null, 2);
+
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, filePath);
+    });
+
+    // 失敗しても次の書き込みは続ける
+    this.writes.set(namespace, write.catch(error => {
+      console.error(`Failed to persist storage: ${namespace}`, error);
+    }));
+    return write;
+  }
+
+  /**
+   * 値を取得する
+   * @param {string} namespace - 名前空間
+   * @param {string} key - キー
+   * @returns {Promise<Object|null>} 値（ない場合はnull）
+   */
+  async get(namespace, key) {
+    const data = await this.load(namespace);
+    return data.get(key) ?? null;
+  }
+
+  /**
+   * 値を保存する
+   * @param {string} namespace - 名前空間
+   * @param {string} key - キー
+   * @param {Object} value - 値（JSONに変換できるもの）
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value) {
+    const data = await this.load(namespace);
+    data.set(key, value);
+    await this.persist(namespace);
+  }
+
+  /**
+   * 値を削除する
+   * @param {string} namespace - 名前空間
+   * @param {string} key - キー
+   * @returns {Promise<void>}
+   */
+  async delete(namespace, key) {
+    const data = await this.load(namespace);
+    if (data.delete(key)) {
+      await this.persist(namespace);
+    }
+  }
+
+  /**
+   * 名前空間のすべての値を取得する
+   * @param {string} namespace - 名前空間
+   * @returns {Promise<Array<[string, Object]>>} [キー, 値]の一覧
+   */
+  async entries(namespace) {
+    const data = await this.load(namespace);
+    return [...data.entries()];
+  }
+}
+
+module.exports = FileStorageAdapter;
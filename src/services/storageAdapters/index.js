@@ -0,0 +1,30 @@
+const FileStorageAdapter = require('./fileStorage');
+const MemoryStorageAdapter = require('./memoryStorage');
+
+// 利用できるストレージ（config.storage.adapterで選択）
+const ADAPTERS = {
+  file: FileStorageAdapter,
+  memory: MemoryStorageAdapter,
+};
+
+/**
+ * ストレージを作成する
+ * ストレージは名前空間（sessions、jobsなど）ごとにキーと値（JSONに変換できるオブジェクト）を保存する
+ * - get(namespace, key): 値（ない場合はnull）
+ * - set(namespace, key, value): 値を保存
+ * - delete(namespace, key): 値を削除
+ * - entries(namespace): [キー, 値]の一覧
+ * @param {string} name - ストレージ名（file | memory）
+ * @returns {FileStorageAdapter|MemoryStorageAdapter} ストレージ
+ */
+function createStorageAdapter(name) {
+  const Adapter = ADAPTERS[name];
+  if (!Adapter) {
+    throw new Error(`未対応のストレージです: ${name}（${Object.keys(ADAPTERS).join(', ')}のいずれかを指定してください）`);
+  }
+  return new Adapter();
+}
+
+module.exports = {
+  createStorageAdapter
+};
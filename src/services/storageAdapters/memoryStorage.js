@@ -0,0 +1,63 @@
+/**
+ * メモリ上に保存するストレージ（再起動で消える。テスト用）
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.namespaces = new Map();
+  }
+
+  /**
+   * 名前空間のデータを取得する
+   * @param {string} namespace - 名前空間
+   * @returns {Map<string, Object>} データ
+   */
+  getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  /**
+   * 値を取得する
+   * @param {string} namespace - 名前空間
+   * @param {string} key - キー
+   * @returns {Promise<Object|null>} 値（ない場合はnull）
+   */
+  async get(namespace, key) {
+    return this.getNamespace(namespace).get(key) ?? null;
+  }
+
+  /**
+   * 値を保存する
+   * @param {string} namespace - 名前空間
+   * @param {string} key - キー
+   * @param {Object} value - 値（JSONに変換できるもの）
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value) {
+    this.getNamespace(namespace).set(key, value);
+  }
+
+  /**
+   * 値を削除する
+   * @param {string} namespace - 名前空間
+   * @param {string} key - キー
+   * @returns {Promise<void>}
+   */
+  async delete(namespace, key) {
+    this.getNamespace(namespace).delete(key);
+  }
+
+  /**
+   * 名前空間のすべての値を取得する
+   * @param {string} namespace - 名前空間
+   * @returns {Promise<Array<[string, Object]>>} [キー, 値]の一覧
+   */
+  async entries(namespace) {
+    return [...this.getNamespace(namespace).entries()];
+  }
+}
+
+module.exports = MemoryStorageAdapter;
@@ -0,0 +1,117 @@
+const settingsService = require('./settingsService');
+
+// デバッグログの設定
+const debugLog = (message, ...args) => {
+  console.log(`[DEBUG] ${message}`, ...args);
+};
+
+// 1件の交通費として入力できる区間数の上限（乗り換え・経由を含む）
+const MAX_LEGS = 3;
+
+/**
+ * 交通費（経路）の運賃計算と、明細に記入する内容の作成
+ */
+class TransitService {
+  constructor() {
+    this.maxLegs = MAX_LEGS;
+  }
+
+  /**
+   * 比較用に駅名の表記をそろえる
+   * @param {string} name 駅名
+   * @returns {string} 全角・半角と空白、末尾の「駅」を除いた駅名
+   */
+  normalizeStation(name) {
+    return (name || '').normalize('NFKC').replace(/\s+/g, '').replace(/駅$/, '');
+  }
+
+  /**
+   * 運賃表から片道運賃を検索する（逆方向の区間も対象）
+   * @param {string} from 出発
+   * @param {string} to 到着
+   * @returns {Promise<{fare: number, line: string}|null>} 運賃と路線（見つからない場合はnull）
+   */
+  async findFare(from, to) {
+    const origin = this.normalizeStation(from);
+    const destination = this.normalizeStation(to);
+    const fares = await settingsService.getFares();
+
+    const found = fares.find(item => {
+      const itemFrom = this.normalizeStation(item.from);
+      const itemTo = this.normalizeStation(item.to);
+      return (itemFrom === origin && itemTo === destination) || (itemFrom === destination && itemTo === origin);
+    });
+
+    return found ? { fare: found.fare, line: found.line } : null;
+  }
+
+  /**
+   * 区間ごとの運賃を決める（入力がない区間は運賃表から検索）
+   * @param {Array<{from: string, to: string, fare: number|null}>} legs 区間
+   * @returns {Promise<Array<{from: string, to: string, fare: number|null, line: string}>>} 運賃を補った区間（見つからない場合のfareはnull）
+   */
+  async resolveFares(legs) {
+    const resolved = [];
+    for (const leg of legs) {
+      if (Number.isInteger(leg.fare)) {
+        resolved.push({ ...leg, line: '' });
+        continue;
+      }
+
+      const found = await this.findFare(leg.from, leg.to);
+      debugLog(`Fare for ${leg.from} → ${leg.to}:`, found);
+      resolved.push({ ...leg, fare: found ? found.fare : null, line: found ? found.line : '' });
+    }
+    return resolved;
+  }
+
+  /**
+   * 経路を表示用の文字列にする（続いている区間は「新宿→渋谷→品川」のようにつなげる）
+   * @param {Array<{from: string, to: string}>} legs 区間
+   * @returns {string} 経路
+   */
+  formatRoute(legs) {
+    const parts = [];
+    for (const leg of legs) {
+      const last = parts[parts.length - 1];
+      if (last && this.normalizeStation(last[last.length - 1]) === this.normalizeStation(leg.from)) {
+        last.push(leg.to);
+      } else {
+        parts.push([leg.from, leg.to]);
+      }
+    }
+    return parts.map(stations => stations.join('→')).join('、');
+  }
+
+  /**
+   * 交通費の明細を作成する
+   * 内容には利用目的と経路、備考には区間ごとの運賃の内訳を記入する
+   * @param {Object} params パラメータ
+   * @param {string} params.purpose 利用目的
+   * @param {Array<{from: string, to: string, fare: number, line?: string}>} params.legs 運賃を決めた区間
+   * @param {boolean} [params.roundTrip] 往復かどうか
+   * @param {number} [params.passDeduction] 定期区間の控除額
+   * @returns {{amount: number, details: string, memo: string}} 金額・内容・備考
+   */
+  buildEntry({ purpose, legs, roundTrip = false, passDeduction = 0 }) {
+    const oneWay = legs.reduce((sum, leg) => sum + leg.fare, 0);
+    const amount = oneWay * (roundTrip ? 2 : 1) - passDeduction;
+
+    const route = `${this.formatRoute(legs)}${roundTrip ? ' 往復' : ''}`;
+    const breakdown = legs.map(leg => `${leg.from}→${leg.to} ¥${leg.fare.toLocaleString()}${leg.line ? `（${leg.line}）` : ''}`);
+    if (roundTrip) {
+      breakdown.push('往復 ×2');
+    }
+    if (passDeduction > 0) {
+      breakdown.push(`定期区間控除 -¥${passDeduction.toLocaleString()}`);
+    }
+
+    return {
+      amount,
+      details: `${purpose}（${route}）`,
+      memo: breakdown.join(' / '),
+    };
+  }
+}
+
+module.exports = new TransitService();
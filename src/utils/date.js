@@ -0,0 +1,45 @@
+// 日本時間との時差
+const JST_OFFSET = 9 * 60 * 60 * 1000;
+
+/**
+ * 日本時間の今日の日付を取得する
+ * @param {Date} [now] 現在時刻
+ * @returns {{date: string, yearMonth: string, day: number, hour: number}} YYYY-MM-DD形式の日付・YYYY-MM形式の年月・日・時
+ */
+function getJstToday(now = new Date()) {
+  const jst = new Date(now.getTime() + JST_OFFSET);
+  const date = jst.toISOString().substring(0, 10);
+  return {
+    date,
+    yearMonth: date.substring(0, 7),
+    day: jst.getUTCDate(),
+    hour: jst.getUTCHours(),
+  };
+}
+
+/**
+ * 月の日数（末日）を取得する
+ * @param {string} yearMonth YYYY-MM形式の年月
+ * @returns {number} 末日
+ */
+function getLastDayOfMonth(yearMonth) {
+  const [year, month] = yearMonth.split('-').map(value => parseInt(value, 10));
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * 年月を月単位でずらす
+ * @param {string} yearMonth YYYY-MM形式の年月
+ * @param {number} months ずらす月数（前月は-1）
+ * @returns {string} YYYY-MM形式の年月
+ */
+function addMonths(yearMonth, months) {
+  const [year, month] = yearMonth.split('-').map(value => parseInt(value, 10));
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().substring(0, 7);
+}
+
+module.exports = {
+  getJstToday,
+  getLastDayOfMonth,
+  addMonths
+};
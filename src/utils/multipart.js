@@ -0,0 +1,57 @@
+/**
+ * multipart/form-dataのリクエストボディを解析する
+ * @param {Buffer} body リクエストボディ
+ * @param {string} contentType Content-Typeヘッダー
+ * @returns {{fields: Object<string, string>, files: Array<{fieldName: string, fileName: string, mimeType: string, content: Buffer}>}} フィールドとファイル
+ */
+function parseMultipart(body, contentType) {
+  const match = (contentType || '').match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!match) {
+    throw new Error('multipartのboundaryが指定されていません');
+  }
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const headerEnd = Buffer.from('\r\n\r\n');
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // 終端（--boundary--）
+    if (body.slice(partStart, partStart + 2).toString() === '--') break;
+
+    const end = body.indexOf(delimiter, partStart);
+    if (end === -1) break;
+
+    // 区切りの直後と次の区切りの直前のCRLFを除く
+    const part = body.slice(partStart + 2, end - 2);
+    const separator = part.indexOf(headerEnd);
+    if (separator !== -1) {
+      const headers = part.slice(0, separator).toString('utf8');
+      const content = part.slice(separator + headerEnd.length);
+      const name = headers.match(/name="([^"]*)"/i)?.[1];
+      const fileName = headers.match(/filename="([^"]*)"/i)?.[1];
+      const mimeType = headers.match(/content-type:\s*([^\r\n;]+)/i)?.[1]?.trim();
+
+      if (name && fileName !== undefined) {
+        files.push({
+          fieldName: name,
+          fileName,
+          mimeType: mimeType || 'application/octet-stream',
+          content
+        });
+      } else if (name) {
+        fields[name] = content.toString('utf8');
+      }
+    }
+
+    start = end;
+  }
+
+  return { fields, files };
+}
+
+module.exports = {
+  parseMultipart
+};
@@ -1,4 +1,4 @@
-const { jest, afterAll } = require('@jest/globals');
+const { afterAll } = require('@jest/globals');
 
 // テスト用の環境変数を設定
 process.env.GOOGLE_CLIENT_EMAIL = 'test@example.com';
@@ -0,0 +1,129 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
+const { OperationError } = require('../src/utils/errors');
+const settingsService = require('../src/services/settingsService');
+const sheetsService = require('../src/services/sheetsService');
+const approvalService = require('../src/services/approvalService');
+const exportService = require('../src/services/exportService');
+const adminService = require('../src/services/adminService');
+
+// モックデータ
+const USERS = [
+  { user_id: 'U123456', spreadsheet_id: 'sheet_1', email: 'a@example.com' },
+  { user_id: 'U999999', spreadsheet_id: 'sheet_2', email: 'b@example.com' },
+  { user_id: 'U000000', spreadsheet_id: 'sheet_3', email: '' }
+];
+const MONTHS = {
+  U123456: {
+    yearMonth: '2025-02',
+    entries: [
+      { date: '2025-02-03', amount: 2000, category: '旅費交通費' },
+      { date: '2025-02-10', amount: 1000, category: '会議費' }
+    ],
+    sheetCount: 1,
+    sheetUrl: 'https://docs.google.com/spreadsheets/d/sheet_1/edit#gid=1'
+  },
+  U999999: {
+    yearMonth: '2025-02',
+    entries: [{ date: '2025-02-03', amount: 500, category: '旅費交通費' }],
+    sheetCount: 1,
+    sheetUrl: 'https://docs.google.com/spreadsheets/d/sheet_2/edit#gid=2'
+  }
+};
+
+// 各サービスのメソッドを一時的にモックに置き換える
+const originals = {
+  getAllUserSettings: settingsService.getAllUserSettings,
+  getAdminIds: settingsService.getAdminIds,
+  getEntriesByMonths: sheetsService.getEntriesByMonths,
+  getStatus: sheetsService.getStatus,
+  getApproval: approvalService.getApproval,
+  getExportedReport: exportService.getExportedReport,
+  sheets: adminService.sheets
+};
+let writes;
+beforeEach(() => {
+  writes = [];
+  settingsService.getAllUserSettings = async () => USERS;
+  settingsService.getAdminIds = async () => ['U123456'];
+  sheetsService.getEntriesByMonths = async (userId) => {
+    if (!MONTHS[userId]) throw new Error('スプレッドシートにアクセスできません');
+    return [MONTHS[userId]];
+  };
+  // getStatusは月のシートがないと作成するため、管理者の参照では使わない
+  sheetsService.getStatus = async () => assert.fail('should not create user sheets');
+  approvalService.getApproval = async (userId) => ({ status: userId === 'U123456' ? 'approved' : 'draft' });
+  exportService.getExportedReport = async (userId) =>
+    userId === 'U123456' ? { fileUrl: 'https://drive.google.com/file/d/pdf_1/view', exportedAt: '2025-03-01' } : null;
+  adminService.sheets = {
+    spreadsheets: {
+      get: async () => ({ data: { sheets: [{ properties: { title: 'user_settings', sheetId: 0 } }] } }),
+      batchUpdate: async () => ({ data: { replies: [{ addSheet: { properties: { title: 'summary_2025_02', sheetId: 42 } } }] } }),
+      values: {
+        clear: async () => assert.fail('should not clear new sheet'),
+        update: async (params) => {
+          writes.push(params);
+          return {};
+        }
+      }
+    }
+  };
+});
+afterEach(() => {
+  settingsService.getAllUserSettings = originals.getAllUserSettings;
+  settingsService.getAdminIds = originals.getAdminIds;
+  sheetsService.getEntriesByMonths = originals.getEntriesByMonths;
+  sheetsService.getStatus = originals.getStatus;
+  approvalService.getApproval = originals.getApproval;
+  exportService.getExportedReport = originals.getExportedReport;
+  adminService.sheets = originals.sheets;
+});
+
+describe('AdminService', () => {
+  describe('getMonthOverview', () => {
+    it('should continue when a user spreadsheet fails', async () => {
+      const overview = await adminService.getMonthOverview('2025-02');
+
+      assert.deepStrictEqual(overview.map(item => [item.userId, item.total, item.approvalStatus]), [
+        ['U123456', 3000, 'approved'],
+        ['U999999', 500, 'draft'],
+        ['U000000', 0, 'draft']
+      ]);
+      assert.strictEqual(overview[0].exported.fileUrl, 'https://drive.google.com/file/d/pdf_1/view');
+      assert.strictEqual(overview[0].lastUpdate, '2025-02-10');
+      assert.strictEqual(overview[1].sheetUrl, 'https://docs.google.com/spreadsheets/d/sheet_2/edit#gid=2');
+      assert.strictEqual(overview[2].error, 'スプレッドシートにアクセスできません');
+    });
+  });
+
+  describe('writeSummary', () => {
+    it('should write users with category columns and totals', async () => {
+      const overview = await adminService.getMonthOverview('2025-02');
+      const result = await adminService.writeSummary('2025-02', overview);
+
+      assert.deepStrictEqual(result, {
+        sheetUrl: 'https://docs.google.com/spreadsheets/d/' + adminService.spreadsheetId + '/edit#gid=42',
+        userCount: 3,
+        total: 3500
+      });
+
+      const [header, first, second, failed, total] = writes[0].resource.values;
+      assert.strictEqual(writes[0].range, 'summary_2025_02!A1');
+      assert.deepStrictEqual(header.slice(8), ['旅費交通費', '会議費']);
+      assert.deepStrictEqual(first.slice(2, 6), [2, 3000, '承認済み', 'https://drive.google.com/file/d/pdf_1/view']);
+      assert.deepStrictEqual(second.slice(8), [500, 0]);
+      assert.strictEqual(failed[4], '取得失敗: スプレッドシートにアクセスできません');
+      assert.deepStrictEqual(total, ['合計', '', 3, 3500, '', '', '', '', 2500, 1000]);
+    });
+  });
+
+  describe('assertAdmin', () => {
+    it('should reject users not in admins sheet', async () => {
+      await settingsService.assertAdmin('U123456');
+      await assert.rejects(
+        settingsService.assertAdmin('U999999'),
+        (error) => error instanceof OperationError && error.operation === 'assertAdmin'
+      );
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
+const { OperationError } = require('../src/utils/errors');
+const approvalService = require('../src/services/approvalService');
+
+// モックデータ
+const TEST_USER_ID = 'U123456';
+const TEST_APPROVER_ID = 'U654321';
+const TEST_PDF_URL = 'https://drive.google.com/file/d/test_pdf/view';
+
+// approvalsシートの行を保持するGoogle APIのモック
+let rows;
+const appended = [];
+const mockSheets = {
+  spreadsheets: {
+    get: async () => ({
+      data: { sheets: [{ properties: { title: 'approvals' } }] }
+    }),
+    values: {
+      get: async () => ({ data: { values: rows } }),
+      append: async ({ resource }) => {
+        appended.push(...resource.values);
+        rows.push(...resource.values);
+        return {};
+      }
+    }
+  }
+};
+
+// approvalServiceのsheetsプロパティを一時的にモックに置き換える
+const originalSheets = approvalService.sheets;
+beforeEach(() => {
+  rows = [
+    [TEST_USER_ID, '2025-01', 'submitted', TEST_APPROVER_ID, TEST_USER_ID, TEST_PDF_URL, '', '2025-02-01T00:00:00Z'],
+    [TEST_USER_ID, '2025-01', 'approved', TEST_APPROVER_ID, TEST_APPROVER_ID, TEST_PDF_URL, '', '2025-02-02T00:00:00Z'],
+    [TEST_USER_ID, '2025-02', 'submitted', TEST_APPROVER_ID, TEST_USER_ID, TEST_PDF_URL, '', '2025-03-01T00:00:00Z']
+  ];
+  appended.length = 0;
+  approvalService.sheets = mockSheets;
+  approvalService.sheetReady = false;
+});
+afterEach(() => {
+  approvalService.sheets = originalSheets;
+});
+
+describe('ApprovalService', () => {
+  describe('getApproval', () => {
+    it('should return latest status for the month', async () => {
+      const approval = await approvalService.getApproval(TEST_USER_ID, '2025-01');
+      assert.strictEqual(approval.status, 'approved');
+      assert.strictEqual(approval.actorId, TEST_APPROVER_ID);
+    });
+
+    it('should return draft when never submitted', async () => {
+      const approval = await approvalService.getApproval(TEST_USER_ID, '2025-03');
+      assert.strictEqual(approval.status, 'draft');
+    });
+  });
+
+  describe('submit', () => {
+    it('should append submitted record', async () => {
+      await approvalService.submit({
+        userId: TEST_USER_ID,
+        yearMonth: '2025-03',
+        approverId: TEST_APPROVER_ID,
+        pdfUrl: TEST_PDF_URL
+      });
+
+      assert.strictEqual(appended.length, 1);
+      assert.deepStrictEqual(appended[0].slice(0, 6), [TEST_USER_ID, '2025-03', 'submitted', TEST_APPROVER_ID, TEST_USER_ID, TEST_PDF_URL]);
+    });
+
+    it('should revert to draft when the approver cannot be notified', async () => {
+      await assert.rejects(
+        approvalService.submit({
+          userId: TEST_USER_ID,
+          yearMonth: '2025-03',
+          approverId: TEST_APPROVER_ID,
+          pdfUrl: TEST_PDF_URL,
+          notify: async () => { throw new Error('channel_not_found'); }
+        }),
+        (error) => error instanceof OperationError && error.operation === 'submitApproval'
+      );
+
+      assert.deepStrictEqual(appended.map(row => row[2]), ['submitted', 'draft']);
+      const approval = await approvalService.getApproval(TEST_USER_ID, '2025-03');
+      assert.strictEqual(approval.status, 'draft');
+
+      // 取り消した月は再申請できる
+      let notified = false;
+      await approvalService.submit({
+        userId: TEST_USER_ID,
+        yearMonth: '2025-03',
+        approverId: TEST_APPROVER_ID,
+        pdfUrl: TEST_PDF_URL,
+        notify: async () => { notified = true; }
+      });
+      assert.strictEqual(notified, true);
+      assert.strictEqual((await approvalService.getApproval(TEST_USER_ID, '2025-03')).status, 'submitted');
+    });
+
+    it('should reject month already submitted or approved', async () => {
+      for (const yearMonth of ['2025-01', '2025-02']) {
+        try {
+          await approvalService.submit({ userId: TEST_USER_ID, yearMonth, approverId: TEST_APPROVER_ID, pdfUrl: TEST_PDF_URL });
+          assert.fail('Expected error was not thrown');
+        } catch (error) {
+          assert(error instanceof OperationError);
+          assert.strictEqual(error.operation, 'submitApproval');
+        }
+      }
+      assert.strictEqual(appended.length, 0);
+    });
+  });
+
+  describe('decide', () => {
+    it('should record rejection with reason', async () => {
+      const result = await approvalService.decide({
+        userId: TEST_USER_ID,
+        yearMonth: '2025-02',
+        actorId: TEST_APPROVER_ID,
+        approved: false,
+        reason: '領収書が不足しています'
+      });
+
+      assert.strictEqual(result.status, 'rejected');
+      assert.strictEqual(result.pdfUrl, TEST_PDF_URL);
+      assert.strictEqual(appended[0][2], 'rejected');
+      assert.strictEqual(appended[0][6], '領収書が不足しています');
+    });
+
+    it('should allow only the requested approver', async () => {
+      try {
+        await approvalService.decide({ userId: TEST_USER_ID, yearMonth: '2025-02', actorId: 'U999999', approved: true });
+        assert.fail('Expected error was not thrown');
+      } catch (error) {
+        assert(error instanceof OperationError);
+        assert.strictEqual(error.operation, 'decideApproval');
+      }
+    });
+
+    it('should reject month that is not waiting for approval', async () => {
+      try {
+        await approvalService.decide({ userId: TEST_USER_ID, yearMonth: '2025-01', actorId: TEST_APPROVER_ID, approved: true });
+        assert.fail('Expected error was not thrown');
+      } catch (error) {
+        assert(error instanceof OperationError);
+        assert.strictEqual(error.operation, 'decideApproval');
+      }
+    });
+  });
+
+  describe('assertWritable', () => {
+    it('should throw for approved month', async () => {
+      try {
+        await approvalService.assertWritable(TEST_USER_ID, '2025-01');
+        assert.fail('Expected error was not thrown');
+      } catch (error) {
+        assert(error instanceof OperationError);
+        assert.strictEqual(error.operation, 'assertWritable');
+      }
+    });
+
+    it('should allow submitted and draft months', async () => {
+      await approvalService.assertWritable(TEST_USER_ID, '2025-02');
+      await approvalService.assertWritable(TEST_USER_ID, '2025-03');
+    });
+  });
+});
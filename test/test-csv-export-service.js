@@ -0,0 +1,116 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
+const iconv = require('iconv-lite');
+const { OperationError } = require('../src/utils/errors');
+const sheetsService = require('../src/services/sheetsService');
+const driveService = require('../src/services/driveService');
+const csvExportService = require('../src/services/csvExportService');
+
+// モックデータ
+const TEST_USER_ID = 'U123456';
+const ENTRIES = [
+  { no: '1', date: '2025-02-03', amount: 1100, details: 'タクシー代', memo: '', category: '旅費交通費', taxRate: 10, taxAmount: 100, invoiceNumber: 'T1234567890123' },
+  { no: '2', date: '2025-02-10', amount: 1080, details: '会議用の弁当, お茶', memo: '"A社"打合せ', category: '会議費', taxRate: 8, taxAmount: null, invoiceNumber: '' },
+  { no: '3', date: '2025-02-20', amount: 500, details: '切手', memo: '', category: '', taxRate: null, taxAmount: null, invoiceNumber: '' }
+];
+
+// sheetsService・driveServiceのメソッドを一時的にモックに置き換える
+const originalGetList = sheetsService.getList;
+const originalReplaceFile = driveService.replaceFile;
+let saved;
+beforeEach(() => {
+  saved = [];
+  sheetsService.getList = async (userId, yearMonth) => ({
+    yearMonth,
+    entries: yearMonth === '2025-02' ? ENTRIES : [],
+    total: yearMonth === '2025-02' ? 2680 : 0
+  });
+  driveService.replaceFile = async (userId, yearMonth, content, fileName, mimeType) => {
+    saved.push({ yearMonth, content, fileName, mimeType });
+    return { id: 'csv_1', name: fileName, webViewLink: 'https://drive.google.com/file/d/csv_1/view' };
+  };
+});
+afterEach(() => {
+  sheetsService.getList = originalGetList;
+  driveService.replaceFile = originalReplaceFile;
+});
+
+describe('CsvExportService', () => {
+  describe('parseFormat', () => {
+    it('should accept aliases and default to freee', () => {
+      assert.strictEqual(csvExportService.parseFormat(), 'freee');
+      assert.strictEqual(csvExportService.parseFormat('MoneyForward'), 'mf');
+      assert.strictEqual(csvExportService.parseFormat('弥生'), 'yayoi');
+      assert.strictEqual(csvExportService.parseFormat('kaikei'), null);
+    });
+  });
+
+  describe('buildCsv', () => {
+    it('should map category to debit and 未払金 to credit', () => {
+      const lines = csvExportService.buildCsv(ENTRIES, 'freee').split('\r\n');
+
+      assert.strictEqual(lines[0], '日付,伝票番号,借方勘定科目,借方税区分,借方金額,借方税額,貸方勘定科目,貸方税区分,貸方金額,貸方税額,摘要,備考');
+      assert.strictEqual(lines[1], '2025/02/03,1,旅費交通費,課対仕入10%,1100,100,未払金,対象外,1100,0,タクシー代,T1234567890123');
+      // 税額は税込金額から計算し、カンマ・ダブルクォートを含む値はエスケープする
+      assert.strictEqual(lines[2], '2025/02/10,2,会議費,課対仕入8%（軽）,1080,80,未払金,対象外,1080,0,"会議用の弁当, お茶","""A社""打合せ"');
+      assert.strictEqual(lines[3], '2025/02/20,3,雑費,,500,0,未払金,対象外,500,0,切手,');
+      assert.strictEqual(lines[4], '');
+    });
+
+    it('should write yayoi rows without header', () => {
+      const lines = csvExportService.buildCsv(ENTRIES, 'yayoi').split('\r\n');
+      const columns = lines[0].split(',');
+
+      assert.strictEqual(lines.length, 4);
+      assert.strictEqual(columns.length, 25);
+      assert.deepStrictEqual(columns.slice(0, 11), ['2000', '1', '', '2025/02/03', '旅費交通費', '', '', '課対仕入込10%', '1100', '100', '未払金']);
+    });
+
+    it('should mark qualified invoices for mf', () => {
+      const [header, first, second] = csvExportService.buildCsv(ENTRIES, 'mf').split('\r\n').map(line => line.split(','));
+      const invoiceColumn = header.indexOf('借方インボイス');
+
+      assert.strictEqual(first[invoiceColumn], '適格');
+      assert.strictEqual(second[invoiceColumn], '');
+    });
+  });
+
+  describe('exportJournalCsv', () => {
+    it('should save Shift_JIS CSV to month folder', async () => {
+      const result = await csvExportService.exportJournalCsv(TEST_USER_ID, '2025-02', 'yayoi');
+
+      assert.strictEqual(saved[0].fileName, '仕訳_yayoi_2025-02.csv');
+      assert.strictEqual(saved[0].mimeType, 'text/csv');
+      assert.strictEqual(iconv.decode(saved[0].content, 'Shift_JIS'), csvExportService.buildCsv(ENTRIES, 'yayoi'));
+      assert.notStrictEqual(saved[0].content.toString('utf8'), csvExportService.buildCsv(ENTRIES, 'yayoi'));
+      assert.strictEqual(result.count, 3);
+      assert.strictEqual(result.total, 2680);
+      assert.deepStrictEqual(result.uncategorized.map(entry => entry.no), ['3']);
+      assert.deepStrictEqual(result.unencodable, []);
+    });
+
+    it('should convert JIS symbols to CP932 and report characters that become ?', async () => {
+      const entries = [
+        { ...ENTRIES[0], details: '髙島屋 ①', memo: '10時〜12時 −1' },
+        { ...ENTRIES[1], details: 'カフェ☕', memo: '' }
+      ];
+      sheetsService.getList = async (userId, yearMonth) => ({ yearMonth, entries, total: 2180 });
+
+      const result = await csvExportService.exportJournalCsv(TEST_USER_ID, '2025-02', 'freee');
+      const lines = iconv.decode(saved[0].content, 'cp932').split('\r\n');
+
+      assert(lines[1].includes('髙島屋 ①'));
+      assert(lines[1].includes('10時～12時 －1'));
+      assert(lines[2].includes('カフェ?'));
+      assert.deepStrictEqual(result.unencodable.map(({ entry, chars }) => [entry.no, chars]), [['2', ['☕']]]);
+    });
+
+    it('should reject months without entries', async () => {
+      await assert.rejects(
+        csvExportService.exportJournalCsv(TEST_USER_ID, '2025-03', 'freee'),
+        (error) => error instanceof OperationError && error.operation === 'exportJournalCsv'
+      );
+      assert.strictEqual(saved.length, 0);
+    });
+  });
+});
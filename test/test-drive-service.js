@@ -1,6 +1,12 @@
 const assert = require('assert');
-const { describe, it, beforeEach, afterEach, jest } = require('@jest/globals');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
 const { OperationError } = require('../src/utils/errors');
+
+// settingsServiceのモック（jest.mockは巻き上げられないため読み込みより前に設定する）
+jest.mock('../src/services/settingsService', () => ({
+  getUserEmail: async () => TEST_EMAIL
+}));
+
 const driveService = require('../src/services/driveService');
 const settingsService = require('../src/services/settingsService');
 
@@ -45,11 +51,6 @@ const mockDrive = {
   }
 };
 
-// settingsServiceのモック
-jest.mock('../src/services/settingsService', () => ({
-  getUserEmail: async () => TEST_EMAIL
-}));
-
 // driveServiceのdriveプロパティを一時的にモックに置き換える
 const originalDrive = driveService.drive;
 beforeEach(() => {
@@ -131,6 +132,25 @@ describe('DriveService', () => {
     });
   });
 
+  describe('findMonthFolder', () => {
+    it('should return null without creating folders when not found', async () => {
+      driveService.drive = {
+        files: {
+          list: async () => ({ data: { files: [] } }),
+          create: async () => assert.fail('should not create folders')
+        }
+      };
+
+      const folderId = await driveService.findMonthFolder(TEST_USER_ID, '2025-02');
+      assert.strictEqual(folderId, null);
+    });
+
+    it('should return existing month folder ID', async () => {
+      const folderId = await driveService.findMonthFolder(TEST_USER_ID, '2025-02');
+      assert.strictEqual(folderId, TEST_FOLDER_ID);
+    });
+  });
+
   describe('deleteFileByName', () => {
     it('should delete existing file', async () => {
       await driveService.deleteFileByName(TEST_FOLDER_ID, 'test.pdf');
@@ -160,6 +180,71 @@ describe('DriveService', () => {
     });
   });
 
+  describe('extractFileId', () => {
+    it('should extract file ID from share link', () => {
+      assert.strictEqual(
+        driveService.extractFileId(`https://drive.google.com/file/d/${TEST_FILE_ID}/view?usp=drivesdk`),
+        TEST_FILE_ID
+      );
+      assert.strictEqual(
+        driveService.extractFileId(`https://drive.google.com/open?id=${TEST_FILE_ID}`),
+        TEST_FILE_ID
+      );
+    });
+
+    it('should return null for empty or unknown URL', () => {
+      assert.strictEqual(driveService.extractFileId(''), null);
+      assert.strictEqual(driveService.extractFileId('領収書フォルダ'), null);
+    });
+  });
+
+  describe('deleteFile', () => {
+    it('should delete file by ID', async () => {
+      await driveService.deleteFile(TEST_USER_ID, TEST_FILE_ID);
+      // 例外が発生しなければ成功
+    });
+
+    it('should throw OperationError on failure', async () => {
+      const errorDrive = {
+        files: {
+          delete: async () => { throw new Error('API Error'); }
+        }
+      };
+      driveService.drive = errorDrive;
+
+      try {
+        await driveService.deleteFile(TEST_USER_ID, TEST_FILE_ID);
+        assert.fail('Expected error was not thrown');
+      } catch (error) {
+        assert(error instanceof OperationError);
+        assert.strictEqual(error.operation, 'deleteFile');
+      }
+    });
+  });
+
+  describe('getUniqueFileName', () => {
+    it('should check file names on every page', async () => {
+      const requests = [];
+      driveService.drive = {
+        ...mockDrive,
+        files: {
+          ...mockDrive.files,
+          list: async (params) => {
+            requests.push(params);
+            return params.pageToken
+              ? { data: { files: [{ name: 'image (2).png' }] } }
+              : { data: { files: [{ name: 'image.png' }], nextPageToken: 'page_2' } };
+          }
+        }
+      };
+
+      const fileName = await driveService.getUniqueFileName(TEST_FOLDER_ID, 'image.png');
+
+      assert.strictEqual(fileName, 'image (3).png');
+      assert.deepStrictEqual(requests.map(request => request.pageToken), [undefined, 'page_2']);
+    });
+  });
+
   describe('uploadFile', () => {
     it('should upload file and return file info', async () => {
       const result = await driveService.uploadFile(
@@ -174,6 +259,46 @@ describe('DriveService', () => {
       assert(result.webViewLink.includes(TEST_FILE_ID));
     });
 
+    it('should number the name and report earlier uploads of the same content', async () => {
+      const earlier = { id: 'earlier_file_id', name: 'image.png', webViewLink: 'https://drive.google.com/file/d/earlier_file_id/view' };
+      let created = null;
+      driveService.drive = {
+        ...mockDrive,
+        files: {
+          ...mockDrive.files,
+          list: async ({ q }) => {
+            if (q.includes('sha256')) {
+              return { data: { files: [earlier] } };
+            }
+            if (!q.includes('vnd.google-apps.folder')) {
+              return { data: { files: [{ name: 'image.png' }, { name: 'image (2).png' }] } };
+            }
+            return { data: { files: [{ id: TEST_FOLDER_ID }] } };
+          },
+          create: async (params) => {
+            created = params.resource;
+            return mockDrive.files.create(params);
+          }
+        }
+      };
+
+      const result = await driveService.uploadFile(
+        TEST_USER_ID,
+        '2025-02',
+        Buffer.from('test'),
+        'image.png',
+        'image/png'
+      );
+
+      assert.strictEqual(result.name, 'image (3).png');
+      assert.strictEqual(created.name, 'image (3).png');
+      assert.deepStrictEqual(created.appProperties, {
+        userId: TEST_USER_ID,
+        sha256: driveService.hashContent(Buffer.from('test'))
+      });
+      assert.deepStrictEqual(result.duplicates, [earlier]);
+    });
+
     it('should throw OperationError on failure', async () => {
       const errorDrive = {
         files: {
@@ -0,0 +1,44 @@
+const assert = require('assert');
+const { describe, it } = require('@jest/globals');
+
+// 画像変換は使用しないためsharpはモックにする
+jest.mock('sharp', () => Object.assign(jest.fn(), { format: {} }));
+
+const exportService = require('../src/services/exportService');
+
+// モックデータ
+const RECEIPTS = [
+  { id: 'file_a', name: 'a.jpg' },
+  { id: 'file_b', name: 'b.pdf' }
+];
+const entry = (no, fileUrl) => ({ no, date: '2025-02-01', amount: 1000, details: `明細${no}`, fileUrl });
+
+describe('ExportService', () => {
+  describe('orderReceiptsByEntries', () => {
+    it('should order receipts by rows and separate rows without a receipt link', () => {
+      const { orderedReceipts, missingEntries, entriesWithoutReceipt } = exportService.orderReceiptsByEntries(RECEIPTS, [
+        entry(1, 'https://drive.google.com/file/d/file_b/view'),
+        entry(2, ''),
+        entry(3, 'https://drive.google.com/file/d/file_a/view')
+      ]);
+
+      assert.deepStrictEqual(orderedReceipts.map(item => [item.entry.no, item.receipt.id]), [[1, 'file_b'], [3, 'file_a']]);
+      assert.deepStrictEqual(missingEntries, []);
+      assert.deepStrictEqual(entriesWithoutReceipt.map(item => item.no), [2]);
+    });
+
+    it('should report only links that do not match a receipt', () => {
+      const { orderedReceipts, missingEntries, entriesWithoutReceipt } = exportService.orderReceiptsByEntries(RECEIPTS, [
+        entry(1, 'https://drive.google.com/file/d/file_deleted/view'),
+        entry(2, 'https://example.com/receipt.pdf'),
+        entry(3, 'https://drive.google.com/file/d/file_a/view'),
+        // 同じ領収書を参照する2行目の行は警告しない
+        entry(4, 'https://drive.google.com/file/d/file_a/view')
+      ]);
+
+      assert.deepStrictEqual(orderedReceipts.map(item => item.entry.no), [3]);
+      assert.deepStrictEqual(missingEntries.map(item => item.no), [1, 2]);
+      assert.deepStrictEqual(entriesWithoutReceipt, []);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
+
+// ロックの記録はメモリに保存する
+process.env.STORAGE_ADAPTER = 'memory';
+const settingsService = require('../src/services/settingsService');
+const sheetsService = require('../src/services/sheetsService');
+const driveService = require('../src/services/driveService');
+const exportService = require('../src/services/exportService');
+
+// モックデータ
+const TEST_USER_ID = 'U123456';
+const MONTH_SHEETS = [
+  { sheetId: 101, title: '2025_02', page: 1 },
+  { sheetId: 102, title: '2025_02_2', page: 2 }
+];
+
+// Google APIと各サービスのメソッドを一時的にモックに置き換える
+const originals = {
+  drive: exportService.drive,
+  sheets: exportService.sheets,
+  getSpreadsheetId: settingsService.getSpreadsheetId,
+  listMonthSheets: sheetsService.listMonthSheets,
+  getMonthData: sheetsService.getMonthData,
+  getOrCreateMonthFolder: driveService.getOrCreateMonthFolder,
+  replaceFile: driveService.replaceFile
+};
+let calls;
+beforeEach(() => {
+  calls = { created: [], copied: [], batchUpdates: [], deleted: [], saved: [] };
+  exportService.drive = {
+    files: {
+      create: async ({ resource }) => {
+        calls.created.push(resource);
+        return { data: { id: 'temp_spreadsheet' } };
+      },
+      export: async ({ fileId, mimeType }) => {
+        assert.strictEqual(fileId, 'temp_spreadsheet');
+        assert.strictEqual(mimeType, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        return { data: Buffer.from('xlsx content') };
+      },
+      delete: async ({ fileId }) => {
+        calls.deleted.push(fileId);
+        return {};
+      }
+    }
+  };
+  exportService.sheets = {
+    spreadsheets: {
+      sheets: {
+        copyTo: async ({ spreadsheetId, sheetId, resource }) => {
+          calls.copied.push({ spreadsheetId, sheetId, destination: resource.destinationSpreadsheetId });
+          return { data: { sheetId: sheetId + 1000, title: `${sheetId} のコピー` } };
+        }
+      },
+      batchUpdate: async ({ spreadsheetId, resource }) => {
+        calls.batchUpdates.push({ spreadsheetId, requests: resource.requests });
+        return {};
+      }
+    }
+  };
+  settingsService.getSpreadsheetId = async () => 'user_spreadsheet';
+  sheetsService.listMonthSheets = async () => MONTH_SHEETS;
+  sheetsService.getMonthData = async () => ({ total: 5000, taxTotals: [{ taxRate: 10, count: 2, total: 5000, tax: 454 }] });
+  driveService.getOrCreateMonthFolder = async () => 'month_folder';
+  driveService.replaceFile = async (userId, yearMonth, content, fileName, mimeType) => {
+    calls.saved.push({ content, fileName, mimeType });
+    return { id: 'xlsx_file', name: fileName };
+  };
+});
+afterEach(() => {
+  exportService.drive = originals.drive;
+  exportService.sheets = originals.sheets;
+  settingsService.getSpreadsheetId = originals.getSpreadsheetId;
+  sheetsService.listMonthSheets = originals.listMonthSheets;
+  sheetsService.getMonthData = originals.getMonthData;
+  driveService.getOrCreateMonthFolder = originals.getOrCreateMonthFolder;
+  driveService.replaceFile = originals.replaceFile;
+});
+
+describe('ExportService xlsx', () => {
+  it('should copy month sheets to a temporary spreadsheet and export it', async () => {
+    const result = await exportService.exportExpenseReportXlsx(TEST_USER_ID, '2025-02');
+
+    assert.strictEqual(calls.created[0].parents[0], 'month_folder');
+    assert.deepStrictEqual(calls.copied.map(copy => copy.sheetId), [101, 102]);
+    assert.deepStrictEqual(calls.batchUpdates[0].requests, [
+      { updateSheetProperties: { properties: { sheetId: 1101, title: '2025_02' }, fields: 'title' } },
+      { updateSheetProperties: { properties: { sheetId: 1102, title: '2025_02_2' }, fields: 'title' } },
+      { deleteSheet: { sheetId: 0 } }
+    ]);
+    assert.deepStrictEqual(calls.deleted, ['temp_spreadsheet']);
+
+    assert.strictEqual(calls.saved[0].fileName, '経費精算書_2025-02.xlsx');
+    assert.strictEqual(calls.saved[0].content.toString(), 'xlsx content');
+    assert.deepStrictEqual(result, {
+      fileUrl: 'https://drive.google.com/file/d/xlsx_file/view',
+      sheetCount: 2,
+      total: 5000,
+      taxTotals: [{ taxRate: 10, count: 2, total: 5000, tax: 454 }]
+    });
+  });
+
+  it('should delete the temporary spreadsheet when export fails', async () => {
+    exportService.drive.files.export = async () => {
+      throw new Error('Export limit exceeded');
+    };
+
+    await assert.rejects(
+      exportService.exportExpenseReportXlsx(TEST_USER_ID, '2025-02'),
+      (error) => error.operation === 'exportExpenseReportXlsx'
+    );
+    assert.deepStrictEqual(calls.deleted, ['temp_spreadsheet']);
+    assert.strictEqual(calls.saved.length, 0);
+  });
+});
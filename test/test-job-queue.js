@@ -0,0 +1,125 @@
+const assert = require('assert');
+const { describe, it, beforeEach } = require('@jest/globals');
+
+// テストではメモリ上のストレージを使う
+process.env.STORAGE_ADAPTER = 'memory';
+
+const jobQueue = require('../src/services/jobQueue');
+const sessionService = require('../src/services/sessionService');
+const { SettingsError } = require('../src/utils/errors');
+
+// 条件を満たすまで待つ
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!(await predicate())) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const jobStatus = async (jobId) => (await sessionService.getJob(jobId)).status;
+
+describe('JobQueue', () => {
+  beforeEach(async () => {
+    sessionService.storage.namespaces.clear();
+    jobQueue.handlers.clear();
+    jobQueue.retryBaseDelay = 10;
+    await jobQueue.start();
+  });
+
+  it('should run job and keep progress in payload', async () => {
+    jobQueue.registerHandler('test', async (payload, { update }) => {
+      await update({ step: payload.value * 2 });
+    });
+
+    const job = await jobQueue.enqueue('test', 'U123', { value: 21 }, 'テスト');
+    await waitFor(async () => (await jobStatus(job.id)) === 'completed');
+
+    const saved = await sessionService.getJob(job.id);
+    assert.strictEqual(saved.attempts, 1);
+    assert.deepStrictEqual(saved.payload, { value: 21, step: 42 });
+  });
+
+  it('should retry failed job with backoff', async () => {
+    let calls = 0;
+    jobQueue.registerHandler('flaky', async () => {
+      calls++;
+      if (calls < 3) throw new Error('一時的なエラー');
+    });
+
+    const job = await jobQueue.enqueue('flaky', 'U123', {}, 'テスト');
+    await waitFor(async () => (await jobStatus(job.id)) === 'completed');
+
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(jobQueue.getRetryDelay(1), 10);
+    assert.strictEqual(jobQueue.getRetryDelay(3), 40);
+  });
+
+  it('should notify when all attempts fail', async () => {
+    const failures = [];
+    jobQueue.registerHandler('broken', async () => {
+      throw new Error('失敗しました');
+    }, { maxAttempts: 2, onFailure: async (job, error) => failures.push(error.message) });
+
+    const job = await jobQueue.enqueue('broken', 'U123', {}, 'テスト');
+    await waitFor(async () => (await jobStatus(job.id)) === 'failed');
+
+    const saved = await sessionService.getJob(job.id);
+    assert.strictEqual(saved.attempts, 2);
+    assert.strictEqual(saved.error, '失敗しました');
+    assert.deepStrictEqual(failures, ['失敗しました']);
+    assert.deepStrictEqual((await jobQueue.getFailedJobs('U123')).map(failed => failed.id), [job.id]);
+  });
+
+  it('should not retry settings errors', async () => {
+    let calls = 0;
+    jobQueue.registerHandler('settings', async () => {
+      calls++;
+      throw new SettingsError('スプレッドシートが設定されていません。', 'U123');
+    });
+
+    const job = await jobQueue.enqueue('settings', 'U123', {}, 'テスト');
+    await waitFor(async () => (await jobStatus(job.id)) === 'failed');
+    assert.strictEqual(calls, 1);
+  });
+
+  it('should run jobs of the same user one by one', async () => {
+    const running = new Set();
+    const order = [];
+    let overlapped = false;
+    jobQueue.registerHandler('slow', async (payload) => {
+      if (running.has(payload.userId)) overlapped = true;
+      running.add(payload.userId);
+      order.push(payload.name);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running.delete(payload.userId);
+    });
+
+    const jobs = await Promise.all([
+      jobQueue.enqueue('slow', 'U1', { userId: 'U1', name: 'first' }, 'テスト'),
+      jobQueue.enqueue('slow', 'U2', { userId: 'U2', name: 'other' }, 'テスト'),
+      jobQueue.enqueue('slow', 'U1', { userId: 'U1', name: 'second' }, 'テスト'),
+    ]);
+    await waitFor(async () => (await Promise.all(jobs.map(job => jobStatus(job.id)))).every(status => status === 'completed'));
+
+    assert.strictEqual(overlapped, false);
+    assert(order.indexOf('first') < order.indexOf('second'));
+  });
+
+  it('should resume jobs interrupted by restart', async () => {
+    let calls = 0;
+    jobQueue.registerHandler('resume', async () => {
+      calls++;
+    });
+    await sessionService.saveJob({
+      id: 'interrupted', type: 'resume', userId: 'U123', label: 'テスト', payload: {},
+      status: 'running', attempts: 1, maxAttempts: 3, runAt: Date.now(), error: null
+    });
+
+    await jobQueue.start();
+    await waitFor(async () => (await jobStatus('interrupted')) === 'completed');
+    assert.strictEqual(calls, 1);
+  });
+});
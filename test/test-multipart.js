@@ -0,0 +1,51 @@
+const assert = require('assert');
+const { describe, it } = require('@jest/globals');
+const { parseMultipart } = require('../src/utils/multipart');
+
+const BOUNDARY = '----test-boundary';
+
+// multipart/form-dataのリクエストボディを作成する
+const buildBody = (parts) => Buffer.concat([
+  ...parts.map(part => Buffer.concat([
+    Buffer.from(`--${BOUNDARY}\r\n${part.headers}\r\n\r\n`),
+    Buffer.isBuffer(part.content) ? part.content : Buffer.from(part.content),
+    Buffer.from('\r\n')
+  ])),
+  Buffer.from(`--${BOUNDARY}--\r\n`)
+]);
+
+describe('parseMultipart', () => {
+  it('should parse fields and binary file', () => {
+    const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const body = buildBody([
+      { headers: 'Content-Disposition: form-data; name="user_id"', content: 'U123456' },
+      { headers: 'Content-Disposition: form-data; name="details"', content: 'タクシー代' },
+      {
+        headers: 'Content-Disposition: form-data; name="file"; filename="receipt.png"\r\nContent-Type: image/png',
+        content: image
+      }
+    ]);
+
+    const { fields, files } = parseMultipart(body, `multipart/form-data; boundary=${BOUNDARY}`);
+
+    assert.deepStrictEqual(fields, { user_id: 'U123456', details: 'タクシー代' });
+    assert.strictEqual(files.length, 1);
+    assert.strictEqual(files[0].fieldName, 'file');
+    assert.strictEqual(files[0].fileName, 'receipt.png');
+    assert.strictEqual(files[0].mimeType, 'image/png');
+    assert(files[0].content.equals(image));
+  });
+
+  it('should accept quoted boundary', () => {
+    const body = buildBody([
+      { headers: 'Content-Disposition: form-data; name="amount"', content: '1000' }
+    ]);
+
+    const { fields } = parseMultipart(body, `multipart/form-data; boundary="${BOUNDARY}"`);
+    assert.strictEqual(fields.amount, '1000');
+  });
+
+  it('should throw when boundary is missing', () => {
+    assert.throws(() => parseMultipart(Buffer.from(''), 'multipart/form-data'));
+  });
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { describe, it, beforeEach } = require('@jest/globals');
+
+jest.mock('child_process', () => ({ execFile: jest.fn() }));
+
+const { execFile } = require('child_process');
+const { createOcrEngine } = require('../src/services/ocrEngines');
+
+describe('OCR engines', () => {
+  describe('createOcrEngine', () => {
+    it('should create engine by name', () => {
+      assert.strictEqual(createOcrEngine('vision').name, 'vision');
+      assert.strictEqual(createOcrEngine('tesseract').name, 'tesseract');
+    });
+
+    it('should throw for unknown engine', () => {
+      assert.throws(() => createOcrEngine('unknown'), /未対応のOCRエンジンです: unknown/);
+    });
+  });
+
+  describe('TesseractEngine', () => {
+    beforeEach(() => {
+      execFile.mockReset();
+    });
+
+    it('should run tesseract and normalize the output', async () => {
+      execFile.mockImplementation((command, args, options, callback) => {
+        callback(null, 'ロ ー ソ ン 新 宿 店\n\n合 計 ¥1,188\n', '');
+      });
+
+      const engine = createOcrEngine('tesseract');
+      const text = await engine.detectText('/tmp/receipt.png');
+
+      assert.strictEqual(text, 'ローソン新宿店\n合計 ¥1,188');
+      const [command, args] = execFile.mock.calls[0];
+      assert.strictEqual(command, 'tesseract');
+      assert.deepStrictEqual(args.slice(0, 4), ['/tmp/receipt.png', 'stdout', '-l', 'jpn+eng']);
+    });
+
+    it('should reject when tesseract fails', async () => {
+      execFile.mockImplementation((command, args, options, callback) => {
+        callback(new Error('Command failed'), '', 'Failed loading language \'jpn\'');
+      });
+
+      const engine = createOcrEngine('tesseract');
+      await assert.rejects(engine.detectText('/tmp/receipt.png'), /Failed loading language/);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const assert = require('assert');
+const { describe, it, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+// PDFの画像変換はテストごとにモックする（PDFを読み込めるlibvipsとする）
+jest.mock('sharp', () => Object.assign(jest.fn(), { format: { pdf: { input: { buffer: true } } } }));
+
+const sharp = require('sharp');
+const ocrService = require('../src/services/ocrService');
+
+// コンビニのレシートを想定したテキスト
+const RECEIPT_TEXT = [
+  'セブン-イレブン 新宿店',
+  '登録番号 T1234567890123',
+  '2025年2月14日(金) 12:34',
+  'ボールペン ¥880',
+  'おにぎり ※ ¥308',
+  '合計 ¥1,188',
+  '(10%対象 ¥880)',
+  '(内消費税等 ¥80)',
+  '(8%対象 ¥308)',
+  '(内消費税等 ¥22)',
+  '※は軽減税率対象商品です'
+].join('\n');
+
+// OCR結果のテキストと期待する解析結果（test/data/receipts）
+const FIXTURE_DIR = path.join(__dirname, 'data', 'receipts');
+const FIXTURES = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'expected.json'), 'utf8'));
+
+describe('OCRService', () => {
+  describe('parseReceipt fixtures', () => {
+    it.each(Object.entries(FIXTURES))('should parse %s', (fileName, expected) => {
+      const result = ocrService.parseReceipt(fs.readFileSync(path.join(FIXTURE_DIR, fileName), 'utf8'));
+      assert.deepStrictEqual(
+        { amount: result.amount, date: result.date, vendor: result.vendor },
+        expected
+      );
+    });
+  });
+
+  describe('parseReceipt', () => {
+    it('should parse amount, date and details', () => {
+      const result = ocrService.parseReceipt(RECEIPT_TEXT);
+      assert.strictEqual(result.amount, 1188);
+      assert.strictEqual(result.date, '2025-02-14');
+      assert(result.details.startsWith('セブン-イレブン 新宿店'));
+    });
+
+    it('should parse tax breakdown per rate', () => {
+      const result = ocrService.parseReceipt(RECEIPT_TEXT);
+      assert.strictEqual(result.taxRate, 10);
+      assert.strictEqual(result.taxAmount, 102);
+      assert.deepStrictEqual(result.taxBreakdown, [
+        { rate: 10, amount: 880, tax: 80 },
+        { rate: 8, amount: 308, tax: 22 }
+      ]);
+    });
+
+    it('should prefer the total over the cash tendered', () => {
+      const result = ocrService.parseReceipt('喫茶店\n合計 ¥480\nお預り ¥10,000\nお釣り ¥9,520');
+      assert.strictEqual(result.amount, 480);
+    });
+
+    it('should parse Japanese era and two-digit year dates', () => {
+      assert.strictEqual(ocrService.findDate('令和6年2月8日'), '2024-02-08');
+      assert.strictEqual(ocrService.findDate('R6.2.8 12:00'), '2024-02-08');
+      assert.strictEqual(ocrService.findDate('令和元年5月1日'), '2019-05-01');
+      assert.strictEqual(ocrService.findDate('25/03/01'), '2025-03-01');
+      assert.strictEqual(ocrService.findDate('TEL 03-1234-5678'), null);
+      assert.strictEqual(ocrService.findDate('2025/02/30'), null);
+    });
+
+    it('should return null tax fields when not printed', () => {
+      const result = ocrService.parseReceipt('喫茶店\n2025/02/01\nコーヒー 500円');
+      assert.strictEqual(result.taxRate, null);
+      assert.strictEqual(result.taxAmount, null);
+      assert.strictEqual(result.invoiceNumber, null);
+    });
+  });
+
+  describe('extractText', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should parse the text detected by the engine', async () => {
+      jest.spyOn(ocrService.engine, 'detectText').mockResolvedValue(RECEIPT_TEXT);
+
+      const result = await ocrService.extractText('/tmp/receipt.png');
+
+      assert.strictEqual(result.amount, 1188);
+      assert.strictEqual(result.invoiceNumber, 'T1234567890123');
+    });
+
+    it('should fail when the engine fails', async () => {
+      jest.spyOn(ocrService.engine, 'detectText').mockRejectedValue(new Error('engine error'));
+
+      await assert.rejects(ocrService.extractText('/tmp/receipt.png'), /領収書の読み取りに失敗しました/);
+    });
+  });
+
+  describe('parseInvoiceNumber', () => {
+    it('should normalize separators and full-width T', () => {
+      assert.strictEqual(ocrService.parseInvoiceNumber('登録番号 T1234567890123'), 'T1234567890123');
+      assert.strictEqual(ocrService.parseInvoiceNumber('登録番号：Ｔ1234-5678-9012-3'), 'T1234567890123');
+    });
+
+    it('should ignore numbers that are not 13 digits', () => {
+      assert.strictEqual(ocrService.parseInvoiceNumber('TEL 03-1234-5678'), null);
+      assert.strictEqual(ocrService.parseInvoiceNumber('T12345678901234'), null);
+    });
+  });
+
+  describe('processPdfPages', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    // 指定したページ数のPDFを作成する
+    const createPdf = async (pageCount) => {
+      const pdfDoc = await PDFDocument.create();
+      for (let i = 0; i < pageCount; i++) {
+        pdfDoc.addPage([595, 842]);
+      }
+      return Buffer.from(await pdfDoc.save());
+    };
+
+    it('should read every page and merge them into one receipt', async () => {
+      const rasterize = jest.spyOn(ocrService, 'rasterizePdfPage').mockResolvedValue(Buffer.from('png'));
+      jest.spyOn(ocrService, 'detectText')
+        .mockResolvedValueOnce('Amazon.co.jp 領収書\n注文日 2025年3月1日')
+        .mockResolvedValueOnce('ご請求額 ¥5,980\n登録番号 T1234567890123');
+
+      const result = await ocrService.processPdfPages(await createPdf(2));
+
+      assert.strictEqual(rasterize.mock.calls.length, 2);
+      assert.strictEqual(rasterize.mock.calls[1][1], 1);
+      assert.strictEqual(result.pageCount, 2);
+      assert.strictEqual(result.amount, 5980);
+      assert.strictEqual(result.date, '2025-03-01');
+      assert.strictEqual(result.invoiceNumber, 'T1234567890123');
+    });
+
+    it('should read at most 5 pages', async () => {
+      jest.spyOn(ocrService, 'rasterizePdfPage').mockResolvedValue(Buffer.from('png'));
+      const detectText = jest.spyOn(ocrService, 'detectText').mockResolvedValue('タクシー 2,300円');
+
+      const result = await ocrService.processPdfPages(await createPdf(8));
+
+      assert.strictEqual(detectText.mock.calls.length, 5);
+      assert.strictEqual(result.amount, 2300);
+    });
+
+    it('should fail when no text is detected', async () => {
+      jest.spyOn(ocrService, 'rasterizePdfPage').mockResolvedValue(Buffer.from('png'));
+      jest.spyOn(ocrService, 'detectText').mockResolvedValue('');
+
+      await assert.rejects(ocrService.processPdfPages(await createPdf(1)), /PDFの領収書の読み取りに失敗しました/);
+    });
+
+    it('should report that PDF is not supported without PDF support in libvips', async () => {
+      const format = sharp.format;
+      sharp.format = { pdf: { input: { buffer: false } } };
+      const rasterize = jest.spyOn(ocrService, 'rasterizePdfPage');
+
+      try {
+        assert.strictEqual(ocrService.isSupportedType('application/pdf'), false);
+        assert.match(ocrService.getUnsupportedReason('application/pdf'), /この環境ではPDFの領収書を読み取れません/);
+        await assert.rejects(ocrService.processPdfPages(await createPdf(1)), /この環境ではPDFの領収書を読み取れません/);
+        assert.strictEqual(rasterize.mock.calls.length, 0);
+      } finally {
+        sharp.format = format;
+      }
+    });
+  });
+
+  describe('extractFileText', () => {
+    it('should reject unsupported file types', async () => {
+      assert.strictEqual(ocrService.isSupportedType('text/plain'), false);
+      await assert.rejects(ocrService.extractFileText(Buffer.from('text'), 'text/plain'), /未対応のファイル形式です/);
+    });
+  });
+});
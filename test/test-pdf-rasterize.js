@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { describe, it } = require('@jest/globals');
+const sharp = require('sharp');
+const { PDFDocument, rgb } = require('pdf-lib');
+const ocrService = require('../src/services/ocrService');
+
+// 実際のsharp（libvips）でPDFを画像に変換する（モックしない）
+// 同梱のlibvipsはPDFを読み込めないため、その場合は読み取れないことを案内する
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const pdfSupported = Boolean(sharp.format.pdf?.input?.buffer);
+
+// 1ページ目に黒い四角を描いたPDFを作成する
+const createPdf = async () => {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([200, 100]);
+  page.drawRectangle({ x: 50, y: 25, width: 100, height: 50, color: rgb(0, 0, 0) });
+  return Buffer.from(await pdfDoc.save());
+};
+
+describe('OCRService PDF rasterization', () => {
+  it('should detect PDF support from libvips', () => {
+    assert.strictEqual(ocrService.isPdfSupported(), pdfSupported);
+    assert.strictEqual(ocrService.isSupportedType('application/pdf'), pdfSupported);
+  });
+
+  (pdfSupported ? it : it.skip)('should render a PDF page to an opaque PNG', async () => {
+    const png = await ocrService.rasterizePdfPage(await createPdf(), 0);
+
+    assert.deepStrictEqual(png.subarray(0, 8), PNG_SIGNATURE);
+    const { width, height, channels } = await sharp(png).metadata();
+    assert(width > 200 && height > 100, 'should render at PDF_DENSITY');
+    assert.strictEqual(channels, 3);
+  });
+
+  (pdfSupported ? it.skip : it)('should explain that PDF is not supported', async () => {
+    assert.match(ocrService.getUnsupportedReason('application/pdf'), /この環境ではPDFの領収書を読み取れません/);
+    await assert.rejects(ocrService.processPdfPages(await createPdf()), /この環境ではPDFの領収書を読み取れません/);
+  });
+});
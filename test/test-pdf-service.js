@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { describe, it } = require('@jest/globals');
+const { PDFDocument, PDFName } = require('pdf-lib');
+
+// 画像変換は使用しないためsharpはモックにする
+jest.mock('sharp', () => jest.fn());
+
+const pdfService = require('../src/services/pdfService');
+
+// 指定したページ数のPDFを作成する
+const createPdf = async (pageCount) => {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdfDoc.addPage([595, 842]);
+  }
+  return Buffer.from(await pdfDoc.save());
+};
+
+describe('PDFService', () => {
+  describe('mergeWithOutline', () => {
+    it('should merge pages and add one bookmark per document', async () => {
+      const { pdf: merged, skipped } = await pdfService.mergeWithOutline([
+        { pdf: await createPdf(1), title: '経費精算書' },
+        { pdf: await createPdf(2), title: 'No.1_2025-02-01_タクシー代', stamp: 'No.1 / 2025-02-01 / ¥1,200' },
+        { pdf: await createPdf(1), title: 'No.2_2025-02-03_会議費', stamp: 'No.2 / 2025-02-03 / ¥3,000' }
+      ]);
+
+      const pdfDoc = await PDFDocument.load(merged);
+      assert.strictEqual(pdfDoc.getPageCount(), 4);
+      assert.deepStrictEqual(skipped, []);
+
+      const outlines = pdfDoc.context.lookup(pdfDoc.catalog.get(PDFName.of('Outlines')));
+      assert.strictEqual(outlines.get(PDFName.of('Count')).asNumber(), 3);
+
+      // 2件目のしおりは領収書の先頭ページ（2ページ目）を指す
+      const first = pdfDoc.context.lookup(outlines.get(PDFName.of('First')));
+      const second = pdfDoc.context.lookup(first.get(PDFName.of('Next')));
+      assert.strictEqual(first.get(PDFName.of('Title')).decodeText(), '経費精算書');
+      assert.strictEqual(second.get(PDFName.of('Title')).decodeText(), 'No.1_2025-02-01_タクシー代');
+      const dest = second.get(PDFName.of('Dest'));
+      assert.strictEqual(dest.get(0), pdfDoc.getPages()[1].ref);
+    });
+
+    it('should skip documents that cannot be loaded and return their titles', async () => {
+      const { pdf: merged, skipped } = await pdfService.mergeWithOutline([
+        { pdf: await createPdf(1), title: '経費精算書' },
+        { pdf: Buffer.from('not a pdf'), title: '壊れた領収書' }
+      ]);
+
+      const pdfDoc = await PDFDocument.load(merged);
+      const outlines = pdfDoc.context.lookup(pdfDoc.catalog.get(PDFName.of('Outlines')));
+      assert.strictEqual(pdfDoc.getPageCount(), 1);
+      assert.strictEqual(outlines.get(PDFName.of('Count')).asNumber(), 1);
+      assert.deepStrictEqual(skipped, ['壊れた領収書']);
+    });
+
+    it('should ignore characters the standard font cannot draw in stamps', async () => {
+      const { pdf: merged } = await pdfService.mergeWithOutline([
+        { pdf: await createPdf(1), title: '領収書', stamp: 'No.3 / 2025年2月5日 / ¥500' }
+      ]);
+      assert((await PDFDocument.load(merged)).getPageCount() === 1);
+    });
+  });
+});
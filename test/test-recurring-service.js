@@ -0,0 +1,132 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
+const { OperationError } = require('../src/utils/errors');
+const recurringService = require('../src/services/recurringService');
+
+// モックデータ
+const TEST_USER_ID = 'U123456';
+
+// recurring_expensesシートの行を保持するGoogle APIのモック
+let rows;
+const updates = [];
+const mockSheets = {
+  spreadsheets: {
+    get: async () => ({
+      data: { sheets: [{ properties: { title: 'recurring_expenses' } }] }
+    }),
+    values: {
+      get: async () => ({ data: { values: rows } }),
+      append: async ({ resource }) => {
+        rows.push(...resource.values);
+        return {};
+      },
+      update: async ({ range, resource }) => {
+        updates.push({ range, values: resource.values });
+        return {};
+      }
+    }
+  }
+};
+
+// recurringServiceのsheetsプロパティを一時的にモックに置き換える
+const originalSheets = recurringService.sheets;
+beforeEach(() => {
+  rows = [
+    ['a1b2c3', TEST_USER_ID, '25', '1980', 'Slack有料プラン', '通信費', '', '2025-01', '2024-12-01T00:00:00Z', ''],
+    ['d4e5f6', TEST_USER_ID, '31', '3000', '通信費手当', '', '', '', '2025-01-10T00:00:00Z', ''],
+    ['999999', TEST_USER_ID, '1', '500', '削除済み', '', '', '', '2025-01-01T00:00:00Z', '2025-01-02T00:00:00Z'],
+    ['aaaaaa', 'U999999', '1', '800', '他のユーザー', '', '', '', '2025-01-01T00:00:00Z', '']
+  ];
+  updates.length = 0;
+  recurringService.sheets = mockSheets;
+  recurringService.sheetReady = false;
+});
+afterEach(() => {
+  recurringService.sheets = originalSheets;
+});
+
+describe('RecurringService', () => {
+  describe('getToday', () => {
+    it('should use Japan time', () => {
+      assert.deepStrictEqual(
+        recurringService.getToday(new Date('2025-01-31T15:30:00Z')),
+        { date: '2025-02-01', yearMonth: '2025-02', day: 1 }
+      );
+    });
+  });
+
+  describe('getScheduledDate', () => {
+    it('should use last day for days after month end', () => {
+      assert.strictEqual(recurringService.getScheduledDate(31, '2025-02'), '2025-02-28');
+      assert.strictEqual(recurringService.getScheduledDate(31, '2024-02'), '2024-02-29');
+      assert.strictEqual(recurringService.getScheduledDate(5, '2025-04'), '2025-04-05');
+    });
+  });
+
+  describe('getDefinitions', () => {
+    it('should skip removed definitions and other users', async () => {
+      const definitions = await recurringService.getDefinitions(TEST_USER_ID);
+      assert.deepStrictEqual(definitions.map(definition => definition.id), ['a1b2c3', 'd4e5f6']);
+      assert.strictEqual(definitions[0].amount, 1980);
+      assert.strictEqual(definitions[1].rowNumber, 3);
+    });
+  });
+
+  describe('checkDue', () => {
+    it('should register definitions once per month after their day', async () => {
+      const registered = [];
+      const onDue = async (definition, date) => registered.push([definition.id, date]);
+
+      // 2月25日（日本時間）: 1日と25日の定義
+      await recurringService.checkDue(onDue, new Date('2025-02-25T01:00:00Z'));
+      assert.deepStrictEqual(registered, [['a1b2c3', '2025-02-25'], ['aaaaaa', '2025-02-01']]);
+      assert.deepStrictEqual(updates[0], { range: 'recurring_expenses!H2', values: [['2025-02']] });
+      assert.deepStrictEqual(updates[1], { range: 'recurring_expenses!H5', values: [['2025-02']] });
+
+      // 2月28日は月末: 31日指定の定義のみ
+      rows[0][7] = '2025-02';
+      rows[3][7] = '2025-02';
+      await recurringService.checkDue(onDue, new Date('2025-02-28T01:00:00Z'));
+      assert.deepStrictEqual(registered.slice(2), [['d4e5f6', '2025-02-28']]);
+    });
+  });
+
+  describe('addDefinition', () => {
+    it('should start next month when the day has passed', async () => {
+      const definition = await recurringService.addDefinition(
+        TEST_USER_ID,
+        { day: 10, amount: 5000, details: 'コワーキング' },
+        new Date('2025-03-15T01:00:00Z')
+      );
+
+      assert.strictEqual(definition.firstDate, '2025-04-10');
+      const added = rows[rows.length - 1];
+      assert.deepStrictEqual(added.slice(1, 8), [TEST_USER_ID, 10, 5000, 'コワーキング', '', '', '2025-03']);
+    });
+
+    it('should start this month when the day is still ahead', async () => {
+      const definition = await recurringService.addDefinition(
+        TEST_USER_ID,
+        { day: 31, amount: 3000, details: '通信費手当' },
+        new Date('2025-02-15T01:00:00Z')
+      );
+
+      assert.strictEqual(definition.firstDate, '2025-02-28');
+      assert.strictEqual(rows[rows.length - 1][7], '');
+    });
+  });
+
+  describe('removeDefinition', () => {
+    it('should mark definition as removed', async () => {
+      await recurringService.removeDefinition(TEST_USER_ID, 'd4e5f6');
+      assert.strictEqual(updates[0].range, 'recurring_expenses!J3');
+    });
+
+    it('should not remove definitions of other users', async () => {
+      await assert.rejects(
+        recurringService.removeDefinition(TEST_USER_ID, 'aaaaaa'),
+        (error) => error instanceof OperationError && error.operation === 'removeRecurringExpense'
+      );
+    });
+  });
+});
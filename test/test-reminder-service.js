@@ -0,0 +1,112 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
+
+// 実行済みの記録はメモリに保存する
+process.env.STORAGE_ADAPTER = 'memory';
+const settingsService = require('../src/services/settingsService');
+const sessionService = require('../src/services/sessionService');
+const reminderService = require('../src/services/reminderService');
+const { getJstToday, addMonths } = require('../src/utils/date');
+
+// スプレッドシートを設定済みのユーザー
+const originalGetAllUserSettings = settingsService.getAllUserSettings;
+const originalOptions = reminderService.options;
+beforeEach(async () => {
+  settingsService.getAllUserSettings = async () => [
+    { user_id: 'U123456', spreadsheet_id: 'sheet_1' },
+    { user_id: 'U999999', spreadsheet_id: 'sheet_2' }
+  ];
+  reminderService.options = { daysBefore: 3, hour: 10, autoExport: true };
+  for (const [key] of await sessionService.storage.entries('scheduledRuns')) {
+    await sessionService.storage.delete('scheduledRuns', key);
+  }
+});
+afterEach(() => {
+  settingsService.getAllUserSettings = originalGetAllUserSettings;
+  reminderService.options = originalOptions;
+});
+
+describe('date utils', () => {
+  it('should convert to Japan time', () => {
+    assert.deepStrictEqual(
+      getJstToday(new Date('2025-02-28T16:00:00Z')),
+      { date: '2025-03-01', yearMonth: '2025-03', day: 1, hour: 1 }
+    );
+  });
+
+  it('should move across years', () => {
+    assert.strictEqual(addMonths('2025-01', -1), '2024-12');
+    assert.strictEqual(addMonths('2024-12', 1), '2025-01');
+  });
+});
+
+describe('ReminderService', () => {
+  describe('findDue', () => {
+    it('should remind on the last 3 days of the month', () => {
+      assert.deepStrictEqual(
+        reminderService.findDue({ yearMonth: '2025-02', day: 25, hour: 12 }),
+        { remind: null, autoExport: null }
+      );
+      assert.deepStrictEqual(
+        reminderService.findDue({ yearMonth: '2025-02', day: 26, hour: 12 }),
+        { remind: '2025-02', autoExport: null }
+      );
+      // 31日の月は29日から
+      assert.strictEqual(reminderService.findDue({ yearMonth: '2025-01', day: 28, hour: 12 }).remind, null);
+      assert.strictEqual(reminderService.findDue({ yearMonth: '2025-01', day: 29, hour: 12 }).remind, '2025-01');
+    });
+
+    it('should wait until the configured hour', () => {
+      assert.deepStrictEqual(
+        reminderService.findDue({ yearMonth: '2025-02', day: 28, hour: 9 }),
+        { remind: null, autoExport: null }
+      );
+    });
+
+    it('should export previous month on the 1st only when enabled', () => {
+      assert.deepStrictEqual(
+        reminderService.findDue({ yearMonth: '2025-01', day: 1, hour: 10 }),
+        { remind: null, autoExport: '2024-12' }
+      );
+
+      reminderService.options = { daysBefore: 0, hour: 10, autoExport: false };
+      assert.deepStrictEqual(
+        reminderService.findDue({ yearMonth: '2025-01', day: 31, hour: 10 }),
+        { remind: null, autoExport: null }
+      );
+    });
+  });
+
+  describe('checkDue', () => {
+    it('should remind each user once per month', async () => {
+      const reminded = [];
+      const handlers = {
+        onRemind: async (userId, yearMonth) => reminded.push([userId, yearMonth]),
+        onAutoExport: async () => assert.fail('should not export')
+      };
+
+      // 2月26日 12時（日本時間）と翌日
+      await reminderService.checkDue(handlers, new Date('2025-02-26T03:00:00Z'));
+      await reminderService.checkDue(handlers, new Date('2025-02-27T03:00:00Z'));
+
+      assert.deepStrictEqual(reminded, [['U123456', '2025-02'], ['U999999', '2025-02']]);
+    });
+
+    it('should continue with other users when one fails', async () => {
+      const exported = [];
+      const handlers = {
+        onRemind: async () => assert.fail('should not remind'),
+        onAutoExport: async (userId, yearMonth) => {
+          if (userId === 'U123456') throw new Error('Export failed');
+          exported.push([userId, yearMonth]);
+        }
+      };
+
+      await reminderService.checkDue(handlers, new Date('2025-03-01T01:00:00Z'));
+
+      assert.deepStrictEqual(exported, [['U999999', '2025-02']]);
+      // 失敗したユーザーも実行済みとして扱う（重複して出力しない）
+      assert.strictEqual(await sessionService.getScheduledRun('autoExport:U123456'), '2025-02');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
+const { OperationError } = require('../src/utils/errors');
+const settingsService = require('../src/services/settingsService');
+const sheetsService = require('../src/services/sheetsService');
+const reportService = require('../src/services/reportService');
+
+// モックデータ
+const TEST_USER_ID = 'U123456';
+const SHEET_VALUES = {
+  '2025_04': [
+    ['1', '2025-04-03', '¥1,200', 'タクシー代', '', '旅費交通費', '', '10%', '', ''],
+    ['2', '2025-04-10', '¥3,000', 'ＡＢＣ商店', '', '消耗品費', '', '10%', '', '']
+  ],
+  '2025_04_2': [
+    ['26', '2025-04-28', '¥800', 'タクシー代', '', '旅費交通費', '', '10%', '', '']
+  ],
+  '2026_03': [
+    ['1', '2026-03-15', '¥1,080', 'ABC 商店', '', '消耗品費', '', '8%', '', '']
+  ],
+  // 期間外のシート
+  '2025_03': [
+    ['1', '2025-03-31', '¥99,999', '期間外', '', '雑費', '', '', '', '']
+  ]
+};
+
+// sheetsServiceのsheetsプロパティとスプレッドシートIDの取得を一時的にモックに置き換える
+const originalSheets = sheetsService.sheets;
+const originalGetSpreadsheetId = settingsService.getSpreadsheetId;
+let batchRanges;
+beforeEach(() => {
+  batchRanges = null;
+  settingsService.getSpreadsheetId = async () => 'user_spreadsheet';
+  sheetsService.sheets = {
+    spreadsheets: {
+      get: async () => ({
+        data: {
+          sheets: ['_base', ...Object.keys(SHEET_VALUES), 'report_FY2024']
+            .map((title, i) => ({ properties: { title, sheetId: i, index: i } }))
+        }
+      }),
+      values: {
+        batchGet: async ({ ranges }) => {
+          batchRanges = ranges;
+          return {
+            data: {
+              valueRanges: ranges.map(range => ({ values: SHEET_VALUES[range.match(/^'(.+)'!/)[1]] }))
+            }
+          };
+        }
+      }
+    }
+  };
+});
+afterEach(() => {
+  sheetsService.sheets = originalSheets;
+  settingsService.getSpreadsheetId = originalGetSpreadsheetId;
+});
+
+describe('ReportService', () => {
+  describe('parseRange', () => {
+    it('should parse month ranges, fiscal years and calendar years', () => {
+      assert.deepStrictEqual(reportService.parseRange('2025-04..2026-03'), { from: '2025-04', to: '2026-03', label: '2025-04〜2026-03' });
+      assert.deepStrictEqual(reportService.parseRange('FY2025'), { from: '2025-04', to: '2026-03', label: 'FY2025' });
+      assert.deepStrictEqual(reportService.parseRange('2025'), { from: '2025-01', to: '2025-12', label: '2025年' });
+    });
+
+    it('should reject invalid ranges', () => {
+      assert.strictEqual(reportService.parseRange('2026-03..2025-04'), null);
+      assert.strictEqual(reportService.parseRange('2025-13..2026-01'), null);
+      assert.strictEqual(reportService.parseRange(''), null);
+    });
+  });
+
+  describe('buildReport', () => {
+    it('should summarize months, categories and vendors in the range', async () => {
+      const report = await reportService.buildReport(TEST_USER_ID, reportService.parseRange('FY2025'));
+
+      // 期間内のシートのみ1回のリクエストで取得する（シートのない月は作成しない）
+      assert.deepStrictEqual(batchRanges, ["'2025_04'!A2:J26", "'2025_04_2'!A2:J26", "'2026_03'!A2:J26"]);
+      assert.strictEqual(report.count, 4);
+      assert.strictEqual(report.total, 6080);
+      assert.strictEqual(report.months.length, 12);
+      assert.deepStrictEqual(report.months[0], { yearMonth: '2025-04', count: 3, total: 5000 });
+      assert.deepStrictEqual(report.months[1], { yearMonth: '2025-05', count: 0, total: 0 });
+      assert.deepStrictEqual(report.months[11], { yearMonth: '2026-03', count: 1, total: 1080 });
+      assert.deepStrictEqual(report.categoryTotals.map(item => [item.category, item.total]), [['消耗品費', 4080], ['旅費交通費', 2000]]);
+      // 表記の違う支払先はまとめる
+      assert.deepStrictEqual(report.vendors, [
+        { vendor: 'ＡＢＣ商店', count: 2, total: 4080 },
+        { vendor: 'タクシー代', count: 2, total: 2000 }
+      ]);
+    });
+
+    it('should reject ranges longer than the limit', async () => {
+      await assert.rejects(
+        reportService.buildReport(TEST_USER_ID, reportService.parseRange('2023-01..2025-12')),
+        (error) => error instanceof OperationError && error.operation === 'buildReport'
+      );
+    });
+  });
+
+  describe('buildSheetRows', () => {
+    it('should write monthly totals before categories', async () => {
+      const report = await reportService.buildReport(TEST_USER_ID, reportService.parseRange('2025-04..2025-05'));
+      const rows = reportService.buildSheetRows(report);
+
+      assert.strictEqual(reportService.getSheetName(report.range), 'report_2025-04_2025-05');
+      assert.deepStrictEqual(rows.slice(2, 6), [
+        ['月', '件数', '合計金額'],
+        ['2025-04', 3, 5000],
+        ['2025-05', 0, 0],
+        ['合計', 3, 5000]
+      ]);
+    });
+  });
+});
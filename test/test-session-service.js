@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { describe, it, beforeEach } = require('@jest/globals');
+
+// テストではメモリ上のストレージを使う
+process.env.STORAGE_ADAPTER = 'memory';
+
+const sessionService = require('../src/services/sessionService');
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    sessionService.storage.namespaces.clear();
+  });
+
+  describe('user state', () => {
+    it('should return message while exporting', async () => {
+      await sessionService.setUserState('U123', 'exporting');
+      assert.strictEqual(await sessionService.getUserStateMessage('U123'), '現在PDFの出力中です。完了までお待ちください。');
+
+      await sessionService.setUserState('U123', null);
+      assert.strictEqual(await sessionService.getUserStateMessage('U123'), null);
+    });
+
+    it('should expire old state', async () => {
+      await sessionService.storage.set('userStates', 'U123', {
+        state: 'exporting',
+        timestamp: Date.now() - sessionService.timeout - 1
+      });
+      assert.strictEqual(await sessionService.getUserState('U123'), null);
+    });
+  });
+
+  describe('locks', () => {
+    it('should reject second lock for the same month', async () => {
+      await sessionService.acquireLock('U123', '2025-02', 'exporting');
+
+      await assert.rejects(
+        sessionService.acquireLock('U123', '2025-02', 'creating'),
+        (error) => error.operation === 'acquireLock' && error.message === '2025-02: 現在PDFの出力中です。完了までお待ちください。'
+      );
+      assert.strictEqual(await sessionService.getUserStateMessage('U123', '2025-02'), '現在PDFの出力中です。完了までお待ちください。');
+
+      // 別の月・別のユーザーは影響を受けない
+      await sessionService.acquireLock('U123', '2025-03', 'creating');
+      await sessionService.acquireLock('U999', '2025-02', 'creating');
+
+      await sessionService.releaseLock('U123', '2025-02');
+      await sessionService.releaseLock('U123', '2025-03');
+      await sessionService.releaseLock('U999', '2025-02');
+      assert.strictEqual(await sessionService.getUserState('U123', '2025-02'), null);
+    });
+
+    it('should allow only one of simultaneous lock requests', async () => {
+      const results = await Promise.allSettled([
+        sessionService.acquireLock('U123', '2025-02', 'creating'),
+        sessionService.acquireLock('U123', '2025-02', 'creating'),
+      ]);
+
+      assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+      await sessionService.releaseLock('U123', '2025-02');
+    });
+  });
+
+  describe('upload settings', () => {
+    it('should save and read settings per channel', async () => {
+      await sessionService.saveUploadSettings('U123', 'C123', { yearMonth: '2025-02' });
+
+      assert.deepStrictEqual(await sessionService.getUploadSettings('U123', 'C123'), { yearMonth: '2025-02' });
+      assert.strictEqual(await sessionService.isWaitingForFile('U123', 'C123'), true);
+      assert.strictEqual(await sessionService.getUploadSettings('U123', 'C999'), null);
+    });
+  });
+
+  describe('jobs', () => {
+    it('should list jobs of the user newest first', async () => {
+      await sessionService.saveJob({ id: 'job-1', userId: 'U123', type: 'export', status: 'completed', createdAt: 1000 });
+      await sessionService.saveJob({ id: 'job-2', userId: 'U123', type: 'export', status: 'running', createdAt: 2000 });
+      await sessionService.saveJob({ id: 'job-3', userId: 'U999', type: 'export', status: 'queued', createdAt: 3000 });
+
+      const jobs = await sessionService.listJobs('U123');
+      assert.deepStrictEqual(jobs.map(job => job.id), ['job-2', 'job-1']);
+    });
+
+    it('should clean up finished jobs after retention period', async () => {
+      await sessionService.storage.set('jobs', 'old', { id: 'old', status: 'completed', createdAt: 0, updatedAt: 0 });
+      await sessionService.storage.set('jobs', 'running', { id: 'running', status: 'running', createdAt: 0, updatedAt: 0 });
+
+      await sessionService.cleanup();
+
+      assert.strictEqual(await sessionService.getJob('old'), null);
+      assert(await sessionService.getJob('running'));
+    });
+  });
+});
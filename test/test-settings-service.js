@@ -84,6 +84,79 @@ describe('SettingsService', () => {
     });
   });
 
+  describe('getApproverId', () => {
+    it('should throw SettingsError when approver not set', async () => {
+      try {
+        await settingsService.getApproverId(TEST_USER_ID);
+        assert.fail('Expected error was not thrown');
+      } catch (error) {
+        assert(error instanceof SettingsError);
+        assert(error.message.includes('/keihi approver'));
+      }
+    });
+  });
+
+  describe('saveUserSettings', () => {
+    it('should keep existing values when only approver is given', async () => {
+      const updates = [];
+      settingsService.sheets = {
+        spreadsheets: {
+          values: {
+            ...mockSheets.spreadsheets.values,
+            get: async () => ({
+              data: { values: [[TEST_USER_ID, TEST_SPREADSHEET_ID, TEST_EMAIL, '2025-01-01', '2025-01-01']] }
+            }),
+            update: async (params) => { updates.push(params); return {}; }
+          }
+        }
+      };
+
+      await settingsService.saveUserSettings(TEST_USER_ID, { approver_id: 'U654321' });
+
+      const [row] = updates[0].resource.values;
+      assert.strictEqual(updates[0].range, 'user_settings!A2:F2');
+      assert.strictEqual(row[1], TEST_SPREADSHEET_ID);
+      assert.strictEqual(row[2], TEST_EMAIL);
+      assert.strictEqual(row[5], 'U654321');
+    });
+  });
+
+  describe('getCategories', () => {
+    beforeEach(() => {
+      settingsService.categoryCache = null;
+    });
+
+    it('should return categories from categories sheet', async () => {
+      settingsService.sheets = {
+        spreadsheets: {
+          values: {
+            get: async ({ range }) => {
+              assert(range.startsWith('categories!'));
+              return { data: { values: [['旅費交通費'], [''], ['会議費'], ['旅費交通費']] } };
+            }
+          }
+        }
+      };
+
+      const categories = await settingsService.getCategories();
+      assert.deepStrictEqual(categories, ['旅費交通費', '会議費']);
+    });
+
+    it('should return default categories when sheet is missing', async () => {
+      settingsService.sheets = {
+        spreadsheets: {
+          values: {
+            get: async () => { throw new Error('Unable to parse range'); }
+          }
+        }
+      };
+
+      const categories = await settingsService.getCategories();
+      assert(categories.length > 0);
+      assert(categories.includes('会議費'));
+    });
+  });
+
   describe('isValidSpreadsheetId', () => {
     it('should return true for valid spreadsheet ID', () => {
       assert.strictEqual(settingsService.isValidSpreadsheetId('1234567890abcdefghijklmnop'), true);
@@ -96,6 +169,19 @@ describe('SettingsService', () => {
     });
   });
 
+  describe('parseUserId', () => {
+    it('should extract user ID from mention or raw ID', () => {
+      assert.strictEqual(settingsService.parseUserId('<@U654321|manager>'), 'U654321');
+      assert.strictEqual(settingsService.parseUserId('<@U654321>'), 'U654321');
+      assert.strictEqual(settingsService.parseUserId('U654321'), 'U654321');
+    });
+
+    it('should return null for unescaped names', () => {
+      assert.strictEqual(settingsService.parseUserId('@manager'), null);
+      assert.strictEqual(settingsService.parseUserId(undefined), null);
+    });
+  });
+
   describe('isValidEmail', () => {
     it('should return true for valid email', () => {
       assert.strictEqual(settingsService.isValidEmail('test@example.com'), true);
@@ -108,4 +194,25 @@ describe('SettingsService', () => {
       assert.strictEqual(settingsService.isValidEmail('test@'), false);
     });
   });
+
+  describe('getFares', () => {
+    it('should read fare table and skip invalid rows', async () => {
+      settingsService.fareCache = null;
+      settingsService.sheets = {
+        spreadsheets: {
+          values: {
+            get: async ({ range }) => {
+              assert.strictEqual(range, 'fares!A2:D');
+              return { data: { values: [['新宿', '渋谷', '¥170', 'JR山手線'], ['渋谷', '品川', '210'], ['東京', '', '200'], ['大崎', '五反田', '']] } };
+            }
+          }
+        }
+      };
+
+      assert.deepStrictEqual(await settingsService.getFares(), [
+        { from: '新宿', to: '渋谷', fare: 170, line: 'JR山手線' },
+        { from: '渋谷', to: '品川', fare: 210, line: '' }
+      ]);
+    });
+  });
 });
\ No newline at end of file
@@ -1,9 +1,36 @@
 const assert = require('assert');
-const { describe, it, beforeEach, afterEach, jest } = require('@jest/globals');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
 const { OperationError } = require('../src/utils/errors');
+
+// テストではメモリ上のストレージを使う
+process.env.STORAGE_ADAPTER = 'memory';
+
+// settingsServiceのモック（jest.mockは巻き上げられないため読み込みより前に設定する）
+jest.mock('../src/services/settingsService', () => ({
+  getSpreadsheetId: async () => TEST_SPREADSHEET_ID
+}));
+
+// driveServiceのモック
+jest.mock('../src/services/driveService', () => ({
+  getOrCreateMonthFolder: async () => 'test_folder_id',
+  extractFileId: (url) => url ? 'receipt_1' : null,
+  deleteFile: jest.fn(async () => {})
+}));
+
+// approvalServiceのモック（承認済みの月は2025-01）
+jest.mock('../src/services/approvalService', () => ({
+  assertWritable: async (userId, yearMonth) => {
+    if (yearMonth === '2025-01') {
+      const { OperationError } = require('../src/utils/errors');
+      throw new OperationError(`${yearMonth}の経費精算は承認済みのため変更できません。`, userId, 'assertWritable');
+    }
+  }
+}));
+
 const sheetsService = require('../src/services/sheetsService');
 const settingsService = require('../src/services/settingsService');
 const driveService = require('../src/services/driveService');
+const sessionService = require('../src/services/sessionService');
 
 // モックデータ
 const TEST_USER_ID = 'U123456';
@@ -48,12 +75,24 @@ const mockSheets = {
             }
           };
         }
+        if (range.includes('A2:J26')) {
+          return {
+            data: {
+              values: [
+                ['1', '2025-02-01', '1000', 'テスト支出1', 'メモ1', '旅費交通費', 'https://drive.google.com/file/d/receipt_1/view', '10%', '90', 'T1234567890123'],
+                ['2', '2025-02-02', '2000', 'テスト支出2', 'メモ2'],
+                ['3']
+              ]
+            }
+          };
+        }
         if (range.includes('C27')) {
           return { data: { values: [['3000']] } };
         }
         return { data: { values: [] } };
       },
-      update: async () => ({})
+      update: async () => ({}),
+      batchClear: async () => ({})
     },
     batchUpdate: async () => ({
       data: {
@@ -72,16 +111,6 @@ const mockSheets = {
   }
 };
 
-// settingsServiceのモック
-jest.mock('../src/services/settingsService', () => ({
-  getSpreadsheetId: async () => TEST_SPREADSHEET_ID
-}));
-
-// driveServiceのモック
-jest.mock('../src/services/driveService', () => ({
-  getOrCreateMonthFolder: async () => 'test_folder_id'
-}));
-
 // sheetsServiceのsheetsプロパティを一時的にモックに置き換える
 const originalSheets = sheetsService.sheets;
 beforeEach(() => {
@@ -109,12 +138,36 @@ describe('SheetsService', () => {
     it('should format year-month correctly', () => {
       assert.strictEqual(sheetsService.formatSheetName('2025-02'), '2025_02');
     });
+
+    it('should add page suffix for continuation sheets', () => {
+      assert.strictEqual(sheetsService.formatSheetName('2025-02', 1), '2025_02');
+      assert.strictEqual(sheetsService.formatSheetName('2025-02', 2), '2025_02_2');
+    });
   });
 
   describe('parseSheetName', () => {
     it('should parse sheet name correctly', () => {
       assert.strictEqual(sheetsService.parseSheetName('2025_02'), '2025-02');
     });
+
+    it('should parse continuation sheet name correctly', () => {
+      assert.strictEqual(sheetsService.parseSheetName('2025_02_2'), '2025-02');
+    });
+  });
+
+  describe('filterMonthSheets', () => {
+    it('should return month sheets in page order', () => {
+      const sheets = [
+        { properties: { title: '2025_02_2', sheetId: 'p2', index: 1 } },
+        { properties: { title: '_base', sheetId: 'base', index: 3 } },
+        { properties: { title: '2025_02', sheetId: 'p1', index: 0 } },
+        { properties: { title: '2025_03', sheetId: 'other', index: 2 } }
+      ];
+
+      const monthSheets = sheetsService.filterMonthSheets(sheets, '2025-02');
+      assert.deepStrictEqual(monthSheets.map(sheet => sheet.title), ['2025_02', '2025_02_2']);
+      assert.deepStrictEqual(monthSheets.map(sheet => sheet.page), [1, 2]);
+    });
   });
 
   describe('formatDate', () => {
@@ -166,7 +219,7 @@ describe('SheetsService', () => {
   describe('findEmptyRow', () => {
     it('should find first empty row', async () => {
       const rowNumber = await sheetsService.findEmptyRow(TEST_SPREADSHEET_ID, TEST_SHEET_NAME);
-      assert.strictEqual(rowNumber, 3); // 3行目が空き行
+      assert.strictEqual(rowNumber, 4); // No.3の行（4行目）が空き行
     });
 
     it('should throw error when no empty row found', async () => {
@@ -208,6 +261,401 @@ describe('SheetsService', () => {
     });
   });
 
+  describe('addEntry while another entry is being added', () => {
+    it('should reject the second entry for the same month', async () => {
+      const entry = {
+        userId: TEST_USER_ID,
+        date: '2025-02-01',
+        amount: 1000,
+        details: 'テスト支出',
+        memo: ''
+      };
+
+      const results = await Promise.allSettled([
+        sheetsService.addEntry(entry),
+        sheetsService.addEntry(entry)
+      ]);
+
+      assert.strictEqual(results[0].status, 'fulfilled');
+      assert.strictEqual(results[1].status, 'rejected');
+      assert(results[1].reason instanceof OperationError);
+      assert.strictEqual(results[1].reason.operation, 'acquireLock');
+
+      // 完了後は登録できる
+      const result = await sheetsService.addEntry(entry);
+      assert.strictEqual(result.success, true);
+    });
+  });
+
+  describe('findDuplicateEntries', () => {
+    it('should find entries with same receipt or same date, amount and vendor', async () => {
+      sheetsService.sheets = {
+        spreadsheets: {
+          get: async () => ({
+            data: {
+              sheets: [
+                { properties: { title: '_base', sheetId: '000000' } },
+                { properties: { title: '2025_01', sheetId: '111' } },
+                { properties: { title: '2025_02', sheetId: '222' } }
+              ]
+            }
+          }),
+          values: {
+            batchGet: async ({ ranges }) => {
+              assert.deepStrictEqual(ranges, ["'2025_01'!A2:J26", "'2025_02'!A2:J26"]);
+              return {
+                data: {
+                  valueRanges: [
+                    { values: [['1', '2025/1/20', '¥3,000', '東京駅', '', '', 'https://drive.google.com/file/d/receipt_1/view']] },
+                    { values: [
+                      ['1', '2025/2/1', '¥1,200', 'ローソン 新宿店'],
+                      ['2', '2025/2/1', '¥1,200', 'セブンイレブン'],
+                      ['3', '2025/2/2', '¥1,200', 'ローソン新宿店']
+                    ] }
+                  ]
+                }
+              };
+            }
+          }
+        }
+      };
+
+      const duplicates = await sheetsService.findDuplicateEntries(TEST_USER_ID, {
+        date: '2025-02-01',
+        amount: 1200,
+        details: 'ローソン新宿店',
+        fileIds: ['receipt_1']
+      });
+
+      assert.deepStrictEqual(
+        duplicates.map(entry => [entry.yearMonth, entry.no, entry.sameReceipt]),
+        [['2025-01', '1', true], ['2025-02', '1', false]]
+      );
+      assert(duplicates[1].sheetUrl.endsWith('#gid=222&range=A2'));
+    });
+  });
+
+  describe('addEntry into approved month', () => {
+    it('should throw OperationError without writing', async () => {
+      const updates = [];
+      sheetsService.sheets = {
+        spreadsheets: {
+          ...mockSheets.spreadsheets,
+          values: {
+            ...mockSheets.spreadsheets.values,
+            update: async (params) => { updates.push(params); return {}; }
+          }
+        }
+      };
+
+      try {
+        await sheetsService.addEntry({
+          userId: TEST_USER_ID,
+          date: '2025-01-31',
+          amount: 1000,
+          details: 'テスト支出',
+          memo: ''
+        });
+        assert.fail('Expected error was not thrown');
+      } catch (error) {
+        assert(error instanceof OperationError);
+        assert(error.message.includes('承認済み'));
+        assert.strictEqual(updates.length, 0);
+      }
+    });
+  });
+
+  describe('addEntry with category', () => {
+    it('should write category to F column', async () => {
+      const updates = [];
+      sheetsService.sheets = {
+        spreadsheets: {
+          ...mockSheets.spreadsheets,
+          values: {
+            ...mockSheets.spreadsheets.values,
+            update: async (params) => { updates.push(params); return {}; }
+          }
+        }
+      };
+
+      await sheetsService.addEntry({
+        userId: TEST_USER_ID,
+        date: '2025-02-05',
+        amount: 800,
+        details: 'タクシー',
+        memo: '',
+        category: '旅費交通費'
+      });
+
+      assert.strictEqual(updates[0].range, `'${TEST_SHEET_NAME}'!B4:F4`);
+      assert.strictEqual(updates[0].resource.values[0][4], '旅費交通費');
+    });
+  });
+
+  describe('addEntry with tax', () => {
+    it('should write tax rate, tax amount and invoice number to H-J columns', async () => {
+      const updates = [];
+      sheetsService.sheets = {
+        spreadsheets: {
+          ...mockSheets.spreadsheets,
+          values: {
+            ...mockSheets.spreadsheets.values,
+            update: async (params) => { updates.push(params); return {}; }
+          }
+        }
+      };
+
+      await sheetsService.addEntry({
+        userId: TEST_USER_ID,
+        date: '2025-02-05',
+        amount: 1080,
+        details: '弁当',
+        memo: '',
+        taxRate: 8,
+        taxAmount: 80,
+        invoiceNumber: 'T1234567890123'
+      });
+
+      const taxUpdate = updates.find(params => params.range.includes('H4:J4'));
+      assert(taxUpdate);
+      assert.deepStrictEqual(taxUpdate.resource.values, [['8%', 80, 'T1234567890123']]);
+    });
+
+    it('should not write H-J columns without tax information', async () => {
+      const updates = [];
+      sheetsService.sheets = {
+        spreadsheets: {
+          ...mockSheets.spreadsheets,
+          values: {
+            ...mockSheets.spreadsheets.values,
+            update: async (params) => { updates.push(params); return {}; }
+          }
+        }
+      };
+
+      await sheetsService.addEntry({
+        userId: TEST_USER_ID,
+        date: '2025-02-05',
+        amount: 1000,
+        details: 'テスト支出',
+        memo: ''
+      });
+
+      assert(!updates.some(params => params.range.includes('H4:J4')));
+    });
+  });
+
+  describe('summarizeByTaxRate', () => {
+    it('should total amounts and taxes per tax rate', () => {
+      const totals = sheetsService.summarizeByTaxRate([
+        { amount: 1100, taxRate: 10, taxAmount: 100 },
+        { amount: 1080, taxRate: 8, taxAmount: null },
+        { amount: 550, taxRate: 10, taxAmount: null },
+        { amount: 300, taxRate: null, taxAmount: null }
+      ]);
+
+      assert.deepStrictEqual(totals, [
+        { taxRate: 10, count: 2, total: 1650, tax: 150 },
+        { taxRate: 8, count: 1, total: 1080, tax: 80 },
+        { taxRate: null, count: 1, total: 300, tax: 0 }
+      ]);
+    });
+  });
+
+  describe('summarizeByCategory', () => {
+    it('should total amounts per category', () => {
+      const totals = sheetsService.summarizeByCategory([
+        { amount: 1000, category: '旅費交通費' },
+        { amount: 3000, category: '会議費' },
+        { amount: 500, category: '旅費交通費' },
+        { amount: 200, category: '' }
+      ]);
+
+      assert.deepStrictEqual(totals, [
+        { category: '会議費', count: 1, total: 3000 },
+        { category: '旅費交通費', count: 2, total: 1500 },
+        { category: '未分類', count: 1, total: 200 }
+      ]);
+    });
+  });
+
+  describe('addEntry with full sheet', () => {
+    it('should create continuation sheet when all rows are used', async () => {
+      const batchUpdates = [];
+      const updates = [];
+      sheetsService.sheets = {
+        spreadsheets: {
+          get: mockSheets.spreadsheets.get,
+          batchUpdate: async (params) => { batchUpdates.push(params); return mockSheets.spreadsheets.batchUpdate(); },
+          values: {
+            get: async ({ range }) => {
+              if (range.startsWith(`'${TEST_SHEET_NAME}_2'`)) {
+                return { data: { values: range.includes('A2:A26') ? [['26']] : [] } };
+              }
+              if (range.includes('A2:A26')) {
+                return { data: { values: Array(25).fill(['1']) } };
+              }
+              return { data: { values: Array(25).fill(['2025-02-01', '1000', 'テスト支出', '']) } };
+            },
+            update: async (params) => { updates.push(params); return {}; }
+          }
+        }
+      };
+
+      await sheetsService.addEntry({
+        userId: TEST_USER_ID,
+        date: '2025-02-10',
+        amount: 500,
+        details: '26件目',
+        memo: ''
+      });
+
+      assert.strictEqual(batchUpdates[0].resource.requests[0].duplicateSheet.newSheetName, `${TEST_SHEET_NAME}_2`);
+      const numbering = updates.find(params => params.range === `'${TEST_SHEET_NAME}_2'!A2:A26`);
+      assert.deepStrictEqual(numbering.resource.values[0], [26]);
+      assert(updates.some(params => params.range === `'${TEST_SHEET_NAME}_2'!B2:F2`));
+    });
+  });
+
+  describe('findEntry', () => {
+    it('should find entry by No', async () => {
+      const { entry } = await sheetsService.findEntry(TEST_USER_ID, '2025-02', '2');
+      assert.strictEqual(entry.rowNumber, 3);
+      assert.strictEqual(entry.amount, 2000);
+      assert.strictEqual(entry.memo, 'メモ2');
+    });
+
+    it('should throw OperationError when entry not found', async () => {
+      try {
+        await sheetsService.findEntry(TEST_USER_ID, '2025-02', '3');
+        assert.fail('Expected error was not thrown');
+      } catch (error) {
+        assert(error instanceof OperationError);
+        assert.strictEqual(error.operation, 'findEntry');
+      }
+    });
+  });
+
+  describe('updateEntry', () => {
+    it('should rewrite B-F and H-J cells of the entry row', async () => {
+      const updates = [];
+      sheetsService.sheets = {
+        spreadsheets: {
+          ...mockSheets.spreadsheets,
+          values: {
+            ...mockSheets.spreadsheets.values,
+            update: async (params) => { updates.push(params); return {}; }
+          }
+        }
+      };
+
+      const result = await sheetsService.updateEntry({
+        userId: TEST_USER_ID,
+        yearMonth: '2025-02',
+        no: '1',
+        date: '2025-02-03',
+        amount: 1500,
+        details: '修正後',
+        memo: ''
+      });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(updates.length, 2);
+      assert.strictEqual(updates[0].range, `'${TEST_SHEET_NAME}'!B2:F2`);
+      assert.deepStrictEqual(updates[0].resource.values, [['2025-02-03', 1500, '修正後', '', '']]);
+      assert.strictEqual(updates[1].range, `'${TEST_SHEET_NAME}'!H2:J2`);
+      assert.deepStrictEqual(updates[1].resource.values, [['', '', '']]);
+    });
+
+    it('should reject moving entry to another month', async () => {
+      try {
+        await sheetsService.updateEntry({
+          userId: TEST_USER_ID,
+          yearMonth: '2025-02',
+          no: '1',
+          date: '2025-03-01',
+          amount: 1500
+        });
+        assert.fail('Expected error was not thrown');
+      } catch (error) {
+        assert(error instanceof OperationError);
+        assert.strictEqual(error.operation, 'updateEntry');
+      }
+    });
+  });
+
+  describe('updateEntry and deleteEntry while the month is locked', () => {
+    it('should reject changes while the month is being exported', async () => {
+      await sessionService.acquireLock(TEST_USER_ID, '2025-02', 'exporting');
+      try {
+        const results = await Promise.allSettled([
+          sheetsService.updateEntry({
+            userId: TEST_USER_ID,
+            yearMonth: '2025-02',
+            no: '1',
+            date: '2025-02-03',
+            amount: 1500
+          }),
+          sheetsService.deleteEntry(TEST_USER_ID, '2025-02', '1')
+        ]);
+
+        for (const result of results) {
+          assert.strictEqual(result.status, 'rejected');
+          assert(result.reason instanceof OperationError);
+          assert.strictEqual(result.reason.operation, 'acquireLock');
+        }
+      } finally {
+        await sessionService.releaseLock(TEST_USER_ID, '2025-02');
+      }
+
+      // 出力の完了後は削除できる
+      const result = await sheetsService.deleteEntry(TEST_USER_ID, '2025-02', '1');
+      assert.strictEqual(result.success, true);
+    });
+  });
+
+  describe('deleteEntry', () => {
+    it('should clear B-J cells and delete the receipt', async () => {
+      const clears = [];
+      sheetsService.sheets = {
+        spreadsheets: {
+          ...mockSheets.spreadsheets,
+          values: {
+            ...mockSheets.spreadsheets.values,
+            batchClear: async (params) => { clears.push(params); return {}; }
+          }
+        }
+      };
+
+      const result = await sheetsService.deleteEntry(TEST_USER_ID, '2025-02', '1');
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(clears[0].resource.ranges, [`'${TEST_SHEET_NAME}'!B2:J2`]);
+      assert(driveService.deleteFile.mock.calls.some(([, fileId]) => fileId === 'receipt_1'));
+      assert.strictEqual(result.warning, null);
+    });
+
+    it('should report a warning when the receipt cannot be deleted', async () => {
+      const clears = [];
+      sheetsService.sheets = {
+        spreadsheets: {
+          ...mockSheets.spreadsheets,
+          values: {
+            ...mockSheets.spreadsheets.values,
+            batchClear: async (params) => { clears.push(params); return {}; }
+          }
+        }
+      };
+      driveService.deleteFile.mockRejectedValueOnce(new Error('Drive API Error'));
+
+      const result = await sheetsService.deleteEntry(TEST_USER_ID, '2025-02', '1');
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(clears.length, 1);
+      assert.match(result.warning, /領収書をDriveから削除できませんでした/);
+    });
+  });
+
   describe('getStatus', () => {
     it('should return status with correct totals', async () => {
       const status = await sheetsService.getStatus(TEST_USER_ID, '2025-02');
@@ -215,6 +663,28 @@ describe('SheetsService', () => {
       assert.strictEqual(status.total, 3000);
       assert(status.sheetUrl.includes(TEST_SPREADSHEET_ID));
     });
+
+    it('should combine continuation sheets into one month', async () => {
+      sheetsService.sheets = {
+        spreadsheets: {
+          get: async () => ({
+            data: {
+              sheets: [
+                { properties: { title: TEST_SHEET_NAME, sheetId: TEST_SHEET_ID, index: 0 } },
+                { properties: { title: `${TEST_SHEET_NAME}_2`, sheetId: '654321', index: 1 } }
+              ]
+            }
+          }),
+          values: mockSheets.spreadsheets.values
+        }
+      };
+
+      const status = await sheetsService.getStatus(TEST_USER_ID, '2025-02');
+      assert.strictEqual(status.count, 4);
+      assert.strictEqual(status.total, 6000);
+      assert.strictEqual(status.sheetCount, 2);
+      assert(status.sheetUrl.includes(TEST_SHEET_ID));
+    });
   });
 
   describe('getList', () => {
@@ -222,6 +692,12 @@ describe('SheetsService', () => {
       const list = await sheetsService.getList(TEST_USER_ID, '2025-02');
       assert.strictEqual(list.entries.length, 2);
       assert.strictEqual(list.total, 3000);
+      assert.strictEqual(list.entries[0].category, '旅費交通費');
+      assert.strictEqual(list.categoryTotals.length, 2);
+      assert.strictEqual(list.entries[0].taxRate, 10);
+      assert.strictEqual(list.entries[0].taxAmount, 90);
+      assert.strictEqual(list.entries[0].invoiceNumber, 'T1234567890123');
+      assert.strictEqual(list.entries[1].taxRate, null);
       assert(list.sheetUrl.includes(TEST_SPREADSHEET_ID));
     });
   });
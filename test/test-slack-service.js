@@ -0,0 +1,218 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
+
+// OCRの画像変換は使わない
+jest.mock('sharp', () => Object.assign(jest.fn(), { format: {} }));
+
+const settingsService = require('../src/services/settingsService');
+const sheetsService = require('../src/services/sheetsService');
+const approvalService = require('../src/services/approvalService');
+const exportService = require('../src/services/exportService');
+const ocrService = require('../src/services/ocrService');
+const csvExportService = require('../src/services/csvExportService');
+const jobQueue = require('../src/services/jobQueue');
+const slackService = require('../src/services/slackService');
+
+// モックデータ
+const TEST_USER_ID = 'U123456';
+
+// Boltのappのモック（登録した処理をIDごとに保持する）
+const createApp = () => {
+  const handlers = { view: {}, action: {}, shortcut: {} };
+  return {
+    handlers,
+    view: (id, handler) => { handlers.view[id] = handler; },
+    action: (id, handler) => { handlers.action[id] = handler; },
+    shortcut: (id, handler) => { handlers.shortcut[id] = handler; },
+    isServerReady: () => true,
+  };
+};
+
+// 交通費（経路）の入力値（view.state.values）
+const transitValues = (legs, options = {}) => {
+  const values = {
+    date_block: { date_input: { selected_date: '2025-02-14' } },
+    transit_purpose_block: { value: { value: 'A社打合せ' } },
+    transit_round_trip_block: { value: { selected_options: options.roundTrip ? [{ value: 'round_trip' }] : [] } },
+    transit_pass_block: { value: { value: null } },
+    category_block: { category_input: { selected_option: { value: '旅費交通費' } } },
+  };
+  legs.forEach(([from, to, fare], i) => {
+    values[`transit_from_${i + 1}_block`] = { value: { value: from } };
+    values[`transit_to_${i + 1}_block`] = { value: { value: to } };
+    values[`transit_fare_${i + 1}_block`] = { value: { value: fare ?? null } };
+  });
+  return values;
+};
+
+// モーダルの送信を実行し、ackの引数を返す
+const submit = async (app, values) => {
+  const acks = [];
+  await app.handlers.view.expense_direct_modal({
+    ack: async (response) => { acks.push(response); },
+    body: {},
+    view: { private_metadata: JSON.stringify({ userId: TEST_USER_ID, entryType: 'transit' }), state: { values } },
+    client: { chat: { postMessage: async () => assert.fail('should not report an error') } },
+  });
+  return acks;
+};
+
+const originals = {
+  app: slackService.app,
+  getFares: settingsService.getFares,
+  enqueue: jobQueue.enqueue,
+  getEntriesByMonths: sheetsService.getEntriesByMonths,
+  getStatus: sheetsService.getStatus,
+  getList: sheetsService.getList,
+  getUserSettings: settingsService.getUserSettings,
+  getExportedReport: exportService.getExportedReport,
+  exportJournalCsv: csvExportService.exportJournalCsv,
+  getApproval: approvalService.getApproval,
+};
+let app;
+let enqueued;
+beforeEach(async () => {
+  enqueued = [];
+  settingsService.getFares = async () => [{ from: '新宿', to: '渋谷', fare: 170, line: 'JR山手線' }];
+  jobQueue.enqueue = async (type, userId, payload, label) => {
+    enqueued.push({ type, userId, payload, label });
+  };
+  app = createApp();
+  slackService.app = app;
+  await slackService.initializeShortcuts();
+});
+afterEach(() => {
+  slackService.app = originals.app;
+  settingsService.getFares = originals.getFares;
+  jobQueue.enqueue = originals.enqueue;
+  sheetsService.getEntriesByMonths = originals.getEntriesByMonths;
+  sheetsService.getStatus = originals.getStatus;
+  sheetsService.getList = originals.getList;
+  settingsService.getUserSettings = originals.getUserSettings;
+  exportService.getExportedReport = originals.getExportedReport;
+  csvExportService.exportJournalCsv = originals.exportJournalCsv;
+  approvalService.getApproval = originals.getApproval;
+});
+
+describe('SlackService', () => {
+  describe('expense_direct_modal (transit)', () => {
+    it('should close the modal and queue a register job from the route', async () => {
+      const acks = await submit(app, transitValues([['新宿', '渋谷']], { roundTrip: true }));
+
+      assert.deepStrictEqual(acks, [undefined]);
+      assert.strictEqual(enqueued.length, 1);
+      const [{ type, userId, payload }] = enqueued;
+      assert.strictEqual(type, 'register');
+      assert.strictEqual(userId, TEST_USER_ID);
+      assert.strictEqual(payload.file, null);
+      assert.strictEqual(payload.entry.date, '2025-02-14');
+      assert.strictEqual(payload.entry.amount, 340);
+      assert.strictEqual(payload.entry.category, '旅費交通費');
+      assert.deepStrictEqual(payload.entry.tax, { taxRate: 10, taxAmount: null, invoiceNumber: '' });
+    });
+
+    it('should require a route before queueing', async () => {
+      const acks = await submit(app, transitValues([]));
+
+      assert.deepStrictEqual(acks, [{ response_action: 'errors', errors: { transit_from_1_block: '経路を1区間以上入力してください。' } }]);
+      assert.strictEqual(enqueued.length, 0);
+    });
+  });
+
+  describe('sendMonthEndReminder', () => {
+    it('should read the month without creating a sheet', async () => {
+      const posted = [];
+      sheetsService.getEntriesByMonths = async (userId, yearMonths) =>
+        yearMonths.map(yearMonth => ({ yearMonth, entries: [], sheetCount: 0, sheets: [], sheetUrl: '' }));
+      sheetsService.getStatus = async () => assert.fail('should not create the month sheet');
+      approvalService.getApproval = async () => ({ status: 'draft' });
+      slackService.app = { client: { chat: { postMessage: async (message) => { posted.push(message); } } } };
+
+      await slackService.sendMonthEndReminder(TEST_USER_ID, '2025-02');
+
+      assert.strictEqual(posted.length, 1);
+      assert.match(posted[0].text, /登録件数: 0件/);
+      assert.doesNotMatch(posted[0].text, /スプレッドシートで開く/);
+    });
+  });
+
+  describe('publishHome', () => {
+    it('should show an empty month without creating a sheet', async () => {
+      const published = [];
+      const requested = [];
+      settingsService.getUserSettings = async () => ({ spreadsheet_id: 'sheet123' });
+      sheetsService.getEntriesByMonths = async (userId, yearMonths) => {
+        requested.push(...yearMonths);
+        return yearMonths.map(yearMonth => ({ yearMonth, entries: [], sheetCount: 0, sheets: [], sheetUrl: '' }));
+      };
+      sheetsService.getStatus = async () => assert.fail('should not create the month sheet');
+      sheetsService.getList = async () => assert.fail('should not create the month sheet');
+      approvalService.getApproval = async () => ({ status: 'draft' });
+      exportService.getExportedReport = async () => null;
+
+      await slackService.publishHome({ views: { publish: async (params) => { published.push(params); } } }, TEST_USER_ID, '2025-02');
+
+      assert.deepStrictEqual(requested, ['2025-02']);
+      const texts = published[0].view.blocks.map(block => block.text?.text).filter(Boolean);
+      assert.ok(texts.includes('*最近の登録*\nデータがありません'));
+      assert.ok(published[0].view.blocks.every(block => block.type !== 'context'));
+    });
+  });
+
+  describe('getRecentYearMonths', () => {
+    it('should start from the current month in JST', () => {
+      jest.useFakeTimers({ now: new Date('2025-02-28T15:30:00Z') }); // 日本時間 3/1 0:30
+      try {
+        assert.deepStrictEqual(slackService.getRecentYearMonths(3), ['2025-03', '2025-02', '2025-01']);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('buildExpenseModalView', () => {
+    it('should tell the user when a PDF receipt cannot be read', () => {
+      const view = slackService.buildExpenseModalView({ hasFile: true, fileType: 'application/pdf' });
+
+      // sharpのモックはPDFに対応していない
+      assert.strictEqual(ocrService.isPdfSupported(), false);
+      assert.strictEqual(view.blocks[0].type, 'context');
+      assert.match(view.blocks[0].elements[0].text, /この環境ではPDFの領収書を読み取れません/);
+    });
+  });
+
+  describe('runCsvExportJob', () => {
+    it('should not save the CSV to Drive again when retrying the upload', async () => {
+      const content = Buffer.from([0x82, 0xa0]); // Shift_JISの「あ」
+      let exports = 0;
+      csvExportService.exportJournalCsv = async () => {
+        exports++;
+        return { content, fileName: '仕訳_freee_2025-02.csv', fileUrl: 'https://drive.google.com/file/d/csv_file/view', count: 1, total: 1000, uncategorized: [], unencodable: [] };
+      };
+      const uploads = [];
+      let failUpload = true;
+      slackService.app = {
+        client: {
+          conversations: { open: async () => ({ channel: { id: 'D123' } }) },
+          files: {
+            uploadV2: async (params) => {
+              if (failUpload) throw new Error('Slack API Error');
+              uploads.push(params);
+            }
+          }
+        }
+      };
+      let payload = { yearMonth: '2025-02', format: 'freee' };
+      const context = { job: { userId: TEST_USER_ID }, update: async (patch) => { payload = { ...payload, ...patch }; } };
+
+      await assert.rejects(slackService.runCsvExportJob(payload, context), /Slack API Error/);
+      failUpload = false;
+      await slackService.runCsvExportJob(payload, context);
+
+      assert.strictEqual(exports, 1);
+      assert.strictEqual(uploads.length, 1);
+      assert.deepStrictEqual(uploads[0].file, content);
+      assert.strictEqual(uploads[0].filename, '仕訳_freee_2025-02.csv');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('@jest/globals');
+const FileStorageAdapter = require('../src/services/storageAdapters/fileStorage');
+const { createStorageAdapter } = require('../src/services/storageAdapters');
+
+describe('Storage adapters', () => {
+  describe('createStorageAdapter', () => {
+    it('should create adapter by name', () => {
+      assert.strictEqual(createStorageAdapter('file').name, 'file');
+      assert.strictEqual(createStorageAdapter('memory').name, 'memory');
+    });
+
+    it('should throw for unknown adapter', () => {
+      assert.throws(() => createStorageAdapter('redis'), /未対応のストレージです: redis/);
+    });
+  });
+
+  describe('FileStorageAdapter', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keihi-storage-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep values after restart', async () => {
+      const storage = new FileStorageAdapter(dir);
+      await storage.set('jobs', 'job-1', { status: 'running' });
+      await storage.set('jobs', 'job-2', { status: 'queued' });
+      await storage.delete('jobs', 'job-2');
+
+      // 再起動を想定して新しいインスタンスで読み込む
+      const restarted = new FileStorageAdapter(dir);
+      assert.deepStrictEqual(await restarted.get('jobs', 'job-1'), { status: 'running' });
+      assert.strictEqual(await restarted.get('jobs', 'job-2'), null);
+      assert.deepStrictEqual(await restarted.entries('jobs'), [['job-1', { status: 'running' }]]);
+    });
+
+    it('should write concurrent changes in order', async () => {
+      const storage = new FileStorageAdapter(dir);
+      await Promise.all(Array.from({ length: 5 }, (_, i) => storage.set('sessions', `key-${i}`, { i })));
+
+      const content = JSON.parse(fs.readFileSync(path.join(dir, 'sessions.json'), 'utf8'));
+      assert.strictEqual(Object.keys(content).length, 5);
+    });
+
+    it('should start empty when the file is broken', async () => {
+      fs.writeFileSync(path.join(dir, 'userStates.json'), '{broken');
+      const storage = new FileStorageAdapter(dir);
+      assert.deepStrictEqual(await storage.entries('userStates'), []);
+    });
+  });
+});
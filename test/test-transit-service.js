@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { describe, it } = require('@jest/globals');
+
+// 運賃表のモック
+jest.mock('../src/services/settingsService', () => ({
+  getFares: async () => [
+    { from: '新宿', to: '渋谷', fare: 170, line: 'JR山手線' },
+    { from: '渋谷', to: '品川', fare: 210, line: 'JR山手線' }
+  ]
+}));
+
+const transitService = require('../src/services/transitService');
+
+describe('TransitService', () => {
+  describe('findFare', () => {
+    it('should find fare in either direction ignoring station suffix', async () => {
+      assert.deepStrictEqual(await transitService.findFare('新宿駅', '渋谷'), { fare: 170, line: 'JR山手線' });
+      assert.deepStrictEqual(await transitService.findFare('品川', '渋谷 '), { fare: 210, line: 'JR山手線' });
+      assert.strictEqual(await transitService.findFare('新宿', '東京'), null);
+    });
+  });
+
+  describe('resolveFares', () => {
+    it('should prefer typed fare and look up the rest', async () => {
+      const legs = await transitService.resolveFares([
+        { from: '新宿', to: '渋谷', fare: null },
+        { from: '渋谷', to: '東京', fare: 400 },
+        { from: '東京', to: '大手町', fare: null }
+      ]);
+
+      assert.deepStrictEqual(legs.map(leg => [leg.fare, leg.line]), [[170, 'JR山手線'], [400, ''], [null, '']]);
+    });
+  });
+
+  describe('formatRoute', () => {
+    it('should join connected legs', () => {
+      assert.strictEqual(
+        transitService.formatRoute([{ from: '新宿', to: '渋谷' }, { from: '渋谷駅', to: '品川' }, { from: '大崎', to: '五反田' }]),
+        '新宿→渋谷→品川、大崎→五反田'
+      );
+    });
+  });
+
+  describe('buildEntry', () => {
+    it('should write route into details and breakdown into memo', () => {
+      const entry = transitService.buildEntry({
+        purpose: 'A社打合せ',
+        legs: [
+          { from: '新宿', to: '渋谷', fare: 170, line: 'JR山手線' },
+          { from: '渋谷', to: '品川', fare: 210, line: '' }
+        ],
+        roundTrip: true,
+        passDeduction: 170
+      });
+
+      assert.deepStrictEqual(entry, {
+        amount: 590,
+        details: 'A社打合せ（新宿→渋谷→品川 往復）',
+        memo: '新宿→渋谷 ¥170（JR山手線） / 渋谷→品川 ¥210 / 往復 ×2 / 定期区間控除 -¥170'
+      });
+    });
+  });
+});